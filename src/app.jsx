@@ -1,13 +1,59 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import Papa from 'papaparse';
+import {
+  ALGORITHM_PARAMS,
+  PIVOT_RULES,
+  PARTITION_SCHEMES,
+  GAP_SEQUENCES,
+  ALGORITHM_COMPLEXITY,
+  describeComplexity,
+  createSortStream,
+  createPlayer,
+  createRace,
+  generateArray,
+  toRecords,
+  recordKey,
+  findStabilityViolations,
+  createRowComparator,
+  createSortKey,
+  rankKey,
+  KEY_PRESETS,
+  SORT_ORDERS,
+  OP_TYPES,
+  createStats,
+  pseudocodeFor
+} from './engine';
+import ArrayView, { CANVAS_DISPLAY_TYPES } from './components/array-view';
+import RaceView from './components/race-view';
+import ScalingPanel from './components/scaling-panel';
+import ImportDialog from './components/import-dialog';
+import TableView from './components/table-view';
+import TableSortPanel from './components/table-sort-panel';
+import PseudocodePanel from './components/pseudocode-panel';
+import WatchPanel from './components/watch-panel';
+import RecursionTreeView from './components/recursion-tree-view';
+import RunStackView from './components/run-stack-view';
 
 // Типы отображения данных
 const DISPLAY_TYPES = {
   BARS: 'Столбцы',
   NUMBERS: 'Числовые значения',
   CIRCLE: 'Круговая диаграмма',
-  HISTOGRAM: 'Гистограмма'
+  HISTOGRAM: 'Гистограмма',
+  TREE: 'Дерево (куча)'
+};
+
+// Способы отрисовки визуализации
+const RENDERERS = {
+  DOM: 'Элементы страницы',
+  CANVAS: 'Canvas (большие массивы)'
+};
+
+// Максимальный размер массива для каждого способа отрисовки
+const MAX_ARRAY_SIZE = {
+  DOM: 100,
+  CANVAS: 50000
 };
 
 // Предустановленные наборы данных
@@ -30,23 +76,53 @@ const ALGORITHMS = {
   BUCKET: 'Блочная сортировка',
   RADIX: 'Поразрядная сортировка',
   SHELL: 'Сортировка Шелла',
-  TIM: 'Timsort'
+  TIM: 'Timsort',
+  COCKTAIL: 'Шейкерная сортировка',
+  COMB: 'Сортировка расческой',
+  GNOME: 'Гномья сортировка',
+  ODD_EVEN: 'Четно-нечетная сортировка',
+  INTRO: 'Introsort',
+  DUAL_PIVOT: 'Быстрая с двумя опорными',
+  PDQ: 'Pdqsort'
 };
 
 const ALGORITHM_DESCRIPTIONS = {
-  BUBBLE: 'Пузырьковая сортировка - простой алгоритм, который многократно проходит по списку, сравнивает соседние элементы и меняет их местами, если они в неправильном порядке. Сложность: O(n²).',
-  SELECTION: 'Сортировка выбором находит наименьший элемент и помещает его в начало, затем находит следующий наименьший и т.д. Сложность: O(n²).',
-  INSERTION: 'Сортировка вставками строит отсортированный массив по одному элементу за раз. Эффективна для небольших наборов данных. Сложность: O(n²).',
-  MERGE: 'Сортировка слиянием - рекурсивный алгоритм "разделяй и властвуй", который делит массив пополам, сортирует половины и объединяет их. Сложность: O(n log n).',
-  QUICK: 'Быстрая сортировка - высокопроизводительный рекурсивный алгоритм, который выбирает опорный элемент и разделяет массив на элементы меньше и больше опорного. Сложность: в среднем O(n log n), худший случай O(n²).',
-  HEAP: 'Пирамидальная сортировка использует бинарную кучу для сортировки элементов. Стабильная производительность для любых входных данных. Сложность: O(n log n).',
-  COUNTING: 'Сортировка подсчетом использует дополнительный массив для подсчета количества каждого элемента и затем восстанавливает отсортированный массив. Сложность: O(n+k), где k - диапазон значений.',
-  BUCKET: 'Блочная сортировка распределяет элементы по "блокам" и сортирует каждый блок отдельно. Сложность: в среднем O(n+k), худший случай O(n²).',
-  RADIX: 'Поразрядная сортировка сортирует числа по разрядам, от наименее значимого к наиболее значимому. Сложность: O(nk), где k - количество разрядов.',
-  SHELL: 'Сортировка Шелла - улучшенная версия сортировки вставками, которая сначала сортирует элементы на определенном расстоянии друг от друга, затем уменьшает это расстояние. Сложность: зависит от последовательности промежутков, обычно O(n log² n).',
-  TIM: 'Timsort - гибридный алгоритм, сочетающий сортировку вставками и слиянием. Он используется в Python и Java. Эффективен для реальных данных с частично упорядоченными подпоследовательностями. Сложность: O(n log n).'
+  BUBBLE: 'Пузырьковая сортировка - простой алгоритм, который многократно проходит по списку, сравнивает соседние элементы и меняет их местами, если они в неправильном порядке.',
+  SELECTION: 'Сортировка выбором находит наименьший элемент и помещает его в начало, затем находит следующий наименьший и т.д.',
+  INSERTION: 'Сортировка вставками строит отсортированный массив по одному элементу за раз. Эффективна для небольших наборов данных.',
+  MERGE: 'Сортировка слиянием - рекурсивный алгоритм "разделяй и властвуй", который делит массив пополам, сортирует половины и объединяет их.',
+  QUICK: 'Быстрая сортировка - высокопроизводительный рекурсивный алгоритм, который выбирает опорный элемент и разделяет массив на элементы меньше и больше опорного.',
+  HEAP: 'Пирамидальная сортировка использует бинарную кучу для сортировки элементов. Стабильная производительность для любых входных данных.',
+  COUNTING: 'Сортировка подсчетом использует дополнительный массив для подсчета количества каждого элемента и затем восстанавливает отсортированный массив.',
+  BUCKET: 'Блочная сортировка распределяет элементы по "блокам" и сортирует каждый блок отдельно.',
+  RADIX: 'Поразрядная сортировка сортирует числа по разрядам, от наименее значимого к наиболее значимому.',
+  SHELL: 'Сортировка Шелла - улучшенная версия сортировки вставками, которая сначала сортирует элементы на определенном расстоянии друг от друга, затем уменьшает это расстояние.',
+  TIM: 'Timsort - гибридный алгоритм, сочетающий сортировку вставками и слиянием. Он используется в Python и Java. Алгоритм находит в массиве готовые упорядоченные серии (убывающие разворачивает), короткие серии дополняет вставками до minrun элементов и сливает соседние серии из стека так, чтобы слияния оставались сбалансированными. Когда одна серия раз за разом выигрывает сравнения, слияние переходит в режим галопа и переносит ее элементы целыми кусками. Поэтому на частично упорядоченных данных (набор «Почти отсортированные») сравнений заметно меньше, а уже отсортированный массив проверяется за n - 1 сравнение.',
+  COCKTAIL: 'Шейкерная сортировка - вариант пузырьковой, в котором проходы идут поочередно вперед и назад: большие элементы всплывают в конец, а маленькие опускаются в начало за один цикл. Сортировка останавливается после прохода без обменов.',
+  COMB: 'Сортировка расческой - пузырьковая сортировка с промежутком: сначала сравниваются далекие элементы, затем промежуток уменьшается в заданное число раз (коэффициент уменьшения, обычно 1,3), пока не станет равным 1. Так мелкие элементы в конце массива быстро переезжают к началу.',
+  GNOME: 'Гномья сортировка идет по массиву вперед, пока соседние элементы упорядочены, а встретив неупорядоченную пару, меняет ее местами и делает шаг назад. По сути это сортировка вставками через обмены без вложенного цикла.',
+  ODD_EVEN: 'Четно-нечетная сортировка чередует две фазы: сравнение пар с нечетным началом (1-2, 3-4, ...) и с четным (0-1, 2-3, ...). Пары внутри фазы не пересекаются, поэтому на параллельном оборудовании их можно обработать одновременно.',
+  INTRO: 'Introsort - гибрид, на котором построены std::sort в C++ и сортировка в .NET. Это быстрая сортировка с медианой трех, которая на коротких отрезках переходит на вставки, а если глубина рекурсии превысила 2·log n, сортирует отрезок пирамидальной сортировкой. Над визуализацией и в дереве рекурсии видно, какая стратегия работает сейчас.',
+  DUAL_PIVOT: 'Быстрая сортировка с двумя опорными (Ярославский) берет опорные p <= q с краев отрезка и делит его на три части: меньше p, между p и q и больше q. Вариант этого алгоритма сортирует примитивные типы в Java.',
+  PDQ: 'Pdqsort (pattern-defeating quicksort) - быстрая сортировка, которая распознает шаблоны во входных данных: короткие отрезки сортирует вставками, на почти упорядоченных данных пробует частичные вставки, равные элементы собирает отдельным разбиением, после неудачного разбиения перемешивает элементы, а при слишком многих неудачах переходит на пирамидальную сортировку. Используется в Rust и Go.'
 };
 
+// Рекурсивные алгоритмы: имя рекурсивной функции для дерева и стека вызовов
+const RECURSIVE_ALGORITHMS = {
+  MERGE: 'mergeSort',
+  QUICK: 'quickSort',
+  INTRO: 'introSort',
+  DUAL_PIVOT: 'dualPivotQuickSort',
+  PDQ: 'pdqSort'
+};
+
+// На сколько шагов шкала времени заглядывает дальше уже полученных операций,
+// пока алгоритм не завершился (общее число шагов еще неизвестно)
+const TIMELINE_LOOKAHEAD = 1000;
+
+// Пустая статистика запуска: счетчики движка и время в секундах
+const createEmptyStats = () => ({ ...createStats(), time: 0 });
+
 // Основной компонент приложения
 const SortingVisualizer = () => {
   // Состояния приложения
@@ -54,38 +130,92 @@ const SortingVisualizer = () => {
   const [arraySize, setArraySize] = useState(30);
   const [sortingSpeed, setSortingSpeed] = useState(50);
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('BUBBLE');
+  const [sortOrder, setSortOrder] = useState('asc');
+  const [keyPreset, setKeyPreset] = useState('VALUE');
+  const [combShrink, setCombShrink] = useState(ALGORITHM_PARAMS.COMB.shrink);
+  const [quickPivot, setQuickPivot] = useState(ALGORITHM_PARAMS.QUICK.pivot);
+  const [quickPartition, setQuickPartition] = useState(ALGORITHM_PARAMS.QUICK.partition);
+  const [shellGaps, setShellGaps] = useState(ALGORITHM_PARAMS.SHELL.gaps);
+  const [compareAllGaps, setCompareAllGaps] = useState(false);
   const [algorithmsToCompare, setAlgorithmsToCompare] = useState([]);
   const [isSorting, setIsSorting] = useState(false);
   const [isSorted, setIsSorted] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [isStepMode, setIsStepMode] = useState(false);
+  const [isRecordMode, setIsRecordMode] = useState(false);
+  const [tags, setTags] = useState(null);
+  const [stability, setStability] = useState(null);
   const [currentStep, setCurrentStep] = useState(0);
   const [currentCompare, setCurrentCompare] = useState([-1, -1]);
   const [currentSwap, setCurrentSwap] = useState([-1, -1]);
+  const [currentLine, setCurrentLine] = useState(null);
+  const [currentVars, setCurrentVars] = useState(null);
+  const [currentMarks, setCurrentMarks] = useState(null);
   const [displayType, setDisplayType] = useState('BARS');
+  const [renderer, setRenderer] = useState('DOM');
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [userInput, setUserInput] = useState('');
   const [selectedPreset, setSelectedPreset] = useState('RANDOM');
   const [zoom, setZoom] = useState(100);
-  const [stats, setStats] = useState({
-    comparisons: 0,
-    swaps: 0,
-    time: 0
-  });
-  const [animationHistory, setAnimationHistory] = useState([]);
+  const [stats, setStats] = useState(createEmptyStats);
+  const [totalSteps, setTotalSteps] = useState(0);
+  const [loadedSteps, setLoadedSteps] = useState(0);
   const [compareResults, setCompareResults] = useState([]);
-  const [fileData, setFileData] = useState(null);
+  const [compareInput, setCompareInput] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [table, setTable] = useState(null);
+  const [tableSortKeys, setTableSortKeys] = useState([]);
+  const [tableOrder, setTableOrder] = useState(null);
+  const [raceLanes, setRaceLanes] = useState(null);
+  const [isRacing, setIsRacing] = useState(false);
+  const [isComparing, setIsComparing] = useState(false);
+  const [benchmarkTrials, setBenchmarkTrials] = useState(5);
+  const [benchmarkWarmup, setBenchmarkWarmup] = useState(1);
+  const [freshInputs, setFreshInputs] = useState(true);
+  const [checkStability, setCheckStability] = useState(true);
+  const [benchmarkProgress, setBenchmarkProgress] = useState({ done: 0, total: 0 });
+  const [scalingFits, setScalingFits] = useState({});
 
-  // Рефы для хранения таймаутов анимации
-  const timeouts = useRef([]);
-  const animationState = useRef({
-    array: [],
-    currentStep: 0,
-    animations: []
-  });
+  // Проигрыватель текущего запуска сортировки (см. engine/player.js)
+  const player = useRef(null);
+  
+  // Текущая гонка алгоритмов (см. engine/race.js)
+  const race = useRef(null);
+  
+  // Поток замера производительности (см. engine/benchmark.worker.js)
+  const benchmarkWorker = useRef(null);
+  
+  // Размер изменился из-за загрузки готового массива - генерировать новый не нужно
+  const keepLoadedArray = useRef(false);
+
+  // Ключ сортировки чисел: выбранная предустановка и направление
+  const ordering = { preset: keyPreset, order: sortOrder };
+  const sortKey = createSortKey(ordering);
+  const recordSortKey = record => sortKey(recordKey(record));
+  
+  // Параметры алгоритмов (см. ALGORITHM_PARAMS в engine/sorts.js);
+  // paramsOf оставляет только параметры данного алгоритма
+  const algorithmParams = { shrink: combShrink, pivot: quickPivot, partition: quickPartition, gaps: shellGaps };
+  const paramsOf = algorithm => Object.fromEntries(
+    Object.keys(ALGORITHM_PARAMS[algorithm] || {}).map(name => [name, algorithmParams[name]])
+  );
+  
+  // Подпись варианта алгоритма с параметрами params (для статистики и сравнения)
+  const describeVariant = (algorithm, params = algorithmParams) => {
+    if (algorithm === 'QUICK') {
+      return `опорный: ${PIVOT_RULES[params.pivot].toLowerCase()}, разбиение: ${PARTITION_SCHEMES[params.partition]}`;
+    }
+    if (algorithm === 'COMB') return `коэффициент уменьшения: ${params.shrink}`;
+    if (algorithm === 'SHELL') return `промежутки: ${GAP_SEQUENCES[params.gaps]}`;
+    return null;
+  };
 
   // Генерация нового массива при изменении размера или пресета
   useEffect(() => {
+    if (keepLoadedArray.current) {
+      keepLoadedArray.current = false;
+      return;
+    }
     resetArray();
   }, [arraySize, selectedPreset]);
 
@@ -94,10 +224,12 @@ const SortingVisualizer = () => {
     document.body.classList.toggle('dark-mode', isDarkMode);
   }, [isDarkMode]);
 
-  // Очистка таймаутов при размонтировании
+  // Остановка воспроизведения и прерывание алгоритма при размонтировании
   useEffect(() => {
     return () => {
-      timeouts.current.forEach(timeout => clearTimeout(timeout));
+      if (player.current) player.current.destroy();
+      if (race.current) race.current.destroy();
+      if (benchmarkWorker.current) benchmarkWorker.current.terminate();
     };
   }, []);
 
@@ -105,83 +237,31 @@ const SortingVisualizer = () => {
   const resetArray = () => {
     if (isSorting) return;
     
-    timeouts.current.forEach(timeout => clearTimeout(timeout));
-    timeouts.current = [];
-    
-    let newArray = [];
-    
-    switch (selectedPreset) {
-      case 'RANDOM':
-        // Случайные данные
-        for (let i = 0; i < arraySize; i++) {
-          newArray.push(randomIntFromInterval(5, 80));
-        }
-        break;
-      case 'SORTED':
-        // Отсортированные данные
-        for (let i = 0; i < arraySize; i++) {
-          newArray.push(Math.floor(5 + (i * 75) / arraySize));
-        }
-        break;
-      case 'REVERSE':
-        // Обратно отсортированные данные
-        for (let i = 0; i < arraySize; i++) {
-          newArray.push(Math.floor(80 - (i * 75) / arraySize));
-        }
-        break;
-      case 'NEARLY':
-        // Почти отсортированные данные
-        for (let i = 0; i < arraySize; i++) {
-          newArray.push(Math.floor(5 + (i * 75) / arraySize));
-        }
-        // Вносим несколько перестановок
-        for (let i = 0; i < arraySize * 0.1; i++) {
-          const idx1 = randomIntFromInterval(0, arraySize - 1);
-          const idx2 = randomIntFromInterval(0, arraySize - 1);
-          [newArray[idx1], newArray[idx2]] = [newArray[idx2], newArray[idx1]];
-        }
-        break;
-      case 'REPEATED':
-        // Данные с повторениями
-        const values = [10, 20, 30, 40, 50, 60, 70];
-        for (let i = 0; i < arraySize; i++) {
-          newArray.push(values[randomIntFromInterval(0, values.length - 1)]);
-        }
-        break;
-      default:
-        // По умолчанию случайные данные
-        for (let i = 0; i < arraySize; i++) {
-          newArray.push(randomIntFromInterval(5, 80));
-        }
-    }
+    const newArray = generateArray(selectedPreset, arraySize);
     
     setArray(newArray);
-    animationState.current.array = [...newArray];
+    setTable(null);
     setCurrentCompare([-1, -1]);
     setCurrentSwap([-1, -1]);
     setIsSorted(false);
     setCurrentStep(0);
-    setAnimationHistory([]);
-    setStats({
-      comparisons: 0,
-      swaps: 0,
-      time: 0
-    });
-  };
-
-  // Функция генерации случайного числа
-  const randomIntFromInterval = (min, max) => {
-    return Math.floor(Math.random() * (max - min + 1) + min);
+    discardPlayer();
+    setStats(createEmptyStats());
   };
 
   // Обработчик изменения размера массива
   const handleSizeChange = (e) => {
-    setArraySize(Number(e.target.value));
+    const size = Number(e.target.value);
+    if (!size) return;
+    setArraySize(Math.min(Math.max(size, 5), MAX_ARRAY_SIZE[renderer]));
   };
 
   // Обработчик изменения скорости сортировки
   const handleSpeedChange = (e) => {
-    setSortingSpeed(Number(e.target.value));
+    const speed = Number(e.target.value);
+    setSortingSpeed(speed);
+    if (player.current) player.current.setSpeed(speed);
+    if (race.current) race.current.setSpeed(speed);
   };
 
   // Обработчик выбора алгоритма
@@ -189,6 +269,47 @@ const SortingVisualizer = () => {
     setSelectedAlgorithm(e.target.value);
   };
 
+  // Обработчики выбора направления и ключа сортировки: уже отсортированный
+  // массив можно отсортировать заново по новому правилу
+  const handleSortOrderChange = (e) => {
+    setSortOrder(e.target.value);
+    discardPlayer();
+    setIsSorted(false);
+  };
+
+  const handleKeyPresetChange = (e) => {
+    setKeyPreset(e.target.value);
+    discardPlayer();
+    setIsSorted(false);
+  };
+
+  // Обработчики выбора опорного элемента и схемы разбиения быстрой сортировки
+  const handleQuickPivotChange = (e) => {
+    setQuickPivot(e.target.value);
+    discardPlayer();
+    setIsSorted(false);
+  };
+
+  const handleQuickPartitionChange = (e) => {
+    setQuickPartition(e.target.value);
+    discardPlayer();
+    setIsSorted(false);
+  };
+
+  // Обработчик изменения последовательности промежутков сортировки Шелла
+  const handleShellGapsChange = (e) => {
+    setShellGaps(e.target.value);
+    discardPlayer();
+    setIsSorted(false);
+  };
+
+  // Обработчик изменения коэффициента уменьшения промежутка сортировки расческой
+  const handleCombShrinkChange = (e) => {
+    setCombShrink(Math.min(Math.max(Number(e.target.value) || ALGORITHM_PARAMS.COMB.shrink, 1.05), 3));
+    discardPlayer();
+    setIsSorted(false);
+  };
+
   // Обработчик выбора пресета данных
   const handlePresetChange = (e) => {
     setSelectedPreset(e.target.value);
@@ -199,6 +320,20 @@ const SortingVisualizer = () => {
     setDisplayType(e.target.value);
   };
   
+  // Обработчик выбора способа отрисовки
+  const handleRendererChange = (e) => {
+    const newRenderer = e.target.value;
+    setRenderer(newRenderer);
+    
+    // Размер массива не должен превышать предел нового способа отрисовки
+    if (arraySize > MAX_ARRAY_SIZE[newRenderer]) {
+      setArraySize(MAX_ARRAY_SIZE[newRenderer]);
+    }
+    if (newRenderer === 'CANVAS' && !CANVAS_DISPLAY_TYPES.includes(displayType)) {
+      setDisplayType('BARS');
+    }
+  };
+  
   // Обработчик изменения масштаба
   const handleZoomChange = (e) => {
     setZoom(Number(e.target.value));
@@ -214,6 +349,22 @@ const SortingVisualizer = () => {
     setUserInput(e.target.value);
   };
   
+  // Загрузка готового массива (пользовательский ввод или файл).
+  // Замеры сравнения по умолчанию переходят на загруженный массив
+  const loadArray = (newArray) => {
+    keepLoadedArray.current = newArray.length !== arraySize;
+    setFreshInputs(false);
+    setArray(newArray);
+    setTable(null);
+    setArraySize(newArray.length);
+    setCurrentCompare([-1, -1]);
+    setCurrentSwap([-1, -1]);
+    setIsSorted(false);
+    setCurrentStep(0);
+    discardPlayer();
+    setStats(createEmptyStats());
+  };
+  
   // Применение пользовательского ввода
   const applyUserInput = () => {
     try {
@@ -222,137 +373,96 @@ const SortingVisualizer = () => {
         .split(/[,;\s]+/)
         .map(val => val.trim())
         .filter(val => val !== '')
-        .map(val => parseInt(val, 10));
+        .map(Number);
       
       // Проверяем корректность
-      if (inputArray.length === 0 || inputArray.some(isNaN)) {
+      if (inputArray.length === 0 || !inputArray.every(Number.isFinite)) {
         alert('Пожалуйста, введите корректный массив чисел, разделенных запятыми или пробелами.');
         return;
       }
       
-      // Нормализуем значения в диапазон 5-80
-      const min = Math.min(...inputArray);
-      const max = Math.max(...inputArray);
-      const range = max - min;
-      
-      const normalizedArray = inputArray.map(val => {
-        return range === 0 ? 40 : Math.floor(5 + (val - min) * 75 / range);
-      });
-      
-      setArray(normalizedArray);
-      setArraySize(normalizedArray.length);
-      setCurrentCompare([-1, -1]);
-      setCurrentSwap([-1, -1]);
-      setIsSorted(false);
-      setCurrentStep(0);
-      setAnimationHistory([]);
-      setStats({
-        comparisons: 0,
-        swaps: 0,
-        time: 0
-      });
+      // Значения сохраняются как есть, высоту элементов определяет представление
+      loadArray(inputArray);
     } catch (error) {
       alert('Произошла ошибка при обработке ввода: ' + error.message);
     }
   };
   
-  // Обработчик загрузки файла
+  // Обработчик загрузки файла: содержимое открывается в мастере импорта
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
+    // Сброс поля, чтобы тот же файл можно было выбрать повторно
+    e.target.value = '';
     if (!file) return;
     
     const reader = new FileReader();
-    
     reader.onload = (event) => {
-      try {
-        const content = event.target.result;
-        let parsedData = [];
-        
-        if (file.name.endsWith('.json')) {
-          // Обработка JSON файла
-          parsedData = JSON.parse(content);
-          if (Array.isArray(parsedData)) {
-            setFileData(parsedData);
-          } else if (parsedData.data && Array.isArray(parsedData.data)) {
-            setFileData(parsedData.data);
-          } else {
-            alert('Неверный формат JSON. Ожидается массив чисел или объект с полем "data".');
-            return;
-          }
-        } else if (file.name.endsWith('.csv')) {
-          // Обработка CSV файла
-          const result = Papa.parse(content, {
-            header: false,
-            dynamicTyping: true
-          });
-          
-          if (result.data && result.data.length > 0) {
-            // Берем первую строку данных
-            parsedData = result.data[0].filter(val => typeof val === 'number' && !isNaN(val));
-            
-            // Если нет данных в первой строке, попробуем взять данные из первого столбца
-            if (parsedData.length === 0 && result.data.length > 1) {
-              parsedData = result.data.map(row => row[0]).filter(val => typeof val === 'number' && !isNaN(val));
-            }
-            
-            setFileData(parsedData);
-          } else {
-            alert('Неверный формат CSV. Проверьте файл.');
-            return;
-          }
-        } else {
-          alert('Поддерживаются только файлы .json и .csv');
-          return;
-        }
-        
-        // Применяем данные из файла
-        if (parsedData.length > 0) {
-          // Нормализуем значения в диапазон 5-80
-          const min = Math.min(...parsedData);
-          const max = Math.max(...parsedData);
-          const range = max - min;
-          
-          const normalizedArray = parsedData.map(val => {
-            return range === 0 ? 40 : Math.floor(5 + (val - min) * 75 / range);
-          });
-          
-          setArray(normalizedArray);
-          setArraySize(normalizedArray.length);
-          setCurrentCompare([-1, -1]);
-          setCurrentSwap([-1, -1]);
-          setIsSorted(false);
-          setCurrentStep(0);
-          setAnimationHistory([]);
-          setStats({
-            comparisons: 0,
-            swaps: 0,
-            time: 0
-          });
-        }
-      } catch (error) {
-        alert('Ошибка при обработке файла: ' + error.message);
-      }
+      setImportFile({ name: file.name, text: event.target.result });
     };
-    
-    if (file.name.endsWith('.json') || file.name.endsWith('.csv')) {
-      reader.readAsText(file);
-    } else {
-      alert('Поддерживаются только файлы .json и .csv');
-    }
+    reader.onerror = () => {
+      alert('Ошибка при чтении файла: ' + reader.error.message);
+    };
+    reader.readAsText(file);
+  };
+  
+  // Загрузка выбранных в мастере импорта значений
+  const handleImport = (values) => {
+    setImportFile(null);
+    loadArray(values);
+  };
+  
+  // Загрузка таблицы из мастера импорта: сортируются строки целиком
+  const handleImportTable = ({ columns, rows, sortKeys }) => {
+    setImportFile(null);
+    discardPlayer();
+    setTable({ columns, rows });
+    setTableSortKeys(sortKeys);
+    setTableOrder(null);
+    setCurrentCompare([-1, -1]);
+    setCurrentSwap([-1, -1]);
+    setIsSorted(false);
+    setCurrentStep(0);
+    setStats(createEmptyStats());
+  };
+  
+  // Смена ключей сортировки: таблицу можно отсортировать заново с текущего порядка
+  const handleTableSortKeysChange = (sortKeys) => {
+    setTableSortKeys(sortKeys);
+    discardPlayer();
+    setIsSorted(false);
   };
+  
+  // Строки таблицы { cells, tag } в текущем порядке (tag - номер строки в файле)
+  const getTableRows = () => (tableOrder || table.rows.map((cells, index) => index))
+    .map(tag => ({ cells: table.rows[tag], tag }));
 
   // Экспорт статистики в JSON
   const exportStatsToJSON = () => {
     const exportData = {
       algorithm: selectedAlgorithm,
       algorithmName: ALGORITHMS[selectedAlgorithm],
+      order: sortOrder,
+      sortKey: keyPreset,
+      params: paramsOf(selectedAlgorithm),
       arraySize: array.length,
       comparisons: stats.comparisons,
       swaps: stats.swaps,
+      writes: stats.writes,
+      maxRecursionDepth: stats.maxDepth,
       executionTime: stats.time,
+      values: array,
       timestamp: new Date().toISOString()
     };
     
+    // Таблица в текущем (отсортированном) порядке строк
+    if (table) {
+      exportData.table = {
+        columns: table.columns,
+        sortKeys: tableSortKeys.map(({ column, order, type }) => ({ column: table.columns[column], order, type })),
+        rows: getTableRows().map(row => row.cells)
+      };
+    }
+    
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -367,18 +477,29 @@ const SortingVisualizer = () => {
   // Экспорт статистики в CSV
   const exportStatsToCSV = () => {
     const exportData = [
-      ['Algorithm', 'Algorithm Name', 'Array Size', 'Comparisons', 'Swaps', 'Execution Time (s)', 'Timestamp'],
+      ['Algorithm', 'Algorithm Name', 'Order', 'Sort Key', 'Params', 'Array Size', 'Comparisons', 'Swaps', 'Writes', 'Max Recursion Depth', 'Execution Time (s)', 'Values', 'Timestamp'],
       [
         selectedAlgorithm,
         ALGORITHMS[selectedAlgorithm],
+        sortOrder,
+        keyPreset,
+        Object.entries(paramsOf(selectedAlgorithm)).map(([name, value]) => `${name}=${value}`).join(' '),
         array.length,
         stats.comparisons,
         stats.swaps,
+        stats.writes,
+        stats.maxDepth,
         stats.time,
+        array.join(' '),
         new Date().toISOString()
       ]
     ];
     
+    // Таблица в текущем порядке строк - после пустой строки
+    if (table) {
+      exportData.push([], table.columns, ...getTableRows().map(row => row.cells));
+    }
+    
     const csv = Papa.unparse(exportData);
     const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
     const url = URL.createObjectURL(blob);
@@ -393,1477 +514,334 @@ const SortingVisualizer = () => {
   
   // Включение/выключение пошагового режима
   const toggleStepMode = () => {
-    if (isSorting) return;
+    if (isSorting || isPaused) return;
     setIsStepMode(!isStepMode);
   };
   
-  // Функция для выполнения одного шага вперед
-  const stepForward = () => {
-    if (currentStep >= animationHistory.length - 1) return;
-    
-    const nextStep = currentStep + 1;
-    const animation = animationHistory[nextStep];
-    
-    if (animation.type === 'compare') {
-      setCurrentCompare(animation.indices);
-      setStats(prevStats => ({
-        ...prevStats,
-        comparisons: prevStats.comparisons + 1
-      }));
-    } else if (animation.type === 'swap') {
-      setCurrentSwap(animation.indices);
-      setStats(prevStats => ({
-        ...prevStats,
-        swaps: prevStats.swaps + 1
-      }));
-      
-      // Обновление массива после перестановки
-      setArray(prevArray => {
-        const newArray = [...prevArray];
-        const [i, j] = animation.indices;
-        const temp = newArray[i];
-        newArray[i] = newArray[j];
-        newArray[j] = temp;
-        return newArray;
-      });
-    } else if (animation.type === 'replace') {
-      // Обновление массива при замене значения (для сортировки слиянием)
-      setArray(prevArray => {
-        const newArray = [...prevArray];
-        newArray[animation.index] = animation.value;
-        return newArray;
-      });
-    }
-    
-    setCurrentStep(nextStep);
-    
-    // Если это последний шаг, завершаем сортировку
-    if (nextStep === animationHistory.length - 1) {
-      setCurrentCompare([-1, -1]);
-      setCurrentSwap([-1, -1]);
-      setIsSorted(true);
-    }
-  };
-  
-  // Функция для выполнения одного шага назад
-  const stepBackward = () => {
-    if (currentStep <= 0) return;
-    
-    // Восстанавливаем состояние до текущего шага
-    setArray([...animationState.current.array]);
-    setCurrentCompare([-1, -1]);
-    setCurrentSwap([-1, -1]);
-    setCurrentStep(0);
-    setStats({
-      comparisons: 0,
-      swaps: 0,
-      time: 0
-    });
-    
-    // Применяем все шаги до предыдущего
-    for (let i = 0; i < currentStep - 1; i++) {
-      const animation = animationHistory[i];
-      
-      if (animation.type === 'compare') {
-        setStats(prevStats => ({
-          ...prevStats,
-          comparisons: prevStats.comparisons + 1
-        }));
-      } else if (animation.type === 'swap') {
-        setStats(prevStats => ({
-          ...prevStats,
-          swaps: prevStats.swaps + 1
-        }));
-        
-        // Обновление массива после перестановки
-        setArray(prevArray => {
-          const newArray = [...prevArray];
-          const [i, j] = animation.indices;
-          const temp = newArray[i];
-          newArray[i] = newArray[j];
-          newArray[j] = temp;
-          return newArray;
-        });
-      } else if (animation.type === 'replace') {
-        // Обновление массива при замене значения (для сортировки слиянием)
-        setArray(prevArray => {
-          const newArray = [...prevArray];
-          newArray[animation.index] = animation.value;
-          return newArray;
-        });
-      }
-    }
-    
-    setCurrentStep(currentStep - 1);
-    
-    // Показываем текущую операцию для предыдущего шага
-    const prevAnimation = animationHistory[currentStep - 1];
-    if (prevAnimation.type === 'compare') {
-      setCurrentCompare(prevAnimation.indices);
-    } else if (prevAnimation.type === 'swap') {
-      setCurrentSwap(prevAnimation.indices);
-    }
-    
+  // Включение/выключение режима записей (ключ и метка исходной позиции)
+  const toggleRecordMode = () => {
+    if (isSorting || isPaused) return;
+    setIsRecordMode(!isRecordMode);
+    discardPlayer();
     setIsSorted(false);
   };
-
-  // Запуск сортировки
-  const startSorting = () => {
-    if (isSorting || isSorted) return;
-    
-    setIsSorting(!isStepMode);
-    setIsPaused(false);
-    setStats({
-      comparisons: 0,
-      swaps: 0,
-      time: 0
-    });
-    
-    // Копируем исходный массив для пошагового режима
-    animationState.current.array = [...array];
-    
-    const startTime = performance.now();
-    
-    // Выбор алгоритма сортировки
-    switch (selectedAlgorithm) {
-      case 'BUBBLE':
-        bubbleSort();
-        break;
-      case 'SELECTION':
-        selectionSort();
-        break;
-      case 'INSERTION':
-        insertionSort();
-        break;
-      case 'MERGE':
-        mergeSort();
-        break;
-      case 'QUICK':
-        quickSort();
-        break;
-      case 'HEAP':
-        heapSort();
-        break;
-      case 'COUNTING':
-        countingSort();
-        break;
-      case 'BUCKET':
-        bucketSort();
-        break;
-      case 'RADIX':
-        radixSort();
-        break;
-      case 'SHELL':
-        shellSort();
-        break;
-      case 'TIM':
-        timSort();
-        break;
-      default:
-        bubbleSort();
-    }
-    
-    // В пошаговом режиме не устанавливаем таймер для времени
-    if (!isStepMode) {
-      // Установка статистики времени после завершения
-      const timerId = setTimeout(() => {
-        const endTime = performance.now();
-        setStats(prevStats => ({
-          ...prevStats,
-          time: ((endTime - startTime) / 1000).toFixed(2)
-        }));
-      }, timeouts.current.length * (101 - sortingSpeed));
-      
-      timeouts.current.push(timerId);
-    }
-  };
   
-  // Прерывание сортировки
-  const pauseSorting = () => {
-    if (!isSorting || isSorted) return;
-    
-    setIsPaused(true);
-    setIsSorting(false);
-    
-    // Очистка всех оставшихся таймаутов
-    timeouts.current.forEach(timeout => clearTimeout(timeout));
-    timeouts.current = [];
-    
-    // Обновляем время выполнения на момент остановки
-    const endTime = performance.now();
-    setStats(prevStats => ({
-      ...prevStats,
-      time: ((endTime - performance.now() + prevStats.time * 1000) / 1000).toFixed(2)
-    }));
+  // Остановка проигрывателя и прерывание алгоритма.
+  // Метки записей снова соответствуют текущим позициям.
+  const discardPlayer = () => {
+    if (player.current) player.current.destroy();
+    player.current = null;
+    setTotalSteps(0);
+    setLoadedSteps(0);
+    setIsPaused(false);
+    setCurrentLine(null);
+    setCurrentVars(null);
+    setCurrentMarks(null);
+    setTags(null);
+    setStability(null);
   };
   
-  // Запуск сравнения алгоритмов
-  const startComparing = () => {
-    if (isSorting || algorithmsToCompare.length === 0) return;
-    
-    setCompareResults([]);
-    const results = [];
-    const originalArray = [...array];
-    
-    // Для каждого выбранного алгоритма запускаем сортировку и собираем статистику
-    algorithmsToCompare.forEach(algorithm => {
-      const arrayCopy = [...originalArray];
-      const startTime = performance.now();
-      let comparisonStats = {
-        comparisons: 0,
-        swaps: 0
-      };
-      
-      switch (algorithm) {
-        case 'BUBBLE':
-          bubbleSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'SELECTION':
-          selectionSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'INSERTION':
-          insertionSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'MERGE':
-          mergeSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'QUICK':
-          quickSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'HEAP':
-          heapSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'COUNTING':
-          countingSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'BUCKET':
-          bucketSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'RADIX':
-          radixSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'SHELL':
-          shellSortForCompare(arrayCopy, comparisonStats);
-          break;
-        case 'TIM':
-          timSortForCompare(arrayCopy, comparisonStats);
-          break;
-      }
-      
-      const endTime = performance.now();
-      const executionTime = ((endTime - startTime) / 1000).toFixed(6);
-      
-      results.push({
-        algorithm,
-        algorithmName: ALGORITHMS[algorithm],
-        comparisons: comparisonStats.comparisons,
-        swaps: comparisonStats.swaps,
-        executionTime
-      });
-    });
-    
-    // Сортируем результаты по времени выполнения
-    results.sort((a, b) => parseFloat(a.executionTime) - parseFloat(b.executionTime));
-    setCompareResults(results);
-  };
-
-  // Функция для добавления статистики сравнений
-  const addComparison = () => {
-    setStats(prevStats => ({
-      ...prevStats,
-      comparisons: prevStats.comparisons + 1
-    }));
-  };
-
-  // Функция для добавления статистики перестановок
-  const addSwap = () => {
-    setStats(prevStats => ({
-      ...prevStats,
-      swaps: prevStats.swaps + 1
-    }));
-  };
-
-  // Обработчик выбора алгоритма для сравнения
-  const handleCompareAlgorithmChange = (e) => {
-    const algorithm = e.target.value;
-    if (e.target.checked) {
-      setAlgorithmsToCompare([...algorithmsToCompare, algorithm]);
+  // Перенос состояния проигрывателя в состояние компонента (один раз за кадр)
+  const showFrame = (current) => {
+    if (table) {
+      setTableOrder(current.values.map(row => row.tag));
+    } else if (isRecordMode) {
+      setArray(current.values.map(recordKey));
+      setTags(current.values.map(record => record.tag));
+      setStability(current.isDone ? findStabilityViolations(current.values, recordSortKey) : null);
     } else {
-      setAlgorithmsToCompare(algorithmsToCompare.filter(a => a !== algorithm));
-    }
-  };
-
-  // ===== АЛГОРИТМЫ СОРТИРОВКИ =====
-
-  // ПУЗЫРЬКОВАЯ СОРТИРОВКА
-  const bubbleSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n - i - 1; j++) {
-        // Сравнение элементов
-        animations.push({
-          type: 'compare',
-          indices: [j, j + 1]
-        });
-        
-        if (arrayCopy[j] > arrayCopy[j + 1]) {
-          // Перестановка элементов
-          animations.push({
-            type: 'swap',
-            indices: [j, j + 1]
-          });
-          
-          const temp = arrayCopy[j];
-          arrayCopy[j] = arrayCopy[j + 1];
-          arrayCopy[j + 1] = temp;
-        }
-      }
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-
-  // СОРТИРОВКА ВЫБОРОМ
-  const selectionSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    for (let i = 0; i < n - 1; i++) {
-      let minIdx = i;
-      
-      for (let j = i + 1; j < n; j++) {
-        // Сравнение элементов
-        animations.push({
-          type: 'compare',
-          indices: [minIdx, j]
-        });
-        
-        if (arrayCopy[j] < arrayCopy[minIdx]) {
-          minIdx = j;
-        }
-      }
-      
-      // Если минимальный элемент не текущий, меняем их местами
-      if (minIdx !== i) {
-        animations.push({
-          type: 'swap',
-          indices: [i, minIdx]
-        });
-        
-        const temp = arrayCopy[i];
-        arrayCopy[i] = arrayCopy[minIdx];
-        arrayCopy[minIdx] = temp;
-      }
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-
-  // СОРТИРОВКА ВСТАВКАМИ
-  const insertionSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    for (let i = 1; i < n; i++) {
-      const key = arrayCopy[i];
-      let j = i - 1;
-      
-      while (j >= 0) {
-        // Сравнение элементов
-        animations.push({
-          type: 'compare',
-          indices: [j, j + 1]
-        });
-        
-        if (arrayCopy[j] > key) {
-          animations.push({
-            type: 'swap',
-            indices: [j, j + 1]
-          });
-          
-          arrayCopy[j + 1] = arrayCopy[j];
-          j--;
-        } else {
-          break;
-        }
-      }
-      
-      arrayCopy[j + 1] = key;
+      setArray([...current.values]);
     }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-
-  // СОРТИРОВКА СЛИЯНИЕМ
-  const mergeSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    
-    // Вспомогательная функция для рекурсивной сортировки
-    const mergeSortHelper = (arr, start, end) => {
-      if (start >= end) return;
-      
-      const mid = Math.floor((start + end) / 2);
-      mergeSortHelper(arr, start, mid);
-      mergeSortHelper(arr, mid + 1, end);
-      merge(arr, start, mid, end);
-    };
-    
-    // Функция слияния двух отсортированных подмассивов
-    const merge = (arr, start, mid, end) => {
-      const left = arr.slice(start, mid + 1);
-      const right = arr.slice(mid + 1, end + 1);
-      
-      let i = 0, j = 0, k = start;
-      
-      while (i < left.length && j < right.length) {
-        // Сравнение элементов
-        animations.push({
-          type: 'compare',
-          indices: [start + i, mid + 1 + j]
-        });
-        
-        if (left[i] <= right[j]) {
-          animations.push({
-            type: 'replace',
-            index: k,
-            value: left[i]
-          });
-          arr[k++] = left[i++];
-        } else {
-          animations.push({
-            type: 'replace',
-            index: k,
-            value: right[j]
-          });
-          arr[k++] = right[j++];
-        }
-      }
-      
-      // Оставшиеся элементы left
-      while (i < left.length) {
-        animations.push({
-          type: 'replace',
-          index: k,
-          value: left[i]
-        });
-        arr[k++] = left[i++];
-      }
-      
-      // Оставшиеся элементы right
-      while (j < right.length) {
-        animations.push({
-          type: 'replace',
-          index: k,
-          value: right[j]
-        });
-        arr[k++] = right[j++];
-      }
-    };
-    
-    // Запуск сортировки слиянием
-    mergeSortHelper(arrayCopy, 0, arrayCopy.length - 1);
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-
-  // БЫСТРАЯ СОРТИРОВКА
-  const quickSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    
-    // Вспомогательная функция для рекурсивной сортировки
-    const quickSortHelper = (arr, low, high) => {
-      if (low < high) {
-        const pivotIndex = partition(arr, low, high);
-        quickSortHelper(arr, low, pivotIndex - 1);
-        quickSortHelper(arr, pivotIndex + 1, high);
-      }
-    };
-    
-    // Функция разделения массива
-    const partition = (arr, low, high) => {
-      const pivot = arr[high];
-      let i = low - 1;
-      
-      for (let j = low; j < high; j++) {
-        // Сравнение с опорным элементом
-        animations.push({
-          type: 'compare',
-          indices: [j, high]
-        });
-        
-        if (arr[j] < pivot) {
-          i++;
-          
-          // Перестановка элементов
-          animations.push({
-            type: 'swap',
-            indices: [i, j]
-          });
-          
-          const temp = arr[i];
-          arr[i] = arr[j];
-          arr[j] = temp;
-        }
-      }
-      
-      // Перестановка опорного элемента
-      animations.push({
-        type: 'swap',
-        indices: [i + 1, high]
-      });
-      
-      const temp = arr[i + 1];
-      arr[i + 1] = arr[high];
-      arr[high] = temp;
-      
-      return i + 1;
-    };
-    
-    // Запуск быстрой сортировки
-    quickSortHelper(arrayCopy, 0, arrayCopy.length - 1);
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-
-  // ПИРАМИДАЛЬНАЯ СОРТИРОВКА
-  const heapSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    // Построение максимальной кучи
-    const buildMaxHeap = () => {
-      for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
-        heapify(i, n);
-      }
-    };
-    
-    // Функция поддержки свойств кучи
-    const heapify = (i, heapSize) => {
-      const left = 2 * i + 1;
-      const right = 2 * i + 2;
-      let largest = i;
-      
-      if (left < heapSize) {
-        animations.push({
-          type: 'compare',
-          indices: [left, largest]
-        });
-        
-        if (arrayCopy[left] > arrayCopy[largest]) {
-          largest = left;
-        }
-      }
-      
-      if (right < heapSize) {
-        animations.push({
-          type: 'compare',
-          indices: [right, largest]
-        });
-        
-        if (arrayCopy[right] > arrayCopy[largest]) {
-          largest = right;
-        }
-      }
-      
-      if (largest !== i) {
-        animations.push({
-          type: 'swap',
-          indices: [i, largest]
-        });
-        
-        const temp = arrayCopy[i];
-        arrayCopy[i] = arrayCopy[largest];
-        arrayCopy[largest] = temp;
-        
-        heapify(largest, heapSize);
-      }
-    };
-    
-    // Запуск пирамидальной сортировки
-    buildMaxHeap();
-    
-    for (let i = n - 1; i > 0; i--) {
-      animations.push({
-        type: 'swap',
-        indices: [0, i]
-      });
-      
-      const temp = arrayCopy[0];
-      arrayCopy[0] = arrayCopy[i];
-      arrayCopy[i] = temp;
-      
-      heapify(0, i);
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-
-  // СОРТИРОВКА ПОДСЧЕТОМ
-  const countingSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    // Находим максимальное и минимальное значение
-    let min = arrayCopy[0];
-    let max = arrayCopy[0];
-    
-    for (let i = 1; i < n; i++) {
-      animations.push({
-        type: 'compare',
-        indices: [0, i]
-      });
-      
-      if (arrayCopy[i] < min) min = arrayCopy[i];
-      if (arrayCopy[i] > max) max = arrayCopy[i];
-    }
-    
-    const range = max - min + 1;
-    const count = Array(range).fill(0);
-    const output = Array(n).fill(0);
-    
-    // Подсчет вхождений
-    for (let i = 0; i < n; i++) {
-      count[arrayCopy[i] - min]++;
-    }
-    
-    // Вычисление кумулятивной суммы
-    for (let i = 1; i < range; i++) {
-      count[i] += count[i - 1];
-    }
-    
-    // Построение отсортированного массива
-    for (let i = n - 1; i >= 0; i--) {
-      animations.push({
-        type: 'compare',
-        indices: [i, count[arrayCopy[i] - min] - 1]
-      });
-      
-      animations.push({
-        type: 'replace',
-        index: count[arrayCopy[i] - min] - 1,
-        value: arrayCopy[i]
-      });
-      
-      output[count[arrayCopy[i] - min] - 1] = arrayCopy[i];
-      count[arrayCopy[i] - min]--;
-    }
-    
-    // Копируем отсортированный массив обратно в исходный
-    for (let i = 0; i < n; i++) {
-      animations.push({
-        type: 'replace',
-        index: i,
-        value: output[i]
-      });
-      
-      arrayCopy[i] = output[i];
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-  
-  // БЛОЧНАЯ СОРТИРОВКА
-  const bucketSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    // Находим максимальное и минимальное значение
-    let min = arrayCopy[0];
-    let max = arrayCopy[0];
-    
-    for (let i = 1; i < n; i++) {
-      animations.push({
-        type: 'compare',
-        indices: [0, i]
-      });
-      
-      if (arrayCopy[i] < min) min = arrayCopy[i];
-      if (arrayCopy[i] > max) max = arrayCopy[i];
-    }
-    
-    // Определяем количество блоков
-    const bucketCount = Math.floor(Math.sqrt(n));
-    const range = max - min;
-    const buckets = Array.from({ length: bucketCount }, () => []);
-    
-    // Распределяем элементы по блокам
-    for (let i = 0; i < n; i++) {
-      const bucketIndex = Math.min(
-        Math.floor(bucketCount * (arrayCopy[i] - min) / range),
-        bucketCount - 1
-      );
-      
-      animations.push({
-        type: 'compare',
-        indices: [i, i]
-      });
-      
-      buckets[bucketIndex].push(arrayCopy[i]);
-    }
-    
-    // Сортируем каждый блок и собираем обратно
-    let currentIndex = 0;
-    
-    for (let i = 0; i < bucketCount; i++) {
-      // Сортируем блок методом вставок
-      buckets[i].sort((a, b) => a - b);
-      
-      // Собираем элементы обратно
-      for (let j = 0; j < buckets[i].length; j++) {
-        animations.push({
-          type: 'replace',
-          index: currentIndex,
-          value: buckets[i][j]
-        });
-        
-        arrayCopy[currentIndex++] = buckets[i][j];
-      }
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-  
-  // ПОРАЗРЯДНАЯ СОРТИРОВКА
-  const radixSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    // Находим максимальное значение
-    let max = arrayCopy[0];
-    for (let i = 1; i < n; i++) {
-      animations.push({
-        type: 'compare',
-        indices: [0, i]
-      });
-      
-      if (arrayCopy[i] > max) max = arrayCopy[i];
-    }
-    
-    // Выполняем сортировку подсчетом для каждого разряда
-    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
-      const count = Array(10).fill(0);
-      const output = Array(n).fill(0);
-      
-      // Подсчет количества элементов с определенной цифрой
-      for (let i = 0; i < n; i++) {
-        const digit = Math.floor(arrayCopy[i] / exp) % 10;
-        count[digit]++;
-      }
-      
-      // Вычисление кумулятивной суммы
-      for (let i = 1; i < 10; i++) {
-        count[i] += count[i - 1];
-      }
-      
-      // Построение отсортированного массива
-      for (let i = n - 1; i >= 0; i--) {
-        const digit = Math.floor(arrayCopy[i] / exp) % 10;
-        
-        animations.push({
-          type: 'compare',
-          indices: [i, count[digit] - 1]
-        });
-        
-        animations.push({
-          type: 'replace',
-          index: count[digit] - 1,
-          value: arrayCopy[i]
-        });
-        
-        output[count[digit] - 1] = arrayCopy[i];
-        count[digit]--;
-      }
-      
-      // Копируем отсортированный массив обратно в исходный
-      for (let i = 0; i < n; i++) {
-        animations.push({
-          type: 'replace',
-          index: i,
-          value: output[i]
-        });
-        
-        arrayCopy[i] = output[i];
-      }
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-  
-  // СОРТИРОВКА ШЕЛЛА
-  const shellSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    
-    // Последовательность промежутков Кнута
-    let gap = 1;
-    while (gap < n / 3) gap = 3 * gap + 1;
-    
-    while (gap >= 1) {
-      // Сортировка вставками с увеличенным промежутком
-      for (let i = gap; i < n; i++) {
-        for (let j = i; j >= gap; j -= gap) {
-          animations.push({
-            type: 'compare',
-            indices: [j, j - gap]
-          });
-          
-          if (arrayCopy[j] < arrayCopy[j - gap]) {
-            animations.push({
-              type: 'swap',
-              indices: [j, j - gap]
-            });
-            
-            const temp = arrayCopy[j];
-            arrayCopy[j] = arrayCopy[j - gap];
-            arrayCopy[j - gap] = temp;
-          } else {
-            break;
-          }
-        }
-      }
-      
-      // Уменьшаем промежуток
-      gap = Math.floor(gap / 3);
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-  
-  // TIMSORT
-  const timSort = () => {
-    const arrayCopy = [...array];
-    const animations = [];
-    const n = arrayCopy.length;
-    const RUN = 32; // Размер подмассива для сортировки вставками
-    
-    // Сортировка вставками для небольших подмассивов
-    for (let i = 0; i < n; i += RUN) {
-      const end = Math.min(i + RUN - 1, n - 1);
-      insertionSortForRun(arrayCopy, i, end, animations);
-    }
-    
-    // Слияние подмассивов
-    for (let size = RUN; size < n; size = 2 * size) {
-      for (let left = 0; left < n; left += 2 * size) {
-        const mid = left + size - 1;
-        const right = Math.min(left + 2 * size - 1, n - 1);
-        
-        if (mid < right) {
-          merge(arrayCopy, left, mid, right, animations);
-        }
-      }
-    }
-    
-    // Воспроизведение анимаций
-    animateSorting(animations, arrayCopy);
-  };
-  
-  // Вспомогательная функция для Timsort - сортировка вставками для подмассива
-  const insertionSortForRun = (arr, start, end, animations) => {
-    for (let i = start + 1; i <= end; i++) {
-      const key = arr[i];
-      let j = i - 1;
-      
-      animations.push({
-        type: 'compare',
-        indices: [i, j]
-      });
-      
-      while (j >= start && arr[j] > key) {
-        animations.push({
-          type: 'swap',
-          indices: [j + 1, j]
-        });
-        
-        arr[j + 1] = arr[j];
-        j--;
-        
-        if (j >= start) {
-          animations.push({
-            type: 'compare',
-            indices: [i, j]
-          });
-        }
-      }
-      
-      arr[j + 1] = key;
-    }
-  };
-  
-  // Вспомогательная функция для Timsort - слияние подмассивов
-  const merge = (arr, start, mid, end, animations) => {
-    const left = arr.slice(start, mid + 1);
-    const right = arr.slice(mid + 1, end + 1);
-    
-    let i = 0, j = 0, k = start;
-    
-    while (i < left.length && j < right.length) {
-      animations.push({
-        type: 'compare',
-        indices: [start + i, mid + 1 + j]
-      });
-      
-      if (left[i] <= right[j]) {
-        animations.push({
-          type: 'replace',
-          index: k,
-          value: left[i]
-        });
-        arr[k++] = left[i++];
-      } else {
-        animations.push({
-          type: 'replace',
-          index: k,
-          value: right[j]
-        });
-        arr[k++] = right[j++];
-      }
-    }
-    
-    while (i < left.length) {
-      animations.push({
-        type: 'replace',
-        index: k,
-        value: left[i]
-      });
-      arr[k++] = left[i++];
-    }
-    
-    while (j < right.length) {
-      animations.push({
-        type: 'replace',
-        index: k,
-        value: right[j]
-      });
-      arr[k++] = right[j++];
-    }
-  };
-
-  // Функции сравнения алгоритмов без анимации
-  
-  // Пузырьковая сортировка для сравнения
-  const bubbleSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n - i - 1; j++) {
-        stats.comparisons++;
-        
-        if (arr[j] > arr[j + 1]) {
-          stats.swaps++;
-          
-          const temp = arr[j];
-          arr[j] = arr[j + 1];
-          arr[j + 1] = temp;
-        }
-      }
-    }
-    
-    return arr;
+    setStats({
+      ...current.stats,
+      time: (current.elapsed / 1000).toFixed(2)
+    });
+    setCurrentCompare(current.compare);
+    setCurrentSwap(current.swap);
+    setCurrentLine(current.line);
+    setCurrentVars(current.vars);
+    setCurrentMarks({ ...current.marks, final: new Set(current.marks.final) });
+    setCurrentStep(current.step);
+    setTotalSteps(current.totalSteps);
+    setLoadedSteps(current.loadedSteps);
+    setIsSorted(current.isDone);
   };
   
-  // Сортировка выбором для сравнения
-  const selectionSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    
-    for (let i = 0; i < n - 1; i++) {
-      let minIdx = i;
-      
-      for (let j = i + 1; j < n; j++) {
-        stats.comparisons++;
-        
-        if (arr[j] < arr[minIdx]) {
-          minIdx = j;
-        }
-      }
-      
-      if (minIdx !== i) {
-        stats.swaps++;
-        
-        const temp = arr[i];
-        arr[i] = arr[minIdx];
-        arr[minIdx] = temp;
-      }
-    }
-    
-    return arr;
+  // Завершение сортировки
+  const finishSorting = () => {
+    setCurrentCompare([-1, -1]);
+    setCurrentSwap([-1, -1]);
+    setCurrentLine(null);
+    setCurrentVars(null);
+    setIsSorting(false);
+    setIsSorted(true);
   };
   
-  // Сортировка вставками для сравнения
-  const insertionSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    
-    for (let i = 1; i < n; i++) {
-      const key = arr[i];
-      let j = i - 1;
-      
-      while (j >= 0) {
-        stats.comparisons++;
-        
-        if (arr[j] > key) {
-          stats.swaps++;
-          
-          arr[j + 1] = arr[j];
-          j--;
-        } else {
-          break;
-        }
-      }
-      
-      arr[j + 1] = key;
-    }
-    
-    return arr;
+  // Функция для выполнения одного шага вперед
+  const stepForward = () => {
+    if (!player.current) return;
+    player.current.stepForward();
   };
   
-  // Сортировка слиянием для сравнения
-  const mergeSortForCompare = (arr, stats) => {
-    const mergeSortHelper = (arr, start, end) => {
-      if (start >= end) return;
-      
-      const mid = Math.floor((start + end) / 2);
-      mergeSortHelper(arr, start, mid);
-      mergeSortHelper(arr, mid + 1, end);
-      mergeForCompare(arr, start, mid, end, stats);
-    };
-    
-    mergeSortHelper(arr, 0, arr.length - 1);
-    
-    return arr;
+  // Функция для выполнения одного шага назад
+  const stepBackward = () => {
+    if (!player.current || currentStep <= 0) return;
+    player.current.seek(currentStep - 1);
   };
   
-  const mergeForCompare = (arr, start, mid, end, stats) => {
-    const left = arr.slice(start, mid + 1);
-    const right = arr.slice(mid + 1, end + 1);
-    
-    let i = 0, j = 0, k = start;
-    
-    while (i < left.length && j < right.length) {
-      stats.comparisons++;
-      
-      if (left[i] <= right[j]) {
-        arr[k++] = left[i++];
-      } else {
-        arr[k++] = right[j++];
-      }
-      
-      stats.swaps++;
-    }
-    
-    while (i < left.length) {
-      arr[k++] = left[i++];
-      stats.swaps++;
-    }
-    
-    while (j < right.length) {
-      arr[k++] = right[j++];
-      stats.swaps++;
-    }
+  // Переход к произвольному шагу (через контрольные точки проигрывателя)
+  const seekToStep = (target) => {
+    if (!player.current) return;
+    player.current.seek(target);
   };
   
-  // Быстрая сортировка для сравнения
-  const quickSortForCompare = (arr, stats) => {
-    const quickSortHelper = (arr, low, high) => {
-      if (low < high) {
-        const pivotIndex = partitionForCompare(arr, low, high, stats);
-        quickSortHelper(arr, low, pivotIndex - 1);
-        quickSortHelper(arr, pivotIndex + 1, high);
-      }
-    };
-    
-    quickSortHelper(arr, 0, arr.length - 1);
-    
-    return arr;
+  // Обработчик перемещения по шкале времени
+  const handleTimelineChange = (e) => {
+    seekToStep(Number(e.target.value));
   };
   
-  const partitionForCompare = (arr, low, high, stats) => {
-    const pivot = arr[high];
-    let i = low - 1;
-    
-    for (let j = low; j < high; j++) {
-      stats.comparisons++;
-      
-      if (arr[j] < pivot) {
-        i++;
-        
-        stats.swaps++;
-        
-        const temp = arr[i];
-        arr[i] = arr[j];
-        arr[j] = temp;
-      }
-    }
-    
-    stats.swaps++;
-    
-    const temp = arr[i + 1];
-    arr[i + 1] = arr[high];
-    arr[high] = temp;
-    
-    return i + 1;
-  };
-  
-  // Пирамидальная сортировка для сравнения
-  const heapSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    
-    // Построение максимальной кучи
-    const buildMaxHeap = () => {
-      for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
-        heapifyForCompare(arr, i, n, stats);
-      }
-    };
-    
-    buildMaxHeap();
-    
-    for (let i = n - 1; i > 0; i--) {
-      stats.swaps++;
-      
-      const temp = arr[0];
-      arr[0] = arr[i];
-      arr[i] = temp;
-      
-      heapifyForCompare(arr, 0, i, stats);
-    }
-    
-    return arr;
-  };
+  // Переход к началу и к концу сортировки
+  const jumpToStart = () => seekToStep(0);
+  const jumpToEnd = () => seekToStep(Infinity);
   
-  const heapifyForCompare = (arr, i, heapSize, stats) => {
-    const left = 2 * i + 1;
-    const right = 2 * i + 2;
-    let largest = i;
-    
-    if (left < heapSize) {
-      stats.comparisons++;
-      
-      if (arr[left] > arr[largest]) {
-        largest = left;
-      }
-    }
-    
-    if (right < heapSize) {
-      stats.comparisons++;
-      
-      if (arr[right] > arr[largest]) {
-        largest = right;
-      }
-    }
-    
-    if (largest !== i) {
-      stats.swaps++;
-      
-      const temp = arr[i];
-      arr[i] = arr[largest];
-      arr[largest] = temp;
-      
-      heapifyForCompare(arr, largest, heapSize, stats);
-    }
+  // Выполнение шагов до ближайшей перестановки
+  const runToNextSwap = () => {
+    if (!player.current) return;
+    player.current.runUntil(OP_TYPES.SWAP);
   };
-  
-  // Сортировка подсчетом для сравнения
-  const countingSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    
-    let min = arr[0];
-    let max = arr[0];
-    
-    for (let i = 1; i < n; i++) {
-      stats.comparisons += 2;
-      
-      if (arr[i] < min) min = arr[i];
-      if (arr[i] > max) max = arr[i];
-    }
-    
-    const range = max - min + 1;
-    const count = Array(range).fill(0);
-    const output = Array(n).fill(0);
-    
-    for (let i = 0; i < n; i++) {
-      count[arr[i] - min]++;
-    }
-    
-    for (let i = 1; i < range; i++) {
-      count[i] += count[i - 1];
-    }
-    
-    for (let i = n - 1; i >= 0; i--) {
-      stats.comparisons++;
-      stats.swaps++;
-      
-      output[count[arr[i] - min] - 1] = arr[i];
-      count[arr[i] - min]--;
-    }
-    
-    for (let i = 0; i < n; i++) {
-      stats.swaps++;
-      
-      arr[i] = output[i];
-    }
-    
-    return arr;
+
+  // Подпись элемента, который алгоритм держит в переменной (например, pivot):
+  // строка таблицы, запись или число
+  const formatElement = (element) => {
+    if (table) return element.cells.join(' | ');
+    if (isRecordMode) return `${recordKey(element)} (#${element.tag})`;
+    return String(element);
   };
-  
-  // Блочная сортировка для сравнения
-  const bucketSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    
-    let min = arr[0];
-    let max = arr[0];
-    
-    for (let i = 1; i < n; i++) {
-      stats.comparisons += 2;
-      
-      if (arr[i] < min) min = arr[i];
-      if (arr[i] > max) max = arr[i];
-    }
-    
-    const bucketCount = Math.floor(Math.sqrt(n));
-    const range = max - min;
-    const buckets = Array.from({ length: bucketCount }, () => []);
+
+  // Пояснение над визуализацией: этап алгоритма и выполняемая строка псевдокода
+  const pseudocode = pseudocodeFor(selectedAlgorithm, paramsOf(selectedAlgorithm));
+  const activeLine = pseudocode.find(line => Array.isArray(line) && line[0] === currentLine);
+  const narration = isSorted
+    ? 'Массив отсортирован'
+    : [currentMarks && currentMarks.phase, activeLine && activeLine[1].trim()].filter(Boolean).join(' — ');
+
+  // Запуск сортировки
+  const startSorting = () => {
+    if (isSorting || isSorted || isPaused) return;
     
-    for (let i = 0; i < n; i++) {
-      stats.comparisons++;
-      
-      const bucketIndex = Math.min(
-        Math.floor(bucketCount * (arr[i] - min) / range),
-        bucketCount - 1
-      );
-      
-      buckets[bucketIndex].push(arr[i]);
+    setIsSorting(!isStepMode);
+    setIsPaused(false);
+    setStats(createEmptyStats());
+    
+    // Таблица сортируется составным компаратором по выбранным столбцам,
+    // в режиме записей сортируются пары (ключ, исходная позиция)
+    let input = array;
+    let options = { key: sortKey };
+    if (table) {
+      input = getTableRows();
+      const compare = createRowComparator(tableSortKeys);
+      options = { compare, key: rankKey(input, compare) };
+    } else if (isRecordMode) {
+      input = toRecords(array, tags);
+      options = { key: recordSortKey };
     }
     
-    let currentIndex = 0;
-    
-    for (let i = 0; i < bucketCount; i++) {
-      // Сортировка блока
-      buckets[i].sort((a, b) => {
-        stats.comparisons++;
-        if (a !== b) stats.swaps++;
-        return a - b;
-      });
-      
-      for (let j = 0; j < buckets[i].length; j++) {
-        stats.swaps++;
-        
-        arr[currentIndex++] = buckets[i][j];
-      }
-    }
+    // Проигрыватель ленивого потока операций выбранного алгоритма.
+    // В пошаговом режиме для перемотки назад хранятся контрольные точки,
+    // а дальше окна точек алгоритм запускается заново.
+    discardPlayer();
+    player.current = createPlayer({
+      input,
+      createStream: () => createSortStream(selectedAlgorithm, input, { ...options, params: algorithmParams }).stream,
+      speed: sortingSpeed,
+      keepHistory: isStepMode,
+      onFrame: showFrame,
+      onFinish: finishSorting
+    });
+    setTotalSteps(null);
+    setCurrentStep(0);
     
-    return arr;
+    if (isStepMode) {
+      // В пошаговом режиме только проверяем, что алгоритму есть что делать
+      if (player.current.isDone) finishSorting();
+    } else {
+      player.current.play();
+    }
   };
   
-  // Поразрядная сортировка для сравнения
-  const radixSortForCompare = (arr, stats) => {
-    const n = arr.length;
+  // Приостановка сортировки: проигрыватель и алгоритм сохраняются
+  // вместе с накопленной статистикой, чтобы можно было продолжить
+  const pauseSorting = () => {
+    if (!isSorting || isSorted || !player.current) return;
     
-    let max = arr[0];
-    for (let i = 1; i < n; i++) {
-      stats.comparisons++;
-      
-      if (arr[i] > max) max = arr[i];
-    }
+    setIsPaused(true);
+    setIsSorting(false);
     
-    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
-      const count = Array(10).fill(0);
-      const output = Array(n).fill(0);
-      
-      for (let i = 0; i < n; i++) {
-        const digit = Math.floor(arr[i] / exp) % 10;
-        count[digit]++;
-      }
-      
-      for (let i = 1; i < 10; i++) {
-        count[i] += count[i - 1];
-      }
-      
-      for (let i = n - 1; i >= 0; i--) {
-        const digit = Math.floor(arr[i] / exp) % 10;
-        
-        stats.comparisons++;
-        stats.swaps++;
-        
-        output[count[digit] - 1] = arr[i];
-        count[digit]--;
-      }
-      
-      for (let i = 0; i < n; i++) {
-        stats.swaps++;
-        
-        arr[i] = output[i];
-      }
-    }
+    player.current.pause();
+    showFrame(player.current);
+  };
+  
+  // Продолжение сортировки с операции, на которой она была приостановлена
+  const resumeSorting = () => {
+    if (!isPaused || !player.current) return;
     
-    return arr;
+    setIsPaused(false);
+    setIsSorting(true);
+    player.current.play();
   };
   
-  // Сортировка Шелла для сравнения
-  const shellSortForCompare = (arr, stats) => {
-    const n = arr.length;
+  // Запуск сравнения алгоритмов: повторные замеры в отдельном потоке
+  const startComparing = () => {
+    if (isSorting || isComparing || algorithmsToCompare.length === 0) return;
     
-    let gap = 1;
-    while (gap < n / 3) gap = 3 * gap + 1;
+    setCompareResults([]);
+    setCompareInput(freshInputs
+      ? `новый массив «${PRESET_DATA[selectedPreset]}» из ${array.length} элементов для каждого замера`
+      : `текущий массив из ${array.length} элементов`);
+    setBenchmarkProgress({ done: 0, total: 0 });
+    setIsComparing(true);
+    
+    // Сортировка Шелла может замеряться отдельной строкой на каждую
+    // последовательность промежутков
+    const variants = {};
+    const algorithms = algorithmsToCompare.flatMap(algorithm => {
+      if (algorithm !== 'SHELL' || !compareAllGaps) return [algorithm];
+      return Object.keys(GAP_SEQUENCES).map(gaps => {
+        const id = `SHELL:${gaps}`;
+        variants[id] = { algorithm, params: { ...algorithmParams, gaps } };
+        return id;
+      });
+    });
     
-    while (gap >= 1) {
-      for (let i = gap; i < n; i++) {
-        for (let j = i; j >= gap; j -= gap) {
-          stats.comparisons++;
-          
-          if (arr[j] < arr[j - gap]) {
-            stats.swaps++;
-            
-            const temp = arr[j];
-            arr[j] = arr[j - gap];
-            arr[j - gap] = temp;
-          } else {
-            break;
-          }
-        }
-      }
-      
-      gap = Math.floor(gap / 3);
-    }
+    const worker = new Worker(new URL('./engine/benchmark.worker.js', import.meta.url));
+    benchmarkWorker.current = worker;
     
-    return arr;
-  };
-  
-  // Timsort для сравнения
-  const timSortForCompare = (arr, stats) => {
-    const n = arr.length;
-    const RUN = 32;
+    // Замер прервался: поток останавливается, результатов нет
+    const fail = (message) => {
+      cancelComparing();
+      alert('Ошибка при сравнении алгоритмов: ' + message);
+    };
     
-    for (let i = 0; i < n; i += RUN) {
-      const end = Math.min(i + RUN - 1, n - 1);
-      insertionSortForRunCompare(arr, i, end, stats);
-    }
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fail(event.message);
+    };
     
-    for (let size = RUN; size < n; size = 2 * size) {
-      for (let left = 0; left < n; left += 2 * size) {
-        const mid = left + size - 1;
-        const right = Math.min(left + 2 * size - 1, n - 1);
-        
-        if (mid < right) {
-          mergeForCompare(arr, left, mid, right, stats);
-        }
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setBenchmarkProgress({ done: data.done, total: data.total });
+        return;
       }
-    }
+      if (data.type === 'error') {
+        fail(data.message);
+        return;
+      }
+      
+      // Сортируем результаты по медианному времени выполнения
+      const results = data.results
+        .map(result => {
+          const { algorithm, params } = variants[result.algorithm] || { algorithm: result.algorithm, params: algorithmParams };
+          const variant = describeVariant(algorithm, params);
+          const algorithmName = ALGORITHMS[algorithm];
+          return { ...result, algorithmName: variant ? `${algorithmName} (${variant})` : algorithmName };
+        })
+        .sort((a, b) => a.time.median - b.time.median);
+      setCompareResults(results);
+      cancelComparing();
+    };
     
-    return arr;
+    worker.postMessage({
+      task: 'benchmark',
+      options: {
+        algorithms,
+        input: array,
+        preset: freshInputs ? selectedPreset : null,
+        ordering,
+        params: algorithmParams,
+        variants,
+        checkStability,
+        warmup: benchmarkWarmup,
+        trials: benchmarkTrials
+      }
+    });
   };
   
-  const insertionSortForRunCompare = (arr, start, end, stats) => {
-    for (let i = start + 1; i <= end; i++) {
-      const key = arr[i];
-      let j = i - 1;
-      
-      stats.comparisons++;
-      
-      while (j >= start && arr[j] > key) {
-        stats.swaps++;
-        
-        arr[j + 1] = arr[j];
-        j--;
-        
-        if (j >= start) {
-          stats.comparisons++;
-        }
-      }
-      
-      arr[j + 1] = key;
-    }
+  // Остановка замера (результаты незавершенного замера отбрасываются)
+  const cancelComparing = () => {
+    if (benchmarkWorker.current) benchmarkWorker.current.terminate();
+    benchmarkWorker.current = null;
+    setIsComparing(false);
+  };
+  
+  // Обработчик изменения числа замеров и прогревочных прогонов
+  const handleTrialsChange = (e) => {
+    setBenchmarkTrials(Math.min(Math.max(Number(e.target.value) || 1, 1), 100));
+  };
+  
+  const handleWarmupChange = (e) => {
+    setBenchmarkWarmup(Math.min(Math.max(Number(e.target.value) || 0, 0), 20));
   };
 
-  // Функция анимации сортировки
-  const animateSorting = (animations, sortedArray) => {
-    if (isStepMode) {
-      // В пошаговом режиме сохраняем анимации и не запускаем автоматическое воспроизведение
-      setAnimationHistory(animations);
-      setCurrentStep(0);
-      return;
-    }
-    
-    timeouts.current.forEach(timeout => clearTimeout(timeout));
-    timeouts.current = [];
+  // Перенос состояния гонки в состояние компонента (один раз за кадр)
+  const showRaceFrame = (current) => {
+    setRaceLanes(current.lanes.map(({ algorithm, player: lanePlayer, place, finishedAt }) => ({
+      algorithm,
+      place,
+      finishedAt,
+      values: [...lanePlayer.values],
+      compare: lanePlayer.compare,
+      swap: lanePlayer.swap,
+      stats: { ...lanePlayer.stats },
+      step: lanePlayer.step
+    })));
+  };
+  
+  // Остановка и закрытие гонки
+  const closeRace = () => {
+    if (race.current) race.current.destroy();
+    race.current = null;
+    setRaceLanes(null);
+    setIsRacing(false);
+  };
+  
+  // Запуск гонки выбранных алгоритмов на текущем массиве
+  const startRace = () => {
+    if (isSorting || algorithmsToCompare.length === 0) return;
     
-    animations.forEach((animation, index) => {
-      const timeout = setTimeout(() => {
-        if (animation.type === 'compare') {
-          setCurrentCompare(animation.indices);
-          addComparison();
-        } else if (animation.type === 'swap') {
-          setCurrentSwap(animation.indices);
-          addSwap();
-          
-          // Обновление массива после перестановки
-          setArray(prevArray => {
-            const newArray = [...prevArray];
-            const [i, j] = animation.indices;
-            const temp = newArray[i];
-            newArray[i] = newArray[j];
-            newArray[j] = temp;
-            return newArray;
-          });
-        } else if (animation.type === 'replace') {
-          // Обновление массива при замене значения (для сортировки слиянием)
-          setArray(prevArray => {
-            const newArray = [...prevArray];
-            newArray[animation.index] = animation.value;
-            return newArray;
-          });
-        }
-        
-        // Если это последняя анимация, завершаем сортировку
-        if (index === animations.length - 1) {
-          setTimeout(() => {
-            setCurrentCompare([-1, -1]);
-            setCurrentSwap([-1, -1]);
-            setIsSorting(false);
-            setIsSorted(true);
-            // Проверка результата сортировки
-            setArray(sortedArray);
-          }, 300);
-        }
-      }, index * (101 - sortingSpeed));
-      
-      timeouts.current.push(timeout);
+    closeRace();
+    race.current = createRace({
+      input: array,
+      algorithms: algorithmsToCompare,
+      sortOptions: { key: sortKey, params: algorithmParams },
+      speed: sortingSpeed,
+      onFrame: showRaceFrame,
+      onFinish: () => setIsRacing(false)
     });
+    showRaceFrame(race.current);
+    setIsRacing(true);
+    race.current.play();
+  };
+  
+  const pauseRace = () => {
+    if (!race.current) return;
+    race.current.pause();
+    setIsRacing(false);
+  };
+  
+  const resumeRace = () => {
+    if (!race.current) return;
+    setIsRacing(true);
+    race.current.play();
   };
 
-  // Определение цвета столбца
-  const getBarColor = (index) => {
-    // Если сортировка завершена, все столбцы зеленые
-    if (isSorted) return isDarkMode ? 'bg-green-400' : 'bg-emerald-500';
-    
-    // Если элемент сравнивается
-    if (currentCompare.includes(index)) return 'bg-yellow-500';
-    
-    // Если элемент меняется местами
-    if (currentSwap.includes(index)) return 'bg-red-500';
-    
-    // Обычный цвет
-    return isDarkMode ? 'bg-green-600' : 'bg-emerald-400';
+  // Обработчик выбора алгоритма для сравнения
+  const handleCompareAlgorithmChange = (e) => {
+    const algorithm = e.target.value;
+    if (e.target.checked) {
+      setAlgorithmsToCompare([...algorithmsToCompare, algorithm]);
+    } else {
+      setAlgorithmsToCompare(algorithmsToCompare.filter(a => a !== algorithm));
+    }
   };
 
   return (
@@ -1885,7 +863,7 @@ const SortingVisualizer = () => {
                 className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
                 value={selectedAlgorithm}
                 onChange={handleAlgorithmChange}
-                disabled={isSorting}
+                disabled={isSorting || isPaused}
               >
                 {Object.entries(ALGORITHMS).map(([key, value]) => (
                   <option key={key} value={key}>{value}</option>
@@ -1896,12 +874,24 @@ const SortingVisualizer = () => {
             {/* Размер массива */}
             <div>
               <label className="block text-sm font-medium mb-2">
-                Размер массива: {arraySize}
+                Размер массива: {renderer === 'CANVAS' ? (
+                  <input 
+                    key={arraySize}
+                    type="number" 
+                    min="5" 
+                    max={MAX_ARRAY_SIZE.CANVAS} 
+                    defaultValue={arraySize} 
+                    onBlur={handleSizeChange}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSizeChange(e)}
+                    disabled={isSorting}
+                    className={`w-24 px-1 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded`}
+                  />
+                ) : arraySize}
               </label>
               <input 
                 type="range" 
                 min="5" 
-                max="100" 
+                max={MAX_ARRAY_SIZE[renderer]} 
                 value={arraySize} 
                 onChange={handleSizeChange}
                 disabled={isSorting}
@@ -1920,12 +910,105 @@ const SortingVisualizer = () => {
                 max="100" 
                 value={sortingSpeed} 
                 onChange={handleSpeedChange}
-                disabled={isSorting}
                 className={`w-full h-2 ${isDarkMode ? 'bg-green-900' : 'bg-emerald-200'} rounded-lg appearance-none cursor-pointer accent-emerald-600`}
               />
             </div>
           </div>
           
+          {/* Направление и ключ сортировки */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Порядок сортировки:</label>
+              <select 
+                className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
+                value={sortOrder}
+                onChange={handleSortOrderChange}
+                disabled={isSorting || isPaused || Boolean(table)}
+              >
+                {Object.entries(SORT_ORDERS).map(([key, value]) => (
+                  <option key={key} value={key}>{value}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Ключ сортировки:</label>
+              <select 
+                className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
+                value={keyPreset}
+                onChange={handleKeyPresetChange}
+                disabled={isSorting || isPaused || Boolean(table)}
+              >
+                {Object.entries(KEY_PRESETS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          
+          {/* Параметры выбранных алгоритмов */}
+          {[selectedAlgorithm, ...algorithmsToCompare].includes('QUICK') && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Опорный элемент (быстрая сортировка):</label>
+                <select 
+                  className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
+                  value={quickPivot}
+                  onChange={handleQuickPivotChange}
+                  disabled={isSorting || isPaused}
+                >
+                  {Object.entries(PIVOT_RULES).map(([key, value]) => (
+                    <option key={key} value={key}>{value}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Схема разбиения (быстрая сортировка):</label>
+                <select 
+                  className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
+                  value={quickPartition}
+                  onChange={handleQuickPartitionChange}
+                  disabled={isSorting || isPaused}
+                >
+                  {Object.entries(PARTITION_SCHEMES).map(([key, value]) => (
+                    <option key={key} value={key}>{value}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+          {[selectedAlgorithm, ...algorithmsToCompare].includes('SHELL') && (
+            <div className="mt-4">
+              <label className="block text-sm font-medium mb-2">Последовательность промежутков (сортировка Шелла):</label>
+              <select 
+                className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
+                value={shellGaps}
+                onChange={handleShellGapsChange}
+                disabled={isSorting || isPaused}
+              >
+                {Object.entries(GAP_SEQUENCES).map(([key, value]) => (
+                  <option key={key} value={key}>{value}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {[selectedAlgorithm, ...algorithmsToCompare].includes('COMB') && (
+            <div className="mt-4">
+              <label className="flex items-center text-sm font-medium">
+                Коэффициент уменьшения промежутка (сортировка расческой):
+                <input 
+                  type="number" 
+                  min="1.05" 
+                  max="3" 
+                  step="0.05" 
+                  value={combShrink} 
+                  onChange={handleCombShrinkChange}
+                  disabled={isSorting || isPaused}
+                  className={`ml-2 w-20 p-1 border rounded ${isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                />
+              </label>
+            </div>
+          )}
+          
           {/* Предустановленные наборы данных */}
           <div className="mt-4">
             <label className="block text-sm font-medium mb-2">Предустановленные наборы данных:</label>
@@ -1968,13 +1051,25 @@ const SortingVisualizer = () => {
             <label className="block text-sm font-medium mb-2">Загрузка массива из файла (CSV, JSON):</label>
             <input 
               type="file" 
-              accept=".csv,.json" 
+              accept=".csv,.tsv,.txt,.json" 
               onChange={handleFileUpload}
               disabled={isSorting}
               className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
             />
           </div>
           
+          {/* Ключи сортировки загруженной таблицы */}
+          {table && (
+            <TableSortPanel
+              columns={table.columns}
+              sortKeys={tableSortKeys}
+              disabled={isSorting || isPaused}
+              isDarkMode={isDarkMode}
+              onChange={handleTableSortKeysChange}
+              onClose={resetArray}
+            />
+          )}
+          
           {/* Масштаб визуализации */}
           <div className="mt-4">
             <label className="block text-sm font-medium mb-2">
@@ -2000,6 +1095,21 @@ const SortingVisualizer = () => {
               disabled={isSorting}
             >
               {Object.entries(DISPLAY_TYPES).map(([key, value]) => (
+                <option key={key} value={key} disabled={renderer === 'CANVAS' && !CANVAS_DISPLAY_TYPES.includes(key)}>{value}</option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Способ отрисовки */}
+          <div className="mt-4">
+            <label className="block text-sm font-medium mb-2">Отрисовка:</label>
+            <select 
+              className={`w-full p-2 border ${isDarkMode ? 'border-green-700 bg-gray-700' : 'border-emerald-300 bg-white'} rounded focus:outline-none focus:ring-2 focus:ring-emerald-500`}
+              value={renderer}
+              onChange={handleRendererChange}
+              disabled={isSorting}
+            >
+              {Object.entries(RENDERERS).map(([key, value]) => (
                 <option key={key} value={key}>{value}</option>
               ))}
             </select>
@@ -2029,13 +1139,29 @@ const SortingVisualizer = () => {
                 className="sr-only peer" 
                 checked={isStepMode}
                 onChange={toggleStepMode}
-                disabled={isSorting}
+                disabled={isSorting || isPaused}
               />
               <div className={`relative w-11 h-6 ${isStepMode ? 'bg-emerald-600' : 'bg-gray-200'} peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-emerald-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all`}></div>
               <span className="ml-3 text-sm font-medium">Пошаговый режим</span>
             </label>
           </div>
           
+          {/* Режим записей */}
+          <div className="flex items-center mt-4">
+            <label className="inline-flex items-center cursor-pointer">
+              <input 
+                type="checkbox" 
+                value="" 
+                className="sr-only peer" 
+                checked={isRecordMode}
+                onChange={toggleRecordMode}
+                disabled={isSorting || isPaused}
+              />
+              <div className={`relative w-11 h-6 ${isRecordMode ? 'bg-emerald-600' : 'bg-gray-200'} peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-emerald-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all`}></div>
+              <span className="ml-3 text-sm font-medium">Режим записей (ключ и исходная позиция, проверка устойчивости)</span>
+            </label>
+          </div>
+          
           {/* Сравнение алгоритмов */}
           <div className="mt-4">
             <label className="block text-sm font-medium mb-2">Сравнение алгоритмов:</label>
@@ -2055,13 +1181,99 @@ const SortingVisualizer = () => {
                 </div>
               ))}
             </div>
+            <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+              <label className="flex items-center">
+                Замеров:
+                <input 
+                  type="number" 
+                  min="1" 
+                  max="100" 
+                  value={benchmarkTrials} 
+                  onChange={handleTrialsChange}
+                  disabled={isComparing}
+                  className={`ml-2 w-16 p-1 border rounded ${isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                />
+              </label>
+              <label className="flex items-center">
+                Прогрев:
+                <input 
+                  type="number" 
+                  min="0" 
+                  max="20" 
+                  value={benchmarkWarmup} 
+                  onChange={handleWarmupChange}
+                  disabled={isComparing}
+                  className={`ml-2 w-16 p-1 border rounded ${isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                />
+              </label>
+              <label className="flex items-center">
+                <input 
+                  type="checkbox" 
+                  checked={freshInputs} 
+                  onChange={() => setFreshInputs(!freshInputs)}
+                  disabled={isComparing}
+                  className="w-4 h-4 mr-2 text-emerald-600 bg-gray-100 border-gray-300 rounded focus:ring-emerald-500"
+                />
+                Новый массив для каждого замера
+              </label>
+              <label className="flex items-center">
+                <input 
+                  type="checkbox" 
+                  checked={checkStability} 
+                  onChange={() => setCheckStability(!checkStability)}
+                  disabled={isComparing}
+                  className="w-4 h-4 mr-2 text-emerald-600 bg-gray-100 border-gray-300 rounded focus:ring-emerald-500"
+                />
+                Проверять устойчивость
+              </label>
+              {algorithmsToCompare.includes('SHELL') && (
+                <label className="flex items-center">
+                  <input 
+                    type="checkbox" 
+                    checked={compareAllGaps} 
+                    onChange={() => setCompareAllGaps(!compareAllGaps)}
+                    disabled={isComparing}
+                    className="w-4 h-4 mr-2 text-emerald-600 bg-gray-100 border-gray-300 rounded focus:ring-emerald-500"
+                  />
+                  Сортировка Шелла со всеми последовательностями промежутков
+                </label>
+              )}
+            </div>
             <button 
               className={`mt-2 px-4 py-2 ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
               onClick={startComparing}
-              disabled={isSorting || algorithmsToCompare.length === 0}
+              disabled={isSorting || isComparing || algorithmsToCompare.length === 0}
             >
               Сравнить выбранные алгоритмы
             </button>
+            {isComparing && (
+              <button 
+                className="mt-2 ml-2 px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                onClick={cancelComparing}
+              >
+                Отменить замер
+              </button>
+            )}
+            <button 
+              className={`mt-2 ml-2 px-4 py-2 ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+              onClick={startRace}
+              disabled={isSorting || algorithmsToCompare.length === 0}
+            >
+              Гонка выбранных алгоритмов
+            </button>
+            
+            {/* Ход замера */}
+            {isComparing && (
+              <div className="mt-2">
+                <p className="text-sm mb-1">Замер: {benchmarkProgress.done} из {benchmarkProgress.total || '…'}</p>
+                <div className={`w-full h-2 rounded ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                  <div 
+                    className={`h-2 rounded ${isDarkMode ? 'bg-green-600' : 'bg-emerald-500'}`} 
+                    style={{ width: `${benchmarkProgress.total ? (benchmarkProgress.done / benchmarkProgress.total) * 100 : 0}%` }}
+                  ></div>
+                </div>
+              </div>
+            )}
           </div>
           
           {/* Кнопки управления */}
@@ -2077,7 +1289,7 @@ const SortingVisualizer = () => {
             <button 
               className={`px-6 py-2 ${isDarkMode ? 'bg-green-800 hover:bg-green-900' : 'bg-emerald-600 hover:bg-emerald-700'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
               onClick={startSorting}
-              disabled={isSorting || isSorted}
+              disabled={isSorting || isSorted || isPaused}
             >
               {isSorted ? 'Отсортировано' : 'Начать сортировку'}
             </button>
@@ -2087,12 +1299,28 @@ const SortingVisualizer = () => {
               onClick={pauseSorting}
               disabled={!isSorting || isSorted}
             >
-              Прервать сортировку
+              Пауза
+            </button>
+            
+            <button 
+              className={`px-6 py-2 ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
+              onClick={resumeSorting}
+              disabled={!isPaused}
+            >
+              Продолжить
             </button>
             
             {/* Кнопки пошагового режима */}
             {isStepMode && (
               <>
+                <button 
+                  className={`px-6 py-2 ${isDarkMode ? 'bg-blue-700 hover:bg-blue-800' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
+                  onClick={jumpToStart}
+                  disabled={isSorting || currentStep <= 0}
+                >
+                  В начало
+                </button>
+                
                 <button 
                   className={`px-6 py-2 ${isDarkMode ? 'bg-blue-700 hover:bg-blue-800' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
                   onClick={stepBackward}
@@ -2104,14 +1332,48 @@ const SortingVisualizer = () => {
                 <button 
                   className={`px-6 py-2 ${isDarkMode ? 'bg-blue-700 hover:bg-blue-800' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
                   onClick={stepForward}
-                  disabled={isSorting || currentStep >= animationHistory.length - 1 || isSorted}
+                  disabled={isSorting || isSorted || totalSteps === 0}
                 >
                   Шаг вперед
                 </button>
+                
+                <button 
+                  className={`px-6 py-2 ${isDarkMode ? 'bg-blue-700 hover:bg-blue-800' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
+                  onClick={runToNextSwap}
+                  disabled={isSorting || isSorted || totalSteps === 0}
+                >
+                  До перестановки
+                </button>
+                
+                <button 
+                  className={`px-6 py-2 ${isDarkMode ? 'bg-blue-700 hover:bg-blue-800' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed`}
+                  onClick={jumpToEnd}
+                  disabled={isSorting || isSorted || totalSteps === 0}
+                >
+                  В конец
+                </button>
               </>
             )}
           </div>
           
+          {/* Шкала времени пошагового режима */}
+          {isStepMode && totalSteps !== 0 && (
+            <div className="mt-4">
+              <label className="block text-sm font-medium mb-2">
+                Шаг: {currentStep} из {totalSteps === null ? `${loadedSteps}+` : totalSteps}
+              </label>
+              <input 
+                type="range" 
+                min="0" 
+                max={totalSteps === null ? loadedSteps + TIMELINE_LOOKAHEAD : totalSteps} 
+                value={currentStep} 
+                onChange={handleTimelineChange}
+                disabled={isSorting}
+                className={`w-full h-2 ${isDarkMode ? 'bg-blue-900' : 'bg-blue-200'} rounded-lg appearance-none cursor-pointer accent-blue-600`}
+              />
+            </div>
+          )}
+          
           {/* Кнопки экспорта статистики */}
           <div className="flex justify-center mt-4 space-x-4">
             <button 
@@ -2135,7 +1397,7 @@ const SortingVisualizer = () => {
         {/* Блок статистики */}
         <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mb-6`}>
           <h2 className="text-xl font-semibold mb-2">Статистика</h2>
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
             <div className={`text-center p-2 ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'} rounded`}>
               <p className="text-sm">Сравнения</p>
               <p className="text-2xl font-bold">{stats.comparisons}</p>
@@ -2144,20 +1406,43 @@ const SortingVisualizer = () => {
               <p className="text-sm">Перестановки</p>
               <p className="text-2xl font-bold">{stats.swaps}</p>
             </div>
+            <div className={`text-center p-2 ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'} rounded`}>
+              <p className="text-sm">Записи</p>
+              <p className="text-2xl font-bold">{stats.writes}</p>
+            </div>
+            <div className={`text-center p-2 ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'} rounded`}>
+              <p className="text-sm">Макс. глубина рекурсии</p>
+              <p className="text-2xl font-bold">{stats.maxDepth}</p>
+            </div>
             <div className={`text-center p-2 ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'} rounded`}>
               <p className="text-sm">Время (сек)</p>
               <p className="text-2xl font-bold">{stats.time}</p>
             </div>
             <div className={`text-center p-2 ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'} rounded`}>
               <p className="text-sm">Шаг (пошаговый режим)</p>
-              <p className="text-2xl font-bold">{currentStep}/{animationHistory.length}</p>
+              <p className="text-2xl font-bold">{currentStep}/{totalSteps === null ? '…' : totalSteps}</p>
             </div>
           </div>
           
+          {/* Вариант алгоритма, с которым получена статистика */}
+          {describeVariant(selectedAlgorithm) && (
+            <p className="mt-2 text-sm">Вариант: {describeVariant(selectedAlgorithm)}</p>
+          )}
+          
+          {/* Вердикт устойчивости в режиме записей */}
+          {isRecordMode && stability && (
+            <p className={`mt-2 text-sm ${stability.isStable ? '' : 'text-purple-600'}`}>
+              {stability.isStable
+                ? 'Устойчива на этом входе: порядок записей с равными ключами сохранен.'
+                : `Не устойчива на этом входе: переставлено пар с равными ключами - ${stability.pairs}, затронуто записей - ${stability.indices.length} (отмечены фиолетовым).`}
+            </p>
+          )}
+          
           {/* Результаты сравнения алгоритмов */}
           {compareResults.length > 0 && (
             <div className="mt-4">
               <h3 className="text-lg font-semibold mb-2">Результаты сравнения алгоритмов</h3>
+              <p className="text-sm mb-2">Входные данные замеров: {compareInput}</p>
               <div className="overflow-x-auto">
                 <table className={`w-full text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                   <thead>
@@ -2165,7 +1450,13 @@ const SortingVisualizer = () => {
                       <th className="px-4 py-2 text-left">Алгоритм</th>
                       <th className="px-4 py-2 text-right">Сравнения</th>
                       <th className="px-4 py-2 text-right">Перестановки</th>
-                      <th className="px-4 py-2 text-right">Время (сек)</th>
+                      <th className="px-4 py-2 text-right">Записи</th>
+                      <th className="px-4 py-2 text-right">Медиана (мс)</th>
+                      <th className="px-4 py-2 text-right">Среднее (мс)</th>
+                      <th className="px-4 py-2 text-right">Мин. (мс)</th>
+                      <th className="px-4 py-2 text-right">Макс. (мс)</th>
+                      <th className="px-4 py-2 text-right">Ст. откл. (мс)</th>
+                      <th className="px-4 py-2 text-left">Устойчивость</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -2174,12 +1465,26 @@ const SortingVisualizer = () => {
                         <td className="px-4 py-2">{result.algorithmName}</td>
                         <td className="px-4 py-2 text-right">{result.comparisons}</td>
                         <td className="px-4 py-2 text-right">{result.swaps}</td>
-                        <td className="px-4 py-2 text-right">{result.executionTime}</td>
+                        <td className="px-4 py-2 text-right">{result.writes}</td>
+                        <td className="px-4 py-2 text-right">{result.time.median.toFixed(3)}</td>
+                        <td className="px-4 py-2 text-right">{result.time.mean.toFixed(3)}</td>
+                        <td className="px-4 py-2 text-right">{result.time.min.toFixed(3)}</td>
+                        <td className="px-4 py-2 text-right">{result.time.max.toFixed(3)}</td>
+                        <td className="px-4 py-2 text-right">{result.time.stddev.toFixed(3)}</td>
+                        <td className="px-4 py-2">
+                          {!result.stability
+                            ? '—'
+                            : result.stability.isStable ? 'устойчива' : `не устойчива (${result.stability.pairs} пар)`}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
                 </table>
               </div>
+              <p className="text-xs mt-1">
+                Счетчики операций усреднены по замерам. Устойчивость, если включена ее проверка, проверяется на текущем массиве:
+                элементы сортируются как записи (значение и исходная позиция).
+              </p>
               
               {/* График сравнения алгоритмов */}
               <div className="mt-4 h-64">
@@ -2189,7 +1494,8 @@ const SortingVisualizer = () => {
                       name: result.algorithm,
                       comparisons: result.comparisons,
                       swaps: result.swaps,
-                      time: parseFloat(result.executionTime) * 1000 // Перевод в миллисекунды для лучшей визуализации
+                      writes: result.writes,
+                      time: result.time.median
                     }))}
                     margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
                   >
@@ -2200,7 +1506,8 @@ const SortingVisualizer = () => {
                     <Legend />
                     <Line type="monotone" dataKey="comparisons" name="Сравнения" stroke="#10b981" activeDot={{ r: 8 }} />
                     <Line type="monotone" dataKey="swaps" name="Перестановки" stroke="#f59e0b" />
-                    <Line type="monotone" dataKey="time" name="Время (мс)" stroke="#ef4444" />
+                    <Line type="monotone" dataKey="writes" name="Записи" stroke="#6366f1" />
+                    <Line type="monotone" dataKey="time" name="Медиана времени (мс)" stroke="#ef4444" />
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -2208,10 +1515,31 @@ const SortingVisualizer = () => {
           )}
         </div>
         
+        {/* Эксперимент масштабирования */}
+        <ScalingPanel
+          algorithms={algorithmsToCompare}
+          names={ALGORITHMS}
+          presetNames={PRESET_DATA}
+          ordering={ordering}
+          params={algorithmParams}
+          disabled={isSorting}
+          isDarkMode={isDarkMode}
+          onFits={(fits) => setScalingFits({ ...scalingFits, ...fits })}
+        />
+        
         {/* Описание алгоритма */}
         <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mb-6`}>
           <h2 className="text-xl font-semibold mb-2">{ALGORITHMS[selectedAlgorithm]}</h2>
-          <p>{ALGORITHM_DESCRIPTIONS[selectedAlgorithm]}</p>
+          <p>{ALGORITHM_DESCRIPTIONS[selectedAlgorithm]} Сложность: {describeComplexity(selectedAlgorithm)}.</p>
+          {scalingFits[selectedAlgorithm] && (
+            <p className="mt-2 text-sm">
+              Теоретическая сложность: {ALGORITHM_COMPLEXITY[selectedAlgorithm].average}.
+              Эмпирическая оценка ({PRESET_DATA[scalingFits[selectedAlgorithm].preset]}):
+              по сравнениям - {scalingFits[selectedAlgorithm].comparisons || '—'},
+              по перестановкам - {scalingFits[selectedAlgorithm].swaps || '—'},
+              по времени - {scalingFits[selectedAlgorithm].time || '—'}.
+            </p>
+          )}
         </div>
         
         {/* Легенда цветов */}
@@ -2232,123 +1560,79 @@ const SortingVisualizer = () => {
             </div>
             <div className="flex items-center">
               <div className={`w-8 h-8 ${isDarkMode ? 'bg-green-400' : 'bg-emerald-500'} rounded mr-2`}></div>
-              <span>Отсортированные элементы</span>
+              <span>Элементы, уже стоящие на своем месте</span>
+            </div>
+            <div className="flex items-center">
+              <div className={`w-8 h-8 ${isDarkMode ? 'bg-blue-400' : 'bg-blue-500'} rounded mr-2`}></div>
+              <span>Опорный элемент</span>
             </div>
+            {isRecordMode && (
+              <div className="flex items-center">
+                <div className={`w-8 h-8 ${isDarkMode ? 'bg-purple-400' : 'bg-purple-500'} rounded mr-2`}></div>
+                <span>Записи с нарушенным порядком равных ключей</span>
+              </div>
+            )}
           </div>
           <div className={`mt-4 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'} p-3 rounded border ${isDarkMode ? 'border-gray-600' : 'border-gray-200'}`}>
             <h3 className="font-medium mb-1">Как читать визуализацию:</h3>
             <ul className="list-disc pl-5 space-y-1 text-sm">
               <li>Во время сортировки алгоритм анализирует и сравнивает значения элементов (желтый цвет)</li>
               <li>При необходимости алгоритм меняет элементы местами (красный цвет)</li>
-              <li>Когда весь массив отсортирован, все элементы отмечаются зеленым цветом</li>
+              <li>Элемент становится зеленым, как только алгоритм ставит его на окончательное место (у пузырьковой, выбором, пирамидальной и быстрой сортировок отсортированная часть растет по ходу работы), а к концу сортировки зеленым становится весь массив</li>
               <li>Высота столбца или числовое значение соответствует величине элемента</li>
+              <li>Синие подписи над столбцами - индексные переменные алгоритма (i, j, low, high и другие)</li>
+              <li>Элементы вне текущего рабочего отрезка алгоритма приглушены, а над визуализацией подписан текущий этап</li>
+              <li>У сортировок с промежутком (Шелла, расческой) над визуализацией указан текущий промежуток h, а элементы каждой из h чередующихся подпоследовательностей (индексы с одинаковым остатком от деления на h) окрашены в свой цвет</li>
+              <li>У гибридных алгоритмов (Introsort, Pdqsort) над визуализацией указана стратегия, которой сортируется текущий отрезок, а в дереве рекурсии вызовы окрашены по стратегиям</li>
+              <li>У Timsort каждая серия из стека серий окрашена в свой цвет, под визуализацией показан стек с проверкой инвариантов, а над ней - режим слияния (поэлементное слияние или галоп)</li>
+              <li>В представлении «Дерево (куча)» массив показан двоичным деревом (потомки узла i - 2i + 1 и 2i + 2): при пирамидальной сортировке серые узлы уже не входят в кучу</li>
             </ul>
           </div>
         </div>
         
-        {/* Визуализация массива */}
-        <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 h-64 relative`} style={{ height: `${Math.max(64, zoom * 0.8)}px` }}>
-          {displayType === 'BARS' && (
-            /* Отображение в виде столбцов */
-            <div className="flex items-end justify-center h-full">
-              {array.map((value, index) => (
-                <div
-                  key={index}
-                  className={`w-1 mx-1 ${getBarColor(index)} transition-all duration-100`}
-                  style={{ height: `${value * zoom / 100}%` }}
-                ></div>
-              ))}
-            </div>
-          )}
-          
-          {displayType === 'NUMBERS' && (
-            /* Отображение в виде числовых значений */
-            <div className="h-full overflow-auto p-2">
-              <div className="grid grid-cols-5 sm:grid-cols-8 md:grid-cols-10 gap-2">
-                {array.map((value, index) => (
-                  <div
-                    key={index}
-                    className={`p-2 text-center rounded ${getBarColor(index)} transition-all duration-100`}
-                  >
-                    {value}
-                  </div>
-                ))}
-              </div>
-            </div>
+        {/* Пояснение текущего шага */}
+        <p className="mb-2 text-sm font-medium min-h-[1.25rem]">
+          {!isSorted && currentMarks && currentMarks.strategy && (
+            <span className={`mr-2 px-2 py-0.5 rounded ${isDarkMode ? 'bg-violet-800' : 'bg-violet-100'}`}>
+              Стратегия: {currentMarks.strategy}
+            </span>
           )}
-          
-          {displayType === 'CIRCLE' && (
-            /* Отображение в виде круговой диаграммы */
-            <div className="flex items-center justify-center h-full">
-              <div className="relative" style={{ width: `${zoom}%`, height: `${zoom}%`, maxWidth: '100%', maxHeight: '100%' }}>
-                {array.map((value, index) => {
-                  const angle = (index / array.length) * 2 * Math.PI;
-                  const radius = Math.min(200, zoom * 1.5) / 2;
-                  const itemRadius = Math.max(2, (value / 100) * 20);
-                  const x = radius * Math.cos(angle) + radius;
-                  const y = radius * Math.sin(angle) + radius;
-                  
-                  return (
-                    <div
-                      key={index}
-                      className={`absolute rounded-full ${getBarColor(index)} transition-all duration-300`}
-                      style={{
-                        width: `${itemRadius}px`,
-                        height: `${itemRadius}px`,
-                        transform: `translate(${x}px, ${y}px)`,
-                        left: '-5px',
-                        top: '-5px'
-                      }}
-                    ></div>
-                  );
-                })}
-              </div>
-            </div>
+          {!isSorted && currentMarks && currentMarks.gap && (
+            <span className={`mr-2 px-2 py-0.5 rounded ${isDarkMode ? 'bg-cyan-800' : 'bg-cyan-100'}`}>
+              Промежуток: {currentMarks.gap}
+            </span>
           )}
-          
-          {displayType === 'HISTOGRAM' && (
-            /* Отображение в виде гистограммы */
-            <div className="h-full flex items-end">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={array.map((value, index) => ({ index, value }))}
-                  margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#e5e7eb'} />
-                  <XAxis dataKey="index" stroke={isDarkMode ? '#d1d5db' : '#374151'} />
-                  <YAxis domain={[0, 100]} stroke={isDarkMode ? '#d1d5db' : '#374151'} />
-                  <Tooltip 
-                    contentStyle={{ 
-                      backgroundColor: isDarkMode ? '#1f2937' : '#ffffff',
-                      borderColor: isDarkMode ? '#374151' : '#e5e7eb'
-                    }}
-                    formatter={(value) => [`Значение: ${value}`, 'Элемент']}
-                    labelFormatter={(index) => `Индекс: ${index}`}
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="value" 
-                    stroke={isDarkMode ? '#10b981' : '#059669'}
-                    dot={({ cx, cy, index }) => (
-                      <circle 
-                        cx={cx} 
-                        cy={cy} 
-                        r={4} 
-                        fill={
-                          currentCompare.includes(index) 
-                            ? '#f59e0b' 
-                            : currentSwap.includes(index) 
-                            ? '#ef4444' 
-                            : isSorted 
-                            ? (isDarkMode ? '#34d399' : '#10b981')
-                            : (isDarkMode ? '#059669' : '#34d399')
-                        } 
-                      />
-                    )}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+          {narration}
+        </p>
+        
+        {/* Визуализация массива */}
+        <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 h-64 relative`} style={{ height: `${Math.max(64, zoom * 0.8)}px` }}>
+          {table ? (
+            <TableView
+              columns={table.columns}
+              rows={getTableRows()}
+              keyColumns={tableSortKeys.map(sortKey => sortKey.column)}
+              marks={currentMarks}
+              compare={currentCompare}
+              swap={currentSwap}
+              isSorted={isSorted}
+              isDarkMode={isDarkMode}
+            />
+          ) : (
+            <ArrayView
+              values={array}
+              tags={isRecordMode ? (tags || array.map((value, index) => index)) : null}
+              unstable={isRecordMode && stability ? stability.indices : null}
+              markers={currentVars ? currentVars.indices : null}
+              marks={currentMarks}
+              compare={currentCompare}
+              swap={currentSwap}
+              isSorted={isSorted}
+              displayType={displayType}
+              renderer={renderer}
+              zoom={zoom}
+              isDarkMode={isDarkMode}
+            />
           )}
           
           {/* Индикатор загрузки при сортировке */}
@@ -2365,8 +1649,83 @@ const SortingVisualizer = () => {
             </div>
           )}
         </div>
+        
+        {/* Псевдокод с подсветкой текущей строки и переменные алгоритма */}
+        <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mt-6 grid grid-cols-1 md:grid-cols-3 gap-4`}>
+          <div className="md:col-span-2">
+            <h2 className="text-xl font-semibold mb-2">Псевдокод: {ALGORITHMS[selectedAlgorithm]}</h2>
+            <PseudocodePanel
+              lines={pseudocode}
+              activeLine={currentLine}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold mb-2">Переменные</h2>
+            <WatchPanel
+              vars={currentVars}
+              formatValue={formatElement}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+        </div>
+        
+        {/* Дерево рекурсивных вызовов и стек */}
+        {RECURSIVE_ALGORITHMS[selectedAlgorithm] && (
+          <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mt-6`}>
+            <h2 className="text-xl font-semibold mb-2">Дерево рекурсии</h2>
+            <RecursionTreeView
+              calls={currentMarks ? currentMarks.calls : []}
+              stack={currentMarks ? currentMarks.stack : []}
+              count={table ? table.rows.length : array.length}
+              name={RECURSIVE_ALGORITHMS[selectedAlgorithm]}
+              maxDepth={stats.maxDepth}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+        )}
+        
+        {/* Стек серий Timsort */}
+        {selectedAlgorithm === 'TIM' && (
+          <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mt-6`}>
+            <h2 className="text-xl font-semibold mb-2">Стек серий</h2>
+            <RunStackView
+              runs={currentMarks ? currentMarks.runs : []}
+              count={table ? table.rows.length : array.length}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+        )}
+        
+        {/* Гонка алгоритмов */}
+        {raceLanes && (
+          <RaceView
+            lanes={raceLanes}
+            names={ALGORITHMS}
+            isPlaying={isRacing}
+            displayType={displayType}
+            renderer={renderer}
+            zoom={zoom}
+            isDarkMode={isDarkMode}
+            onPause={pauseRace}
+            onResume={resumeRace}
+            onClose={closeRace}
+          />
+        )}
       </main>
       
+      {/* Мастер импорта файла */}
+      {importFile && (
+        <ImportDialog
+          file={importFile}
+          maxSize={MAX_ARRAY_SIZE[renderer]}
+          isDarkMode={isDarkMode}
+          onLoad={handleImport}
+          onLoadTable={handleImportTable}
+          onClose={() => setImportFile(null)}
+        />
+      )}
+      
       {/* Подвал */}
       <footer className={`${isDarkMode ? 'bg-green-800' : 'bg-emerald-600'} text-white p-4 text-center`}>
         <p>© 2025 Визуализатор алгоритмов сортировки</p>
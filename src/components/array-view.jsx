@@ -0,0 +1,221 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea, ResponsiveContainer } from 'recharts';
+import CanvasView from './canvas-view';
+import { BAR_CLASSES, BAR_FILLS, DIMMED_OPACITY, getBarState, getRunFill, getSubsequenceFill, isOutsideRange } from './bar-colors';
+import { createValueScale } from './value-scale';
+import IndexMarkers from './index-markers';
+import HeapTreeView from './heap-tree-view';
+
+// Типы отображения, которые умеет рисовать canvas (дерево кучи - только DOM)
+export const CANVAS_DISPLAY_TYPES = ['BARS', 'NUMBERS', 'CIRCLE'];
+
+// Визуализация массива в одном из типов отображения.
+// Используется основной панелью и каждой дорожкой гонки алгоритмов.
+// В режиме записей tags - метки исходных позиций элементов, unstable - позиции
+// записей, у которых нарушен порядок равных ключей.
+// markers - индексные переменные алгоритма { имя: индекс } для отметок
+// над столбцами и в ячейках чисел.
+// marks - отметки алгоритма { range, pivots, final, gap, runs } (см. engine/ops.js):
+// элементы вне рабочего отрезка приглушаются, опорный и окончательные
+// элементы выделяются цветом, а при сортировке с промежутком gap каждая
+// чередующаяся подпоследовательность, как и каждая серия Timsort из стека
+// runs, получает свой цвет.
+const ArrayView = ({ values, tags, unstable, markers, marks, compare, swap, isSorted, displayType, renderer, zoom, isDarkMode }) => {
+  const unstableSet = useMemo(() => (unstable ? new Set(unstable) : null), [unstable]);
+  const { range = null, pivots = [], final = null, gap = null, runs = [] } = marks || {};
+  const highlight = { isSorted, compare, swap, unstable: unstableSet, pivots, final };
+
+  // Цвет подпоследовательности или серии для элементов без подсветки (null - обычный цвет)
+  const getGroupFill = (index) => (
+    !isSorted && getBarState(index, highlight) === 'default'
+      ? getSubsequenceFill(index, gap, isDarkMode) || getRunFill(index, runs, isDarkMode)
+      : null
+  );
+
+  // Определение цвета столбца: класс состояния или цвет группы в style
+  const getBarColor = (index) => {
+    if (getGroupFill(index)) return '';
+    const state = getBarState(index, highlight);
+    return BAR_CLASSES[isDarkMode ? 'dark' : 'light'][state];
+  };
+
+  // Прозрачность элемента вне рабочего отрезка
+  const getOpacity = (index) => (!isSorted && isOutsideRange(index, range) ? DIMMED_OPACITY : 1);
+
+  // Высоты считаются от исходных значений, сами значения не меняются
+  const scale = createValueScale(values);
+
+  // Подпись элемента: значение и, в режиме записей, исходная позиция
+  const labelOf = (value, index) => (tags ? `${value} (#${tags[index]})` : String(value));
+
+  // Имена переменных, указывающих на элемент
+  const markersAt = (index) => (markers ? Object.keys(markers).filter(name => markers[name] === index) : []);
+
+  // Столбцы: отдельное представление и полоса под деревом кучи
+  const renderBars = () => (
+    <div className="flex justify-center h-full">
+      <div className="relative flex items-end h-full">
+        {values.map((value, index) => (
+          <div
+            key={index}
+            className={`w-1 mx-1 ${getBarColor(index)} transition-all duration-100`}
+            title={labelOf(value, index)}
+            style={{ height: `${scale.fraction(value) * zoom}%`, opacity: getOpacity(index), backgroundColor: getGroupFill(index) || undefined }}
+          ></div>
+        ))}
+        {markers && <IndexMarkers markers={markers} count={values.length} isDarkMode={isDarkMode} />}
+      </div>
+    </div>
+  );
+
+  return (
+    <>
+      {renderer === 'CANVAS' && CANVAS_DISPLAY_TYPES.includes(displayType) && (
+        /* Отрисовка на canvas для больших массивов */
+        <CanvasView
+          values={values}
+          tags={tags}
+          unstable={unstableSet}
+          markers={markers}
+          range={isSorted ? null : range}
+          pivots={pivots}
+          final={final}
+          gap={gap}
+          runs={runs}
+          compare={compare}
+          swap={swap}
+          isSorted={isSorted}
+          displayType={displayType}
+          zoom={zoom}
+          isDarkMode={isDarkMode}
+        />
+      )}
+
+      {renderer === 'DOM' && displayType === 'BARS' && (
+        /* Отображение в виде столбцов */
+        renderBars()
+      )}
+
+      {renderer === 'DOM' && displayType === 'TREE' && (
+        /* Дерево кучи (узел i - потомки 2i + 1 и 2i + 2) и те же элементы столбцами */
+        <div className="flex flex-col h-full">
+          <div className="flex-grow min-h-0">
+            <HeapTreeView
+              values={values}
+              tags={tags}
+              range={range}
+              pivots={pivots}
+              final={final}
+              compare={compare}
+              swap={swap}
+              isSorted={isSorted}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+          <div className="h-1/4">{renderBars()}</div>
+        </div>
+      )}
+
+      {renderer === 'DOM' && displayType === 'NUMBERS' && (
+        /* Отображение в виде числовых значений */
+        <div className="h-full overflow-auto p-2">
+          <div className="grid grid-cols-5 sm:grid-cols-8 md:grid-cols-10 gap-2">
+            {values.map((value, index) => (
+              <div
+                key={index}
+                className={`p-2 text-center rounded ${getBarColor(index)} transition-all duration-100`}
+                style={{ opacity: getOpacity(index), backgroundColor: getGroupFill(index) || undefined }}
+              >
+                {value}
+                {tags && <sub className="ml-1 opacity-75">#{tags[index]}</sub>}
+                {markersAt(index).length > 0 && (
+                  <sup className={`ml-1 font-mono ${isDarkMode ? 'text-blue-300' : 'text-blue-700'}`}>{markersAt(index).join(',')}</sup>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {renderer === 'DOM' && displayType === 'CIRCLE' && (
+        /* Отображение в виде круговой диаграммы */
+        <div className="flex items-center justify-center h-full">
+          <div className="relative" style={{ width: `${zoom}%`, height: `${zoom}%`, maxWidth: '100%', maxHeight: '100%' }}>
+            {values.map((value, index) => {
+              const angle = (index / values.length) * 2 * Math.PI;
+              const radius = Math.min(200, zoom * 1.5) / 2;
+              const itemRadius = Math.max(2, scale.fraction(value) * 16);
+              const x = radius * Math.cos(angle) + radius;
+              const y = radius * Math.sin(angle) + radius;
+
+              return (
+                <div
+                  key={index}
+                  className={`absolute rounded-full ${getBarColor(index)} transition-all duration-300`}
+                  title={labelOf(value, index)}
+                  style={{
+                    width: `${itemRadius}px`,
+                    height: `${itemRadius}px`,
+                    transform: `translate(${x}px, ${y}px)`,
+                    left: '-5px',
+                    top: '-5px',
+                    opacity: getOpacity(index),
+                    backgroundColor: getGroupFill(index) || undefined
+                  }}
+                ></div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {displayType === 'HISTOGRAM' && (
+        /* Отображение в виде гистограммы */
+        <div className="h-full flex items-end">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart
+              data={values.map((value, index) => ({ index, value }))}
+              margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#e5e7eb'} />
+              <XAxis dataKey="index" stroke={isDarkMode ? '#d1d5db' : '#374151'} />
+              <YAxis domain={['auto', 'auto']} stroke={isDarkMode ? '#d1d5db' : '#374151'} />
+              <Tooltip 
+                contentStyle={{ 
+                  backgroundColor: isDarkMode ? '#1f2937' : '#ffffff',
+                  borderColor: isDarkMode ? '#374151' : '#e5e7eb'
+                }}
+                formatter={(value) => [`Значение: ${value}`, 'Элемент']}
+                labelFormatter={(index) => `Индекс: ${index}`}
+              />
+              {range && !isSorted && (
+                <ReferenceArea 
+                  x1={range[0]} 
+                  x2={range[1]} 
+                  fill={isDarkMode ? '#374151' : '#d1fae5'} 
+                  fillOpacity={0.5}
+                />
+              )}
+              <Line 
+                type="monotone" 
+                dataKey="value" 
+                stroke={isDarkMode ? '#10b981' : '#059669'}
+                dot={({ cx, cy, index }) => (
+                  <circle 
+                    cx={cx} 
+                    cy={cy} 
+                    r={4} 
+                    fill={getGroupFill(index) || BAR_FILLS[isDarkMode ? 'dark' : 'light'][getBarState(index, highlight)]}
+                    fillOpacity={getOpacity(index)}
+                  />
+                )}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ArrayView;
@@ -0,0 +1,106 @@
+// Цветовая схема элементов массива.
+// Одно и то же состояние элемента отображается классом Tailwind в DOM-представлениях
+// и соответствующим ему цветом в canvas-представлениях.
+
+// Состояние элемента с индексом index.
+// unstable - необязательное множество позиций записей, у которых после
+// сортировки нарушен порядок равных ключей (режим записей).
+// pivots и final - позиции опорных элементов и множество позиций, значения
+// в которых уже окончательные (отметки алгоритма, см. engine/ops.js).
+export const getBarState = (index, { isSorted, compare, swap, unstable, pivots = [], final = null }) => {
+  // Если сортировка завершена, все элементы отсортированы
+  if (isSorted) return unstable && unstable.has(index) ? 'unstable' : 'sorted';
+
+  // Если элемент сравнивается
+  if (compare.includes(index)) return 'compare';
+
+  // Если элемент меняется местами
+  if (swap.includes(index)) return 'swap';
+
+  // Опорный элемент
+  if (pivots.includes(index)) return 'pivot';
+
+  // Элемент уже на своем месте: отсортированная часть растет по ходу алгоритма
+  if (final && final.has(index)) return 'final';
+
+  return 'default';
+};
+
+// Находится ли элемент вне рабочего отрезка алгоритма (такие элементы
+// отображаются приглушенно). range - [from, to] или null.
+export const isOutsideRange = (index, range) => Boolean(range) && (index < range[0] || index > range[1]);
+
+// Прозрачность приглушенных элементов
+export const DIMMED_OPACITY = 0.35;
+
+// Цвета групп элементов: чередующихся подпоследовательностей при сортировке
+// с промежутком и серий Timsort. Первый цвет - обычный цвет элемента;
+// при большом числе групп цвета повторяются.
+export const GROUP_FILLS = {
+  light: ['#34d399', '#22d3ee', '#a78bfa', '#f472b6', '#94a3b8', '#fb923c', '#818cf8', '#2dd4bf'],
+  dark: ['#16a34a', '#0891b2', '#7c3aed', '#db2777', '#64748b', '#ea580c', '#4f46e5', '#0d9488']
+};
+
+// Цвет подпоследовательности элемента в обычном состоянии или null,
+// если алгоритм не сортирует с промежутком больше 1
+export const getSubsequenceFill = (index, gap, isDarkMode) => {
+  if (!gap || gap < 2) return null;
+  const fills = GROUP_FILLS[isDarkMode ? 'dark' : 'light'];
+  return fills[(index % gap) % fills.length];
+};
+
+// Цвет серии Timsort в позиции position стека (от дна). Обычный цвет
+// остается непросмотренной части массива.
+export const getRunColor = (position, isDarkMode) => {
+  const fills = GROUP_FILLS[isDarkMode ? 'dark' : 'light'];
+  return fills[1 + (position % (fills.length - 1))];
+};
+
+// Цвет серии из стека серий runs ([[from, to], ...] от дна к вершине),
+// в которую входит элемент, или null, если элемент еще не попал в серию
+export const getRunFill = (index, runs, isDarkMode) => {
+  const position = runs ? runs.findIndex(([from, to]) => index >= from && index <= to) : -1;
+  return position < 0 ? null : getRunColor(position, isDarkMode);
+};
+
+export const BAR_CLASSES = {
+  light: {
+    default: 'bg-emerald-400',
+    compare: 'bg-yellow-500',
+    swap: 'bg-red-500',
+    sorted: 'bg-emerald-500',
+    unstable: 'bg-purple-500',
+    pivot: 'bg-blue-500',
+    final: 'bg-emerald-500'
+  },
+  dark: {
+    default: 'bg-green-600',
+    compare: 'bg-yellow-500',
+    swap: 'bg-red-500',
+    sorted: 'bg-green-400',
+    unstable: 'bg-purple-400',
+    pivot: 'bg-blue-400',
+    final: 'bg-green-400'
+  }
+};
+
+export const BAR_FILLS = {
+  light: {
+    default: '#34d399',
+    compare: '#eab308',
+    swap: '#ef4444',
+    sorted: '#10b981',
+    unstable: '#a855f7',
+    pivot: '#3b82f6',
+    final: '#10b981'
+  },
+  dark: {
+    default: '#16a34a',
+    compare: '#eab308',
+    swap: '#ef4444',
+    sorted: '#4ade80',
+    unstable: '#c084fc',
+    pivot: '#60a5fa',
+    final: '#4ade80'
+  }
+};
@@ -0,0 +1,256 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BAR_FILLS, DIMMED_OPACITY, getBarState, getRunFill, getSubsequenceFill, isOutsideRange } from './bar-colors';
+import { createValueScale } from './value-scale';
+import IndexMarkers from './index-markers';
+
+// Ограничение высоты canvas (браузеры не создают холсты больше ~32 тыс. пикселей)
+const MAX_CANVAS_HEIGHT = 16000;
+
+// Размер ячейки числового представления
+const CELL_WIDTH = 48;
+const CELL_HEIGHT = 24;
+
+// Геометрия представления: где на холсте рисуется элемент с данным индексом
+const createLayout = (displayType, count, width, height, zoom) => {
+  if (displayType === 'NUMBERS') {
+    const columns = Math.max(1, Math.floor(width / CELL_WIDTH));
+    const rows = Math.ceil(count / columns);
+    const cellHeight = Math.min(CELL_HEIGHT, MAX_CANVAS_HEIGHT / Math.max(rows, 1));
+    return {
+      width,
+      height: Math.max(height, rows * cellHeight),
+      columns,
+      cellWidth: width / columns,
+      cellHeight
+    };
+  }
+
+  if (displayType === 'CIRCLE') {
+    const radius = Math.max(10, (Math.min(width, height) / 2 - 12) * Math.min(zoom, 100) / 100);
+    // Точки уменьшаются, когда их слишком много для окружности
+    const crowding = Math.min(1, (Math.PI * radius) / Math.max(count, 1));
+    const maxDot = Math.max(1, 10 * crowding);
+    return {
+      width,
+      height,
+      radius,
+      crowding,
+      maxDot,
+      // Сколько соседей может перекрыть точку (для частичной перерисовки)
+      span: Math.min(Math.ceil(count / 2), Math.ceil((4 * maxDot) / ((2 * Math.PI * radius) / Math.max(count, 1))) + 1)
+    };
+  }
+
+  return {
+    width,
+    height,
+    columnWidth: width / Math.max(count, 1)
+  };
+};
+
+// Позиции отрезков [from, to] (пустой отрезок, если from > to)
+const addSpan = (indices, from, to) => {
+  for (let index = from; index <= to; index++) indices.add(index);
+};
+
+// Элементы, вид которых изменила смена отметок алгоритма с прошлого кадра:
+// граница рабочего отрезка, новые окончательные позиции, промежуток и стек серий.
+// previous и current - { range, final, gap, runs }, count - длина массива.
+const changedByMarks = (previous, current, count) => {
+  const indices = new Set();
+
+  // Приглушенность меняется только между старой и новой границей отрезка
+  const [from0, to0] = previous.range || [0, count - 1];
+  const [from1, to1] = current.range || [0, count - 1];
+  addSpan(indices, Math.min(from0, from1), Math.max(from0, from1) - 1);
+  addSpan(indices, Math.min(to0, to1) + 1, Math.max(to0, to1));
+
+  current.final.forEach(index => {
+    if (!previous.final.has(index)) indices.add(index);
+  });
+  previous.final.forEach(index => {
+    if (!current.final.has(index)) indices.add(index);
+  });
+
+  // Новый промежуток перекрашивает все подпоследовательности
+  if (previous.gap !== current.gap) addSpan(indices, 0, count - 1);
+
+  // Серии стека, начиная с первой изменившейся, в старом и новом виде
+  const same = (x, y) => x && y && x[0] === y[0] && x[1] === y[1];
+  let first = 0;
+  while (first < current.runs.length && same(previous.runs[first], current.runs[first])) first++;
+  [...previous.runs.slice(first), ...current.runs.slice(first)].forEach(([from, to]) => addSpan(indices, from, to));
+
+  return indices;
+};
+
+// Отрисовка представлений BARS, CIRCLE и NUMBERS на canvas.
+// Полная перерисовка выполняется только при смене размера, масштаба значений
+// или типа отображения; в остальных кадрах перерисовываются лишь элементы,
+// значение, подсветка или отметки которых изменились с прошлого кадра.
+// tags и unstable - метки записей и множество нарушенных позиций (режим записей).
+// markers - индексные переменные алгоритма; над столбцами они выводятся
+// HTML-подписями поверх холста, поэтому не требуют перерисовки.
+// range, pivots, final, gap и runs - отметки алгоритма: перерисовываются
+// только элементы, которых коснулась их смена (см. changedByMarks).
+const CanvasView = ({ values, tags, unstable, markers, range, pivots, final, gap, runs, compare, swap, isSorted, displayType, zoom, isDarkMode }) => {
+  const wrapperRef = useRef(null);
+  const canvasRef = useRef(null);
+  const drawn = useRef({ key: null, style: null, values: [], tags: [], compare: [], swap: [], pivots: [], marks: null });
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  // Отслеживание размеров контейнера
+  useEffect(() => {
+    const wrapper = wrapperRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({
+        width: Math.floor(entry.contentRect.width),
+        height: Math.floor(entry.contentRect.height)
+      });
+    });
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || size.width === 0) return;
+
+    const count = values.length;
+    const layout = createLayout(displayType, count, size.width, size.height, zoom);
+    const fills = BAR_FILLS[isDarkMode ? 'dark' : 'light'];
+    const highlight = { isSorted, compare, swap, unstable, pivots, final };
+    const ctx = canvas.getContext('2d');
+
+    const scale = createValueScale(values);
+    const maxHeight = layout.height;
+    const barHeight = (value) => Math.min(maxHeight, scale.fraction(value) * (zoom / 100) * maxHeight);
+
+    // Отрисовка одного элемента
+    const drawElement = (index) => {
+      const value = values[index];
+      const state = getBarState(index, highlight);
+      const groupFill = !isSorted && state === 'default'
+        && (getSubsequenceFill(index, gap, isDarkMode) || getRunFill(index, runs, isDarkMode));
+      ctx.fillStyle = groupFill || fills[state];
+      ctx.globalAlpha = isOutsideRange(index, range) ? DIMMED_OPACITY : 1;
+
+      if (displayType === 'NUMBERS') {
+        const x = (index % layout.columns) * layout.cellWidth;
+        const y = Math.floor(index / layout.columns) * layout.cellHeight;
+        ctx.fillRect(x + 1, y + 1, layout.cellWidth - 2, layout.cellHeight - 2);
+        if (layout.cellHeight >= 10) {
+          ctx.globalAlpha = 1;
+          ctx.fillStyle = isDarkMode ? '#e5e7eb' : '#1f2937';
+          const label = tags ? `${value}#${tags[index]}` : String(value);
+          ctx.fillText(label, x + layout.cellWidth / 2, y + layout.cellHeight / 2);
+        }
+      } else if (displayType === 'CIRCLE') {
+        const angle = (index / count) * 2 * Math.PI;
+        const dot = Math.max(1, scale.fraction(value) * 8 * layout.crowding);
+        ctx.beginPath();
+        ctx.arc(
+          layout.width / 2 + layout.radius * Math.cos(angle),
+          layout.height / 2 + layout.radius * Math.sin(angle),
+          dot,
+          0,
+          2 * Math.PI
+        );
+        ctx.fill();
+      } else {
+        const x0 = Math.floor(index * layout.columnWidth);
+        const x1 = Math.ceil((index + 1) * layout.columnWidth);
+        const spacing = x1 - x0 > 3 ? 1 : 0;
+        const h = barHeight(value);
+        ctx.fillRect(x0, maxHeight - h, Math.max(1, x1 - x0 - spacing), h);
+      }
+    };
+
+    // Отрисовка набора элементов: подсвеченные поверх обычных
+    const drawElements = (indices) => {
+      indices.forEach(drawElement);
+      if (!isSorted) {
+        indices
+          .filter(index => compare.includes(index) || swap.includes(index))
+          .forEach(drawElement);
+      }
+    };
+
+    // Область, которую занимает элемент, и элементы, которые могут в нее попасть
+    const clearElement = (index, neighbours) => {
+      if (displayType === 'NUMBERS') {
+        const x = (index % layout.columns) * layout.cellWidth;
+        const y = Math.floor(index / layout.columns) * layout.cellHeight;
+        ctx.clearRect(x, y, layout.cellWidth, layout.cellHeight);
+        neighbours.add(index);
+      } else if (displayType === 'CIRCLE') {
+        const angle = (index / count) * 2 * Math.PI;
+        const cx = layout.width / 2 + layout.radius * Math.cos(angle);
+        const cy = layout.height / 2 + layout.radius * Math.sin(angle);
+        const r = layout.maxDot + 1;
+        ctx.clearRect(cx - r, cy - r, 2 * r, 2 * r);
+        for (let k = -layout.span; k <= layout.span; k++) {
+          neighbours.add((index + k + count) % count);
+        }
+      } else {
+        const x0 = Math.floor(index * layout.columnWidth);
+        const x1 = Math.ceil((index + 1) * layout.columnWidth);
+        ctx.clearRect(x0, 0, x1 - x0, maxHeight);
+        // Несколько элементов могут делить одну колонку пикселей
+        const first = Math.max(0, Math.floor(x0 / layout.columnWidth) - 1);
+        const last = Math.min(count - 1, Math.ceil(x1 / layout.columnWidth));
+        for (let k = first; k <= last; k++) neighbours.add(k);
+      }
+    };
+
+    // Геометрия холста; ее смена требует полной перерисовки
+    const key = [displayType, count, size.width, size.height, zoom, scale.min, scale.max].join('|');
+    // Оформление, общее для всех элементов; его смена перерисовывает все элементы
+    const style = [isDarkMode, isSorted, Boolean(tags), unstable ? unstable.size : 0].join('|');
+    // Копия отметок: final изменяется проигрывателем на месте
+    const marks = { range, final: new Set(final || []), gap, runs: runs || [] };
+    const previous = drawn.current;
+
+    if (previous.key !== key) {
+      // Полная перерисовка
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(layout.width * ratio);
+      canvas.height = Math.floor(layout.height * ratio);
+      canvas.style.height = `${layout.height}px`;
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.clearRect(0, 0, layout.width, layout.height);
+      drawElements(values.map((value, index) => index));
+    } else {
+      // Частичная перерисовка: изменившиеся значения и старая/новая подсветка
+      const dirty = previous.style !== style
+        ? new Set(values.map((value, index) => index))
+        : changedByMarks(previous.marks, marks, count);
+      [...previous.compare, ...previous.swap, ...compare, ...swap, ...previous.pivots, ...pivots].forEach(index => dirty.add(index));
+      for (let i = 0; i < count; i++) {
+        if (values[i] !== previous.values[i] || (tags && tags[i] !== previous.tags[i])) dirty.add(i);
+      }
+
+      const neighbours = new Set();
+      dirty.forEach(index => {
+        if (index >= 0 && index < count) clearElement(index, neighbours);
+      });
+      drawElements([...neighbours]);
+    }
+
+    drawn.current = { key, style, values: [...values], tags: tags ? [...tags] : [], compare, swap, pivots, marks };
+  });
+
+  return (
+    <div ref={wrapperRef} className={`relative h-full ${displayType === 'NUMBERS' ? 'overflow-auto' : 'overflow-hidden'}`}>
+      <canvas ref={canvasRef} className="block w-full" />
+      {markers && displayType === 'BARS' && (
+        <IndexMarkers markers={markers} count={values.length} isDarkMode={isDarkMode} />
+      )}
+    </div>
+  );
+};
+
+export default CanvasView;
@@ -0,0 +1,115 @@
+import React, { useMemo, useRef } from 'react';
+import { BAR_FILLS, DIMMED_OPACITY, getBarState, isOutsideRange } from './bar-colors';
+
+// Ширина области рисования и высота уровня дерева в единицах viewBox
+const WIDTH = 1000;
+const LEVEL_HEIGHT = 80;
+
+// Длительность перемещения узлов при обмене (мс)
+const SWAP_DURATION = 250;
+
+// Координаты узла i: уровень - ⌊log2(i + 1)⌋, на уровне узлы делят ширину поровну
+const nodePosition = (index) => {
+  const depth = Math.floor(Math.log2(index + 1));
+  const levelSize = 2 ** depth;
+  const offset = index - (levelSize - 1);
+  return {
+    x: ((offset + 0.5) / levelSize) * WIDTH,
+    y: (depth + 0.5) * LEVEL_HEIGHT
+  };
+};
+
+// Является ли пара индексов ребром дерева (родитель и потомок)
+const isEdge = ([i, j]) => i >= 0 && j >= 0 && (Math.floor((Math.max(i, j) - 1) / 2) === Math.min(i, j));
+
+// Массив как двоичное дерево: у узла i потомки 2i + 1 и 2i + 2.
+// Узлы за пределами кучи (вне рабочего отрезка range) серые, ребро
+// сравнения или обмена выделяется, а при обмене значения переезжают вдоль ребра.
+const HeapTreeView = ({ values, tags, range, pivots, final, compare, swap, isSorted, isDarkMode }) => {
+  const count = values.length;
+  const depth = count > 0 ? Math.floor(Math.log2(count)) + 1 : 1;
+  const height = depth * LEVEL_HEIGHT;
+  const radius = Math.max(4, Math.min(22, WIDTH / 2 ** (depth - 1) / 2.5));
+  const fills = BAR_FILLS[isDarkMode ? 'dark' : 'light'];
+  const highlight = { isSorted, compare, swap, pivots, final };
+  const positions = useMemo(() => Array.from({ length: count }, (_, index) => nodePosition(index)), [count]);
+
+  // Номер обмена: меняется с каждой новой операцией обмена, чтобы
+  // перезапустить анимацию переставленных узлов
+  const swaps = useRef({ swap: null, id: 0 });
+  if (swaps.current.swap !== swap) swaps.current = { swap, id: swaps.current.id + 1 };
+  const isAnimated = !isSorted && isEdge(swap);
+
+  const edgeColor = (child) => {
+    const pair = [Math.floor((child - 1) / 2), child];
+    const matches = (indices) => indices.includes(pair[0]) && indices.includes(pair[1]);
+    if (isSorted) return null;
+    if (matches(swap)) return fills.swap;
+    if (matches(compare)) return fills.compare;
+    return null;
+  };
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-full">
+      {/* Ребра */}
+      {positions.slice(1).map((position, offset) => {
+        const child = offset + 1;
+        const parent = positions[Math.floor((child - 1) / 2)];
+        const color = edgeColor(child);
+        const isDimmed = !isSorted && isOutsideRange(child, range);
+        return (
+          <line
+            key={child}
+            x1={parent.x}
+            y1={parent.y}
+            x2={position.x}
+            y2={position.y}
+            stroke={color || (isDarkMode ? '#4b5563' : '#d1d5db')}
+            strokeWidth={color ? 4 : 2}
+            opacity={isDimmed ? DIMMED_OPACITY : 1}
+          />
+        );
+      })}
+
+      {/* Узлы */}
+      {values.map((value, index) => {
+        const { x, y } = positions[index];
+        const isMoving = isAnimated && swap.includes(index);
+        const other = isMoving ? positions[swap[0] === index ? swap[1] : swap[0]] : null;
+        const isOutside = !isSorted && isOutsideRange(index, range);
+        return (
+          <g
+            key={isMoving ? `${index}-${swaps.current.id}` : index}
+            style={isMoving ? {
+              '--from-x': `${other.x - x}px`,
+              '--from-y': `${other.y - y}px`,
+              animation: `heap-node-swap ${SWAP_DURATION}ms ease-in-out`
+            } : null}
+          >
+            <title>{tags ? `${value} (#${tags[index]})` : String(value)}</title>
+            <circle
+              cx={x}
+              cy={y}
+              r={radius}
+              fill={isOutside ? (isDarkMode ? '#4b5563' : '#d1d5db') : fills[getBarState(index, highlight)]}
+            />
+            {radius >= 10 && (
+              <text
+                x={x}
+                y={y}
+                textAnchor="middle"
+                dominantBaseline="central"
+                fontSize={Math.min(16, radius * 0.8)}
+                fill={isDarkMode ? '#f9fafb' : '#1f2937'}
+              >
+                {value}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default HeapTreeView;
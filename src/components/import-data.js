@@ -0,0 +1,161 @@
+import Papa from 'papaparse';
+
+// Разбор импортируемых файлов (CSV, JSON) и извлечение из них числового массива.
+// Каждая функция извлечения возвращает { values, skipped }, где skipped -
+// ячейки, которые не удалось прочитать как число: { location, value }.
+
+// Разделители CSV; пустая строка - автоопределение Papa Parse
+export const CSV_DELIMITERS = {
+  '': 'Автоопределение',
+  ',': 'Запятая',
+  ';': 'Точка с запятой',
+  '\t': 'Табуляция',
+  '|': 'Вертикальная черта',
+  ' ': 'Пробел'
+};
+
+export const CSV_QUOTES = {
+  '"': 'Двойные кавычки',
+  "'": 'Одинарные кавычки'
+};
+
+// Число из ячейки: числа как есть, строки - после обрезки пробелов
+// (допускается десятичная запятая); иначе null
+export const toNumber = (cell) => {
+  if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+  if (typeof cell !== 'string') return null;
+
+  const text = cell.trim().replace(/^(-?\d+),(\d+)$/, '$1.$2');
+  if (text === '') return null;
+
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Разбор CSV в таблицу строк. Значения остаются строками, чтобы
+// отчет о пропущенных ячейках показывал их в исходном виде.
+export const parseCsv = (text, { delimiter = '', quoteChar = '"' } = {}) => {
+  const result = Papa.parse(text.trim(), {
+    delimiter,
+    quoteChar,
+    header: false,
+    dynamicTyping: false,
+    skipEmptyLines: true
+  });
+
+  return {
+    rows: result.data,
+    delimiter: result.meta.delimiter,
+    errors: result.errors.map(error => (error.row === undefined ? error.message : `Строка ${error.row + 1}: ${error.message}`))
+  };
+};
+
+// Похожа ли первая строка на заголовок: в ней есть нечисловые ячейки,
+// а следующая строка в основном числовая
+export const detectHeader = (rows) => {
+  if (rows.length < 2) return false;
+
+  const numericShare = (row) => row.filter(cell => toNumber(cell) !== null).length / Math.max(row.length, 1);
+  return numericShare(rows[0]) < 1 && numericShare(rows[1]) > numericShare(rows[0]);
+};
+
+// Значения выбранной строки или столбца таблицы.
+// mode - 'row' или 'column', index - номер среди строк данных (без заголовка).
+export const extractCsvSelection = (rows, { header, mode, index }) => {
+  const names = header ? rows[0] : [];
+  const data = header ? rows.slice(1) : rows;
+  const firstLine = header ? 2 : 1;
+  const values = [];
+  const skipped = [];
+
+  const take = (cell, location) => {
+    const value = toNumber(cell);
+    if (value === null) skipped.push({ location, value: cell === undefined ? '' : String(cell) });
+    else values.push(value);
+  };
+
+  if (mode === 'row') {
+    (data[index] || []).forEach((cell, column) => {
+      take(cell, `строка ${index + firstLine}, столбец ${names[column] || column + 1}`);
+    });
+  } else {
+    data.forEach((row, rowIndex) => {
+      take(row[index], `строка ${rowIndex + firstLine}, столбец ${names[index] || index + 1}`);
+    });
+  }
+
+  return { values, skipped };
+};
+
+// Разбор пути вида data.items[*].price или results.0.value
+const parsePath = (path) => path
+  .replace(/\[(\*|\d+)\]/g, '.$1')
+  .split('.')
+  .map(part => part.trim())
+  .filter(part => part !== '' && part !== '$');
+
+// Значения по JSON-пути. '*' перебирает все элементы массива или поля объекта,
+// пустой путь - корень документа. Если результат - массив, берутся его элементы.
+export const extractJsonValues = (data, path) => {
+  let nodes = [{ node: data, location: '$' }];
+
+  parsePath(path).forEach(part => {
+    const next = [];
+    nodes.forEach(({ node, location }) => {
+      if (node === null || typeof node !== 'object') return;
+      if (part === '*') {
+        Object.keys(node).forEach(key => next.push({
+          node: node[key],
+          location: Array.isArray(node) ? `${location}[${key}]` : `${location}.${key}`
+        }));
+      } else if (part in node) {
+        next.push({ node: node[part], location: `${location}.${part}` });
+      }
+    });
+    nodes = next;
+  });
+
+  // Развертывание конечных массивов
+  const leaves = [];
+  nodes.forEach(({ node, location }) => {
+    if (Array.isArray(node)) node.forEach((item, i) => leaves.push({ node: item, location: `${location}[${i}]` }));
+    else leaves.push({ node, location });
+  });
+
+  const values = [];
+  const skipped = [];
+  leaves.forEach(({ node, location }) => {
+    const value = toNumber(node);
+    if (value === null) skipped.push({ location, value: JSON.stringify(node) });
+    else values.push(value);
+  });
+
+  return { values, skipped };
+};
+
+// Пути к массивам в JSON-документе (подсказки для выбора пути).
+// Для массивов объектов предлагается путь к каждому числовому полю элементов.
+export const findJsonPaths = (data, maxDepth = 4) => {
+  const paths = [];
+
+  const visit = (node, path, depth) => {
+    if (depth > maxDepth || node === null || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      if (node.some(item => toNumber(item) !== null)) paths.push(path);
+      const first = node.find(item => item !== null && typeof item === 'object' && !Array.isArray(item));
+      if (first) {
+        Object.keys(first).forEach(key => {
+          if (toNumber(first[key]) !== null) paths.push(`${path}[*].${key}`);
+          else visit(first[key], `${path}[*].${key}`, depth + 1);
+        });
+      }
+      return;
+    }
+
+    Object.keys(node).forEach(key => visit(node[key], path ? `${path}.${key}` : key, depth + 1));
+  };
+
+  visit(data, '', 0);
+  return paths;
+};
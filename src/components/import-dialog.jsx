@@ -0,0 +1,266 @@
+import React, { useMemo, useState } from 'react';
+import {
+  CSV_DELIMITERS,
+  CSV_QUOTES,
+  parseCsv,
+  detectHeader,
+  extractCsvSelection,
+  extractJsonValues,
+  findJsonPaths,
+  toNumber
+} from './import-data';
+
+// Сколько строк таблицы, значений и пропусков показывать в предпросмотре
+const PREVIEW_ROWS = 10;
+const PREVIEW_VALUES = 20;
+const PREVIEW_SKIPPED = 10;
+
+// Наибольшее число строк таблицы для анимированной сортировки строк
+const MAX_TABLE_ROWS = 500;
+
+// Мастер импорта массива из файла: предпросмотр разобранного файла,
+// выбор строки/столбца CSV или пути в JSON, отчет о пропущенных ячейках.
+// file - { name, text }; onLoad получает массив чисел (не длиннее maxSize).
+// Для CSV можно загрузить таблицу целиком: onLoadTable получает
+// { columns, rows, sortKeys } - строки сортируются по выбранным столбцам.
+const ImportDialog = ({ file, maxSize, isDarkMode, onLoad, onLoadTable, onClose }) => {
+  const [format, setFormat] = useState(file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+  const [delimiter, setDelimiter] = useState('');
+  const [quoteChar, setQuoteChar] = useState('"');
+  const [header, setHeader] = useState(null);
+  const [mode, setMode] = useState('column');
+  const [index, setIndex] = useState(0);
+  const [jsonPath, setJsonPath] = useState(null);
+
+  // Разбор файла в выбранном формате
+  const parsed = useMemo(() => {
+    if (format === 'csv') return parseCsv(file.text, { delimiter, quoteChar });
+    try {
+      return { json: JSON.parse(file.text), errors: [] };
+    } catch (error) {
+      return { json: undefined, errors: [error.message] };
+    }
+  }, [file, format, delimiter, quoteChar]);
+
+  // Заголовок определяется автоматически, пока пользователь не выбрал сам
+  const hasHeader = header === null ? format === 'csv' && detectHeader(parsed.rows) : header;
+  const jsonPaths = useMemo(() => (parsed.json === undefined ? [] : findJsonPaths(parsed.json)), [parsed]);
+  const path = jsonPath === null ? (jsonPaths[0] || '') : jsonPath;
+
+  const selection = useMemo(() => {
+    if (format === 'csv') return extractCsvSelection(parsed.rows, { header: hasHeader, mode, index });
+    if (parsed.json === undefined) return { values: [], skipped: [] };
+    return extractJsonValues(parsed.json, path);
+  }, [format, parsed, hasHeader, mode, index, path]);
+
+  const rows = format === 'csv' ? parsed.rows : [];
+  const names = hasHeader ? rows[0] : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const optionCount = mode === 'row' ? dataRows.length : columnCount;
+
+  const { values, skipped } = selection;
+  const truncated = values.length > maxSize;
+
+  // Загрузка всей таблицы; первый ключ - выбранный столбец
+  const loadTable = () => {
+    const column = mode === 'column' ? index : 0;
+    const numeric = dataRows.filter(row => toNumber(row[column]) !== null).length >= dataRows.length / 2;
+    onLoadTable({
+      columns: Array.from({ length: columnCount }, (_, i) => names[i] || `Столбец ${i + 1}`),
+      rows: dataRows.slice(0, MAX_TABLE_ROWS).map(row => Array.from({ length: columnCount }, (_, i) => row[i] ?? '')),
+      sortKeys: [{ column, order: 'asc', type: numeric ? 'number' : 'string' }]
+    });
+  };
+
+  const fieldClass = `p-1 border rounded ${isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+  const selectedCell = (rowIndex, column) => (mode === 'row' ? rowIndex === index : column === index);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className={`${isDarkMode ? 'bg-gray-800 text-gray-200' : 'bg-white text-gray-800'} rounded-lg shadow-xl p-4 w-full max-w-4xl max-h-full overflow-auto`}>
+        <h2 className="text-xl font-semibold mb-2">Импорт массива: {file.name}</h2>
+
+        {/* Параметры разбора */}
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            Формат:
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={fieldClass}>
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
+            </select>
+          </label>
+
+          {format === 'csv' && (
+            <>
+              <label className="flex items-center gap-2">
+                Разделитель:
+                <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)} className={fieldClass}>
+                  {Object.entries(CSV_DELIMITERS).map(([key, value]) => (
+                    <option key={value} value={key}>{value}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                Кавычки:
+                <select value={quoteChar} onChange={(e) => setQuoteChar(e.target.value)} className={fieldClass}>
+                  {Object.entries(CSV_QUOTES).map(([key, value]) => (
+                    <option key={key} value={key}>{value}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={() => setHeader(!hasHeader)}
+                  className="w-4 h-4 text-emerald-600 bg-gray-100 border-gray-300 rounded focus:ring-emerald-500"
+                />
+                Первая строка - заголовок
+              </label>
+              <label className="flex items-center gap-2">
+                Брать:
+                <select
+                  value={mode}
+                  onChange={(e) => {
+                    setMode(e.target.value);
+                    setIndex(0);
+                  }}
+                  className={fieldClass}
+                >
+                  <option value="column">Столбец</option>
+                  <option value="row">Строку</option>
+                </select>
+                <select value={index} onChange={(e) => setIndex(Number(e.target.value))} className={fieldClass}>
+                  {Array.from({ length: optionCount }, (_, i) => (
+                    <option key={i} value={i}>
+                      {mode === 'column' && names[i] ? names[i] : i + 1}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+
+          {format === 'json' && (
+            <label className="flex items-center gap-2 flex-grow">
+              Путь:
+              <input
+                type="text"
+                list="import-json-paths"
+                value={path}
+                onChange={(e) => setJsonPath(e.target.value)}
+                placeholder="Например: data.items[*].price"
+                className={`${fieldClass} flex-grow`}
+              />
+              <datalist id="import-json-paths">
+                {jsonPaths.map(item => (
+                  <option key={item} value={item} />
+                ))}
+              </datalist>
+            </label>
+          )}
+        </div>
+
+        {/* Ошибки разбора */}
+        {parsed.errors.length > 0 && (
+          <div className="mt-2 text-sm text-red-600">
+            {parsed.errors.slice(0, PREVIEW_SKIPPED).map((error, i) => (
+              <p key={i}>{error}</p>
+            ))}
+          </div>
+        )}
+
+        {/* Предпросмотр таблицы CSV */}
+        {format === 'csv' && rows.length > 0 && (
+          <div className="overflow-x-auto mt-4">
+            <table className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              {hasHeader && (
+                <thead>
+                  <tr className={`${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'}`}>
+                    {Array.from({ length: columnCount }, (_, column) => (
+                      <th key={column} className="px-2 py-1 text-left">{names[column]}</th>
+                    ))}
+                  </tr>
+                </thead>
+              )}
+              <tbody>
+                {dataRows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {Array.from({ length: columnCount }, (_, column) => (
+                      <td
+                        key={column}
+                        className={`px-2 py-1 ${selectedCell(rowIndex, column) ? (isDarkMode ? 'bg-green-800' : 'bg-emerald-200') : ''}`}
+                      >
+                        {row[column]}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {dataRows.length > PREVIEW_ROWS && (
+              <p className="text-xs mt-1">Показаны первые {PREVIEW_ROWS} из {dataRows.length} строк</p>
+            )}
+          </div>
+        )}
+
+        {/* Итог выбора */}
+        <div className="mt-4 text-sm">
+          <p>
+            Чисел: {values.length}. Пропущено ячеек: {skipped.length}.
+          </p>
+          {values.length > 0 && (
+            <p className="mt-1 break-all">
+              {values.slice(0, PREVIEW_VALUES).join(', ')}{values.length > PREVIEW_VALUES ? ', …' : ''}
+            </p>
+          )}
+          {format === 'csv' && dataRows.length > MAX_TABLE_ROWS && (
+            <p className="mt-1">Таблица будет загружена не целиком: первые {MAX_TABLE_ROWS} строк.</p>
+          )}
+          {truncated && (
+            <p className="mt-1 text-red-600">
+              Будут загружены первые {maxSize} значений (ограничение текущего способа отрисовки).
+            </p>
+          )}
+          {skipped.length > 0 && (
+            <ul className="list-disc pl-5 mt-1">
+              {skipped.slice(0, PREVIEW_SKIPPED).map((cell, i) => (
+                <li key={i}>{cell.location}: «{cell.value}»</li>
+              ))}
+              {skipped.length > PREVIEW_SKIPPED && <li>и еще {skipped.length - PREVIEW_SKIPPED}</li>}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button
+            className={`px-4 py-2 ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} rounded transition`}
+            onClick={onClose}
+          >
+            Отмена
+          </button>
+          {format === 'csv' && (
+            <button
+              className={`px-4 py-2 ${isDarkMode ? 'bg-green-800 hover:bg-green-900' : 'bg-emerald-600 hover:bg-emerald-700'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+              onClick={loadTable}
+              disabled={dataRows.length === 0}
+              title={`Сортировка строк целиком (до ${MAX_TABLE_ROWS} строк)`}
+            >
+              Загрузить таблицу
+            </button>
+          )}
+          <button
+            className={`px-4 py-2 ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+            onClick={() => onLoad(values.slice(0, maxSize))}
+            disabled={values.length === 0}
+          >
+            Загрузить
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Подписи индексных переменных алгоритма (i, j, low, high...) над элементами.
+// Элементы занимают равные доли ширины контейнера, поэтому подпись ставится
+// по центру доли с номером индекса. Контейнер должен быть позиционирован.
+// markers - { имя: индекс }; индексы за пределами массива не отмечаются.
+const IndexMarkers = ({ markers, count, isDarkMode }) => {
+  const byIndex = new Map();
+  Object.entries(markers).forEach(([name, index]) => {
+    if (index < 0 || index >= count) return;
+    if (!byIndex.has(index)) byIndex.set(index, []);
+    byIndex.get(index).push(name);
+  });
+
+  return (
+    <>
+      {[...byIndex].map(([index, names]) => (
+        <div
+          key={index}
+          className={`absolute top-0 z-10 text-xs font-mono leading-none text-center pointer-events-none ${isDarkMode ? 'text-blue-300' : 'text-blue-700'}`}
+          style={{ left: `${((index + 0.5) / count) * 100}%`, transform: 'translateX(-50%)' }}
+        >
+          {names.join(',')}
+          <br />
+          ↓
+        </div>
+      ))}
+    </>
+  );
+};
+
+export default IndexMarkers;
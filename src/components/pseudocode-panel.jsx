@@ -0,0 +1,25 @@
+import React from 'react';
+
+// Листинг псевдокода алгоритма с подсветкой строк, выполнивших текущую
+// операцию. lines - строки из PSEUDOCODE (текст или [метка, текст]),
+// activeLine - метка строки последней операции или null.
+const PseudocodePanel = ({ lines, activeLine, isDarkMode }) => {
+  const activeClass = isDarkMode ? 'bg-yellow-700 text-white' : 'bg-yellow-200';
+
+  return (
+    <pre className={`text-sm font-mono overflow-x-auto rounded p-2 ${isDarkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+      {lines.map((line, index) => {
+        const [label, text] = Array.isArray(line) ? line : [null, line];
+        const isActive = label !== null && label === activeLine;
+        return (
+          <div key={index} className={`flex px-1 rounded ${isActive ? activeClass : ''}`}>
+            <span className="w-8 shrink-0 select-none opacity-50 text-right pr-3">{index + 1}</span>
+            <span>{text || ' '}</span>
+          </div>
+        );
+      })}
+    </pre>
+  );
+};
+
+export default PseudocodePanel;
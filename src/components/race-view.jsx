@@ -0,0 +1,91 @@
+import React from 'react';
+import ArrayView from './array-view';
+
+// Гонка алгоритмов: по панели на каждый алгоритм с текущими счетчиками
+// и порядок финиша. lanes - снимки дорожек гонки (см. engine/race.js).
+const RaceView = ({
+  lanes,
+  names,
+  isPlaying,
+  displayType,
+  renderer,
+  zoom,
+  isDarkMode,
+  onPause,
+  onResume,
+  onClose
+}) => {
+  const finishers = lanes
+    .filter(lane => lane.place !== null)
+    .sort((a, b) => a.place - b.place);
+  const isDone = finishers.length === lanes.length;
+
+  return (
+    <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mt-6`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-semibold">Гонка алгоритмов</h2>
+        <div className="flex gap-2">
+          <button
+            className={`px-4 py-2 ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+            onClick={isPlaying ? onPause : onResume}
+            disabled={isDone}
+          >
+            {isPlaying ? 'Пауза' : 'Продолжить'}
+          </button>
+          <button
+            className={`px-4 py-2 ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} rounded transition`}
+            onClick={onClose}
+          >
+            Закрыть
+          </button>
+        </div>
+      </div>
+
+      {/* Дорожки */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {lanes.map(lane => (
+          <div key={lane.algorithm} className={`p-2 rounded ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-50'}`}>
+            <div className="flex justify-between text-sm font-medium mb-1">
+              <span>{names[lane.algorithm]}</span>
+              {lane.place !== null && <span>Место: {lane.place}</span>}
+            </div>
+            <div className="h-40 relative">
+              <ArrayView
+                values={lane.values}
+                compare={lane.compare}
+                swap={lane.swap}
+                isSorted={lane.place !== null}
+                displayType={displayType}
+                renderer={renderer}
+                zoom={zoom}
+                isDarkMode={isDarkMode}
+              />
+            </div>
+            <div className="grid grid-cols-4 gap-2 mt-1 text-xs text-center">
+              <span>Сравнения: {lane.stats.comparisons}</span>
+              <span>Перестановки: {lane.stats.swaps}</span>
+              <span>Записи: {lane.stats.writes}</span>
+              <span>Шаг: {lane.step}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Порядок финиша */}
+      {finishers.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-lg font-semibold mb-2">Порядок финиша</h3>
+          <ol className="list-decimal pl-5 space-y-1 text-sm">
+            {finishers.map(lane => (
+              <li key={lane.algorithm}>
+                {names[lane.algorithm]} - {lane.step} операций, {(lane.finishedAt / 1000).toFixed(2)} сек
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RaceView;
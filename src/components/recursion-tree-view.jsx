@@ -0,0 +1,88 @@
+import React from 'react';
+
+// Высота уровня дерева вызовов в пикселях
+const ROW_HEIGHT = 22;
+
+// Сколько вызовов рисовать в дереве; для больших массивов остается только стек
+const MAX_DRAWN_CALLS = 2000;
+
+// Цвета стратегий гибридных алгоритмов в порядке их первого появления
+const STRATEGY_COLORS = ['#8b5cf6', '#f97316', '#0ea5e9', '#ec4899', '#14b8a6', '#84cc16'];
+
+// Дерево рекурсивных вызовов и стек вызовов.
+// Вызов рисуется полосой над своим отрезком массива на строке своей глубины,
+// поэтому дерево разворачивается сверху вниз вместе с разбиением массива.
+// calls и stack - отметки проигрывателя (см. engine/ops.js), count - длина
+// массива, name - имя рекурсивной функции в псевдокоде. Вызовы, в которых
+// гибридный алгоритм отметил стратегию, выделяются полосой ее цвета.
+const RecursionTreeView = ({ calls, stack, count, name, maxDepth, isDarkMode }) => {
+  const active = stack.length > 0 ? stack[stack.length - 1] : null;
+  const onStack = new Set(stack);
+  const rows = calls.reduce((max, call) => Math.max(max, call.depth), 0);
+  const signature = ({ range: [from, to] }) => `${name}(${from}, ${to})`;
+  const strategies = [...new Set(calls.map(call => call.strategy).filter(Boolean))];
+  const strategyColor = (strategy) => STRATEGY_COLORS[strategies.indexOf(strategy) % STRATEGY_COLORS.length];
+
+  const callClass = (index) => {
+    if (index === active) return isDarkMode ? 'bg-yellow-600 text-white' : 'bg-yellow-400';
+    if (onStack.has(index)) return isDarkMode ? 'bg-yellow-900' : 'bg-yellow-100';
+    return isDarkMode ? 'bg-green-900 opacity-75' : 'bg-emerald-100 opacity-75';
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
+      <div className="md:col-span-3">
+        {calls.length > MAX_DRAWN_CALLS ? (
+          <p className="opacity-75">Вызовов слишком много для отрисовки дерева ({calls.length}) - показан только стек.</p>
+        ) : (
+          <div className="relative overflow-hidden" style={{ height: `${Math.max(rows, 1) * ROW_HEIGHT}px` }}>
+            {calls.map((call, index) => {
+              const [from, to] = call.range;
+              const size = Math.max(to - from + 1, 0);
+              return (
+                <div
+                  key={index}
+                  className={`absolute px-1 rounded border text-xs font-mono truncate ${isDarkMode ? 'border-gray-800' : 'border-white'} ${callClass(index)}`}
+                  title={call.strategy ? `${signature(call)} - ${call.strategy}` : signature(call)}
+                  style={{
+                    borderLeft: call.strategy ? `4px solid ${strategyColor(call.strategy)}` : undefined,
+                    left: `${(from / count) * 100}%`,
+                    width: size > 0 ? `${(size / count) * 100}%` : '4px',
+                    top: `${(call.depth - 1) * ROW_HEIGHT}px`,
+                    height: `${ROW_HEIGHT}px`
+                  }}
+                >
+                  {size > 0 ? `${from}..${to}` : ''}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <p className="mb-1">Глубина: {stack.length} (наибольшая: {maxDepth})</p>
+        <ol className="font-mono text-xs space-y-0.5">
+          {[...stack].reverse().map((index, position) => (
+            <li key={index} className={`px-1 rounded ${position === 0 ? (isDarkMode ? 'bg-yellow-600 text-white' : 'bg-yellow-400') : ''}`}>
+              {signature(calls[index])}
+              {calls[index].strategy && <span className="opacity-75"> - {calls[index].strategy}</span>}
+            </li>
+          ))}
+        </ol>
+        {strategies.length > 0 && (
+          <ul className="mt-3 text-xs space-y-0.5">
+            {strategies.map(strategy => (
+              <li key={strategy} className="flex items-center">
+                <span className="inline-block w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: strategyColor(strategy) }}></span>
+                {strategy}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecursionTreeView;
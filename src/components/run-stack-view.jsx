@@ -0,0 +1,75 @@
+import React from 'react';
+import { getRunColor } from './bar-colors';
+
+// Высота полосы серий в пикселях
+const STRIP_HEIGHT = 22;
+
+// Стек серий Timsort. runs - отметка проигрывателя (см. engine/ops.js):
+// [[from, to], ...] от дна к вершине, count - длина массива.
+// Полоса показывает серии над их отрезками массива теми же цветами, что
+// и столбцы, а список - стек от вершины с проверкой инвариантов: каждая
+// серия длиннее следующей над ней и длиннее суммы двух следующих.
+// Нарушенный инвариант означает, что сейчас начнутся слияния.
+const RunStackView = ({ runs, count, isDarkMode }) => {
+  const runFill = (position) => getRunColor(position, isDarkMode);
+  const lengths = runs.map(([from, to]) => to - from + 1);
+
+  // Инварианты для серии в позиции position (у двух верхних серий их меньше)
+  const invariants = (position) => {
+    const checks = [];
+    if (position + 1 < lengths.length) {
+      checks.push({ text: `${lengths[position]} > ${lengths[position + 1]}`, holds: lengths[position] > lengths[position + 1] });
+    }
+    if (position + 2 < lengths.length) {
+      const sum = lengths[position + 1] + lengths[position + 2];
+      checks.push({ text: `${lengths[position]} > ${sum}`, holds: lengths[position] > sum });
+    }
+    return checks;
+  };
+
+  return (
+    <div className="text-sm">
+      <div className={`relative overflow-hidden rounded ${isDarkMode ? 'bg-gray-700' : 'bg-gray-100'}`} style={{ height: `${STRIP_HEIGHT}px` }}>
+        {runs.map(([from, to], position) => (
+          <div
+            key={`${from}-${to}`}
+            className="absolute px-1 text-xs font-mono text-white truncate border-r border-white"
+            title={`[${from}..${to}]`}
+            style={{
+              left: `${(from / count) * 100}%`,
+              width: `${((to - from + 1) / count) * 100}%`,
+              height: `${STRIP_HEIGHT}px`,
+              lineHeight: `${STRIP_HEIGHT}px`,
+              backgroundColor: runFill(position)
+            }}
+          >
+            {to - from + 1}
+          </div>
+        ))}
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="mt-2 opacity-75">Стек серий пуст.</p>
+      ) : (
+        <ol className="mt-2 font-mono text-xs space-y-0.5">
+          {[...runs].reverse().map(([from, to], offset) => {
+            const position = runs.length - 1 - offset;
+            return (
+              <li key={`${from}-${to}`} className="flex items-center flex-wrap gap-2">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: runFill(position) }}></span>
+                <span>[{from}..{to}], длина {to - from + 1}</span>
+                {invariants(position).map(({ text, holds }) => (
+                  <span key={text} className={holds ? 'opacity-75' : (isDarkMode ? 'text-red-400' : 'text-red-600')}>
+                    {holds ? '✓' : '✗'} {text}
+                  </span>
+                ))}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RunStackView;
@@ -0,0 +1,362 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { ALGORITHM_COMPLEXITY, fitComplexity, sizeRange } from '../engine';
+
+// Наибольший размер массива в эксперименте
+const MAX_EXPERIMENT_SIZE = 100000;
+
+// Метрики, которые можно отложить по оси Y
+const METRICS = {
+  comparisons: 'Сравнения',
+  swaps: 'Перестановки',
+  writes: 'Записи',
+  time: 'Время (мс)'
+};
+
+// Метрики, по которым подбирается класс сложности
+const FIT_METRICS = ['comparisons', 'swaps', 'time'];
+
+const SERIES_COLORS = ['#10b981', '#f59e0b', '#6366f1', '#ef4444', '#06b6d4', '#ec4899', '#84cc16', '#8b5cf6', '#f97316', '#14b8a6', '#64748b'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Эксперимент масштабирования: выбранные алгоритмы на ряде размеров массива
+// и наборов данных, графики метрик от n и подбор класса сложности.
+// Замеры выполняются в потоке engine/benchmark.worker.js.
+// onFits получает оценки по первому выбранному набору данных:
+// { [algorithm]: { preset, comparisons, swaps, time } } (подписи классов).
+// ordering - ключ и направление сортировки, params - параметры алгоритмов
+// (см. engine/benchmark.js).
+const ScalingPanel = ({ algorithms, names, presetNames, ordering, params, disabled, isDarkMode, onFits }) => {
+  const [from, setFrom] = useState(10);
+  const [to, setTo] = useState(10000);
+  const [steps, setSteps] = useState(8);
+  const [scale, setScale] = useState('geometric');
+  const [presets, setPresets] = useState(['RANDOM']);
+  const [trials, setTrials] = useState(1);
+  const [metric, setMetric] = useState('comparisons');
+  const [logAxes, setLogAxes] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [points, setPoints] = useState(null);
+  const worker = useRef(null);
+
+  // Прерывание замера при размонтировании
+  useEffect(() => {
+    return () => {
+      if (worker.current) worker.current.terminate();
+    };
+  }, []);
+
+  const sizes = sizeRange({ from, to, steps, scale });
+
+  // Серии графика и оценки сложности: по одной на пару алгоритм/набор данных
+  const series = useMemo(() => {
+    if (!points) return [];
+    const byKey = new Map();
+    points.forEach(point => {
+      const key = `${point.algorithm}|${point.preset}`;
+      if (!byKey.has(key)) byKey.set(key, { key, algorithm: point.algorithm, preset: point.preset, points: [] });
+      byKey.get(key).points.push(point);
+    });
+    return [...byKey.values()].map(item => ({
+      ...item,
+      fits: Object.fromEntries(FIT_METRICS.map(name => [
+        name,
+        fitComplexity(item.points.map(point => ({ n: point.n, y: point[name] })))
+      ]))
+    }));
+  }, [points]);
+
+  // Строки графика: одна на размер, столбец на серию
+  const chartData = useMemo(() => {
+    if (!points) return [];
+    const rows = new Map();
+    points.forEach(point => {
+      if (!rows.has(point.n)) rows.set(point.n, { n: point.n });
+      const value = point[metric];
+      // На логарифмической шкале нулевые значения не откладываются
+      rows.get(point.n)[`${point.algorithm}|${point.preset}`] = logAxes && value <= 0 ? null : value;
+    });
+    return [...rows.values()].sort((a, b) => a.n - b.n);
+  }, [points, metric, logAxes]);
+
+  const stopExperiment = () => {
+    if (worker.current) worker.current.terminate();
+    worker.current = null;
+    setIsRunning(false);
+  };
+
+  const startExperiment = () => {
+    if (isRunning || algorithms.length === 0 || presets.length === 0) return;
+
+    setPoints(null);
+    setProgress({ done: 0, total: 0 });
+    setIsRunning(true);
+
+    // Замер прервался: эксперимент останавливается без результатов
+    const fail = (message) => {
+      stopExperiment();
+      alert('Ошибка в эксперименте масштабирования: ' + message);
+    };
+
+    worker.current = new Worker(new URL('../engine/benchmark.worker.js', import.meta.url));
+    worker.current.onerror = (event) => {
+      event.preventDefault();
+      fail(event.message);
+    };
+    worker.current.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress({ done: data.done, total: data.total });
+        return;
+      }
+      if (data.type === 'error') {
+        fail(data.message);
+        return;
+      }
+
+      setPoints(data.results);
+      stopExperiment();
+
+      // Оценки по первому набору данных - для описания алгоритма
+      const fits = {};
+      algorithms.forEach(algorithm => {
+        const own = data.results.filter(point => point.algorithm === algorithm && point.preset === presets[0]);
+        const labelOf = (name) => {
+          const fit = fitComplexity(own.map(point => ({ n: point.n, y: point[name] })));
+          return fit ? fit.best.label : null;
+        };
+        fits[algorithm] = { preset: presets[0], comparisons: labelOf('comparisons'), swaps: labelOf('swaps'), time: labelOf('time') };
+      });
+      onFits(fits);
+    };
+
+    worker.current.postMessage({
+      task: 'scaling',
+      options: { algorithms, sizes, presets, ordering, params, trials }
+    });
+  };
+
+  const togglePreset = (e) => {
+    const preset = e.target.value;
+    setPresets(e.target.checked ? [...presets, preset] : presets.filter(p => p !== preset));
+  };
+
+  const inputClass = `ml-2 w-24 p-1 border rounded ${isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+  const axisColor = isDarkMode ? '#d1d5db' : '#374151';
+
+  return (
+    <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-md p-4 mb-6`}>
+      <h2 className="text-xl font-semibold mb-2">Эксперимент масштабирования</h2>
+      <p className="text-sm mb-2">
+        Алгоритмы берутся из списка сравнения. Квадратичные алгоритмы на больших размерах работают долго - замер можно отменить.
+      </p>
+
+      {/* Параметры эксперимента */}
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center">
+          Размер от:
+          <input
+            type="number"
+            min="2"
+            max={MAX_EXPERIMENT_SIZE}
+            value={from}
+            onChange={(e) => setFrom(clamp(Number(e.target.value) || 2, 2, MAX_EXPERIMENT_SIZE))}
+            disabled={isRunning}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center">
+          до:
+          <input
+            type="number"
+            min="2"
+            max={MAX_EXPERIMENT_SIZE}
+            value={to}
+            onChange={(e) => setTo(clamp(Number(e.target.value) || 2, 2, MAX_EXPERIMENT_SIZE))}
+            disabled={isRunning}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center">
+          Точек:
+          <input
+            type="number"
+            min="2"
+            max="30"
+            value={steps}
+            onChange={(e) => setSteps(clamp(Number(e.target.value) || 2, 2, 30))}
+            disabled={isRunning}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center">
+          Шаг:
+          <select
+            value={scale}
+            onChange={(e) => setScale(e.target.value)}
+            disabled={isRunning}
+            className={inputClass}
+          >
+            <option value="linear">Линейный</option>
+            <option value="geometric">Геометрический</option>
+          </select>
+        </label>
+        <label className="flex items-center">
+          Замеров:
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={trials}
+            onChange={(e) => setTrials(clamp(Number(e.target.value) || 1, 1, 20))}
+            disabled={isRunning}
+            className={inputClass}
+          />
+        </label>
+      </div>
+      <p className="text-xs mt-1">Размеры: {sizes.join(', ')}</p>
+
+      <div className="flex flex-wrap gap-4 mt-2 text-sm">
+        {Object.entries(presetNames).map(([key, value]) => (
+          <label key={key} className="flex items-center">
+            <input
+              type="checkbox"
+              value={key}
+              checked={presets.includes(key)}
+              onChange={togglePreset}
+              disabled={isRunning}
+              className="w-4 h-4 mr-2 text-emerald-600 bg-gray-100 border-gray-300 rounded focus:ring-emerald-500"
+            />
+            {value}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-2">
+        <button
+          className={`px-4 py-2 ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+          onClick={startExperiment}
+          disabled={disabled || isRunning || algorithms.length === 0 || presets.length === 0}
+        >
+          Запустить эксперимент
+        </button>
+        {isRunning && (
+          <button
+            className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition"
+            onClick={stopExperiment}
+          >
+            Отменить
+          </button>
+        )}
+      </div>
+
+      {/* Ход эксперимента */}
+      {isRunning && (
+        <div className="mt-2">
+          <p className="text-sm mb-1">Прогонов: {progress.done} из {progress.total || '…'}</p>
+          <div className={`w-full h-2 rounded ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+            <div
+              className={`h-2 rounded ${isDarkMode ? 'bg-green-600' : 'bg-emerald-500'}`}
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {points && (
+        <>
+          {/* График метрики от размера */}
+          <div className="flex flex-wrap items-center gap-4 mt-4 text-sm">
+            <label className="flex items-center">
+              Метрика:
+              <select value={metric} onChange={(e) => setMetric(e.target.value)} className={inputClass}>
+                {Object.entries(METRICS).map(([key, value]) => (
+                  <option key={key} value={key}>{value}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={logAxes}
+                onChange={() => setLogAxes(!logAxes)}
+                className="w-4 h-4 mr-2 text-emerald-600 bg-gray-100 border-gray-300 rounded focus:ring-emerald-500"
+              />
+              Логарифмические оси
+            </label>
+          </div>
+          <div className="mt-2 h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#e5e7eb'} />
+                <XAxis
+                  dataKey="n"
+                  type="number"
+                  scale={logAxes ? 'log' : 'linear'}
+                  domain={['auto', 'auto']}
+                  stroke={axisColor}
+                />
+                <YAxis
+                  scale={logAxes ? 'log' : 'linear'}
+                  domain={['auto', 'auto']}
+                  allowDataOverflow
+                  stroke={axisColor}
+                />
+                <Tooltip
+                  contentStyle={{ backgroundColor: isDarkMode ? '#1f2937' : '#ffffff', borderColor: isDarkMode ? '#374151' : '#e5e7eb' }}
+                  labelFormatter={(n) => `n = ${n}`}
+                />
+                <Legend />
+                {series.map((item, index) => (
+                  <Line
+                    key={item.key}
+                    type="monotone"
+                    dataKey={item.key}
+                    name={`${names[item.algorithm]} (${presetNames[item.preset]})`}
+                    stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+                    dot={false}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Подобранные классы сложности */}
+          <div className="overflow-x-auto mt-4">
+            <table className={`w-full text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <thead>
+                <tr className={`${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'}`}>
+                  <th className="px-4 py-2 text-left">Алгоритм</th>
+                  <th className="px-4 py-2 text-left">Набор данных</th>
+                  <th className="px-4 py-2 text-left">Теоретическая</th>
+                  <th className="px-4 py-2 text-left">По сравнениям</th>
+                  <th className="px-4 py-2 text-left">По перестановкам</th>
+                  <th className="px-4 py-2 text-left">По времени</th>
+                </tr>
+              </thead>
+              <tbody>
+                {series.map((item, index) => (
+                  <tr key={item.key} className={`${index % 2 === 0 ? (isDarkMode ? 'bg-gray-800' : 'bg-white') : (isDarkMode ? 'bg-gray-900' : 'bg-gray-50')}`}>
+                    <td className="px-4 py-2">{names[item.algorithm]}</td>
+                    <td className="px-4 py-2">{presetNames[item.preset]}</td>
+                    <td className="px-4 py-2">{ALGORITHM_COMPLEXITY[item.algorithm].average}</td>
+                    {FIT_METRICS.map(name => (
+                      <td key={name} className="px-4 py-2">{item.fits[name] ? item.fits[name].best.label : '—'}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs mt-1">
+            Класс подбирается по модели c·f(n) в логарифмическом масштабе среди O(n), O(n log n), O(n^1.5) и O(n²).
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScalingPanel;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { COLUMN_TYPES, SORT_ORDERS } from '../engine';
+
+// Настройка ключей сортировки таблицы: столбец, направление и интерпретация
+// значений для каждого ключа. Ключи применяются сверху вниз.
+const TableSortPanel = ({ columns, sortKeys, disabled, isDarkMode, onChange, onClose }) => {
+  const fieldClass = `p-1 border rounded ${isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+
+  const updateKey = (position, changes) => {
+    onChange(sortKeys.map((sortKey, i) => (i === position ? { ...sortKey, ...changes } : sortKey)));
+  };
+
+  const addKey = () => {
+    const used = sortKeys.map(sortKey => sortKey.column);
+    const column = columns.findIndex((name, index) => !used.includes(index));
+    onChange([...sortKeys, { column: Math.max(column, 0), order: 'asc', type: 'number' }]);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium">Сортировка таблицы (ключи по порядку):</label>
+        <button
+          className={`px-3 py-1 text-sm ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+          onClick={onClose}
+          disabled={disabled}
+        >
+          Закрыть таблицу
+        </button>
+      </div>
+
+      {sortKeys.map((sortKey, position) => (
+        <div key={position} className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+          <span className="w-6">{position + 1}.</span>
+          <select
+            value={sortKey.column}
+            onChange={(e) => updateKey(position, { column: Number(e.target.value) })}
+            disabled={disabled}
+            className={fieldClass}
+          >
+            {columns.map((name, column) => (
+              <option key={column} value={column}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={sortKey.order}
+            onChange={(e) => updateKey(position, { order: e.target.value })}
+            disabled={disabled}
+            className={fieldClass}
+          >
+            {Object.entries(SORT_ORDERS).map(([key, value]) => (
+              <option key={key} value={key}>{value}</option>
+            ))}
+          </select>
+          <select
+            value={sortKey.type}
+            onChange={(e) => updateKey(position, { type: e.target.value })}
+            disabled={disabled}
+            className={fieldClass}
+          >
+            {Object.entries(COLUMN_TYPES).map(([key, value]) => (
+              <option key={key} value={key}>{value}</option>
+            ))}
+          </select>
+          <button
+            className="px-2 py-1 text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => onChange(sortKeys.filter((item, i) => i !== position))}
+            disabled={disabled || sortKeys.length === 1}
+          >
+            Удалить
+          </button>
+        </div>
+      ))}
+
+      <button
+        className={`px-3 py-1 text-sm ${isDarkMode ? 'bg-green-700 hover:bg-green-800' : 'bg-emerald-500 hover:bg-emerald-600'} text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed`}
+        onClick={addKey}
+        disabled={disabled}
+      >
+        Добавить ключ
+      </button>
+    </div>
+  );
+};
+
+export default TableSortPanel;
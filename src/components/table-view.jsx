@@ -0,0 +1,62 @@
+import React from 'react';
+import { BAR_CLASSES, DIMMED_OPACITY, getBarState, isOutsideRange } from './bar-colors';
+
+// Высота строки таблицы в пикселях
+const ROW_HEIGHT = 28;
+
+// Таблица, строки которой переставляет алгоритм сортировки.
+// Строки привязаны к исходному номеру (tag) и позиционируются сдвигом, поэтому
+// при перестановке строка плавно переезжает на новое место.
+// rows - строки { cells, tag } в текущем порядке; keyColumns - столбцы-ключи;
+// marks - отметки алгоритма { range, pivots, final } (см. engine/ops.js).
+const TableView = ({ columns, rows, keyColumns, marks, compare, swap, isSorted, isDarkMode }) => {
+  const colors = BAR_CLASSES[isDarkMode ? 'dark' : 'light'];
+  const { range = null, pivots = [], final = null } = marks || {};
+  const gridTemplateColumns = `3rem repeat(${columns.length}, minmax(6rem, 1fr))`;
+
+  return (
+    <div className="h-full overflow-auto text-sm">
+      {/* Заголовок */}
+      <div
+        className={`sticky top-0 z-10 grid font-semibold ${isDarkMode ? 'bg-gray-700' : 'bg-emerald-100'}`}
+        style={{ gridTemplateColumns }}
+      >
+        <div className="px-2 py-1">#</div>
+        {columns.map((name, column) => (
+          <div key={column} className={`px-2 py-1 truncate ${keyColumns.includes(column) ? 'underline' : ''}`}>
+            {name}
+          </div>
+        ))}
+      </div>
+
+      {/* Строки */}
+      <div className="relative" style={{ height: `${rows.length * ROW_HEIGHT}px` }}>
+        {rows.map((row, index) => {
+          const state = getBarState(index, { isSorted, compare, swap, pivots, final });
+          const isDimmed = !isSorted && isOutsideRange(index, range);
+          return (
+            <div
+              key={row.tag}
+              className={`absolute left-0 right-0 grid items-center transition-transform duration-200 ${state === 'default' ? '' : colors[state]}`}
+              style={{
+                gridTemplateColumns,
+                height: `${ROW_HEIGHT}px`,
+                transform: `translateY(${index * ROW_HEIGHT}px)`,
+                opacity: isDimmed ? DIMMED_OPACITY : 1
+              }}
+            >
+              <div className="px-2 opacity-75">{row.tag + 1}</div>
+              {columns.map((name, column) => (
+                <div key={column} className="px-2 truncate" title={row.cells[column]}>
+                  {row.cells[column]}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TableView;
@@ -0,0 +1,24 @@
+// Отображение значений элементов в доли высоты визуализации.
+// Массив хранит исходные значения (в том числе отрицательные и дробные),
+// а высоту столбца или размер точки определяет только представление.
+
+// Минимальная доля, чтобы наименьший элемент оставался видимым
+const MIN_FRACTION = 0.02;
+
+// Шкала по текущим значениям: ноль всегда входит в диапазон, поэтому
+// положительные значения получают высоту, пропорциональную величине
+export const createValueScale = (values) => {
+  let min = 0;
+  let max = 0;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const range = max - min;
+  return {
+    min,
+    max,
+    fraction: (value) => (range === 0 ? 1 : Math.max(MIN_FRACTION, (value - min) / range))
+  };
+};
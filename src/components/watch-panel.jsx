@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Панель переменных алгоритма на текущем шаге.
+// vars - снимок { indices, values } из операции (см. engine/tracer.js) или null;
+// formatValue - подпись элемента массива (значения вроде pivot - это элементы).
+const WatchPanel = ({ vars, formatValue, isDarkMode }) => {
+  if (!vars) {
+    return <p className="text-sm opacity-75">Переменные появятся после запуска сортировки.</p>;
+  }
+
+  const rows = [
+    ...Object.entries(vars.indices).map(([name, value]) => [name, value]),
+    ...Object.entries(vars.values).map(([name, value]) => [name, typeof value === 'number' ? value : formatValue(value)])
+  ];
+
+  return (
+    <table className={`text-sm font-mono ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+      <tbody>
+        {rows.map(([name, value]) => (
+          <tr key={name}>
+            <td className="pr-4 py-0.5 font-semibold">{name}</td>
+            <td className="py-0.5">{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default WatchPanel;
@@ -0,0 +1,1458 @@
+// Алгоритмы сортировки движка.
+// Каждый алгоритм - генератор, написанный один раз и работающий только через
+// инструментированный массив `a` (см. tracer.js): yield* a.compare / a.compareValues
+// для сравнений, yield* a.swap и a.set для изменений, a.get для чтения без учета.
+// Сортировки без сравнений берут числовой ключ элемента через a.key.
+// Вторым аргументом алгоритм получает свои параметры (ALGORITHM_PARAMS в sorts.js).
+// Последний аргумент операций - метка строки псевдокода из pseudocode.js,
+// a.watch перед операциями сохраняет индексы и значения для панели переменных.
+// Отметки (a.phase, a.markRange, a.markPivot, a.markFinal) поясняют этапы:
+// рабочий отрезок, опорные элементы и позиции, которые уже не изменятся.
+// Гибридные алгоритмы отмечают через a.strategy, каким способом сортируется
+// текущий отрезок, Шелл и расческа через a.markGap - текущий промежуток,
+// Timsort через a.markRuns - стек серий.
+// a.markFinal выдается, как только алгоритм знает, что позиция окончательная;
+// вставки, Шелл, расческа, гномья и четно-нечетная сортировки этого не знают
+// до самого конца и позиции не отмечают.
+// Операции отдаются по одной, поэтому воспроизведение может начаться сразу,
+// а прерванный поток (stream.return()) не досчитывает оставшуюся трассу.
+
+// Сортировка вставками на отрезке [start, end] обменами соседних элементов
+function* insertionSortRange(a, start, end) {
+  for (let i = start + 1; i <= end; i++) {
+    yield* a.markRange(start, i);
+    for (let j = i; j > start; j--) {
+      a.watch({ i, j });
+      if ((yield* a.compare(j - 1, j, 'insertion-compare')) <= 0) break;
+      yield* a.swap(j - 1, j, 'insertion-swap');
+    }
+  }
+}
+
+// Слияние отсортированных отрезков [start, mid] и [mid + 1, end].
+// isFinal - последнее слияние: каждая записанная позиция уже окончательная.
+function* merge(a, start, mid, end, isFinal = false) {
+  const left = [];
+  const right = [];
+  for (let i = start; i <= mid; i++) left.push(a.get(i));
+  for (let j = mid + 1; j <= end; j++) right.push(a.get(j));
+
+  let i = 0, j = 0, k = start;
+
+  yield* a.phase(`Слияние [${start}..${end}]`);
+  yield* a.markRange(start, end);
+  while (i < left.length && j < right.length) {
+    a.watch({ start, mid, end, k }, { i, j });
+    if ((yield* a.compareValues(left[i], right[j], [start + i, mid + 1 + j], 'merge-compare')) <= 0) {
+      yield* a.set(k++, left[i++], 'merge-left');
+    } else {
+      yield* a.set(k++, right[j++], 'merge-right');
+    }
+    if (isFinal) yield* a.markFinal(k - 1);
+  }
+
+  // Оставшиеся элементы
+  while (i < left.length) {
+    a.watch({ start, mid, end, k }, { i, j });
+    yield* a.set(k++, left[i++], 'merge-rest-left');
+    if (isFinal) yield* a.markFinal(k - 1);
+  }
+  while (j < right.length) {
+    a.watch({ start, mid, end, k }, { i, j });
+    yield* a.set(k++, right[j++], 'merge-rest-right');
+    if (isFinal) yield* a.markFinal(k - 1);
+  }
+}
+
+// Поиск минимального и максимального ключа (используется сортировками без сравнений)
+function* findRange(a) {
+  let minIdx = 0;
+  let maxIdx = 0;
+
+  yield* a.phase('Поиск наименьшего и наибольшего ключа');
+  for (let i = 1; i < a.length; i++) {
+    a.watch({ i, minIdx, maxIdx });
+    if ((yield* a.compare(i, minIdx, 'range')) < 0) minIdx = i;
+    a.watch({ i, minIdx, maxIdx });
+    if ((yield* a.compare(i, maxIdx, 'range')) > 0) maxIdx = i;
+  }
+
+  return { min: a.key(a.get(minIdx)), max: a.key(a.get(maxIdx)) };
+}
+
+// Упорядочивание трех элементов: a[x] <= a[y] <= a[z], медиана оказывается в y
+function* sort3(a, x, y, z) {
+  const sort2 = function* (i, j) {
+    if ((yield* a.compare(j, i, 'median-compare')) < 0) yield* a.swap(i, j, 'median-swap');
+  };
+  yield* sort2(x, y);
+  yield* sort2(y, z);
+  yield* sort2(x, y);
+}
+
+// Разбиение Ломуто отрезка [low, high] по опорному a[high].
+// Возвращает окончательную позицию опорного элемента.
+function* lomutoPartition(a, low, high) {
+  const pivot = a.get(high);
+  let i = low - 1;
+
+  yield* a.phase(`Разбиение [${low}..${high}]`);
+  yield* a.markRange(low, high);
+  yield* a.markPivot(high);
+
+  for (let j = low; j < high; j++) {
+    a.watch({ low, high, i, j }, { pivot });
+    if ((yield* a.compare(j, high, 'partition-compare')) < 0) {
+      i++;
+      a.watch({ low, high, i, j }, { pivot });
+      yield* a.swap(i, j, 'partition-swap');
+    }
+  }
+
+  // Перестановка опорного элемента на его место
+  a.watch({ low, high, i: i + 1 }, { pivot });
+  yield* a.swap(i + 1, high, 'pivot-swap');
+  yield* a.markPivot();
+  yield* a.markFinal(i + 1);
+  return i + 1;
+}
+
+// Пирамидальная сортировка отрезка [start, end]. Узлы кучи нумеруются
+// от начала отрезка: потомки узла i - 2i + 1 и 2i + 2, в массиве это
+// позиции start + 2i + 1 и start + 2i + 2.
+function* heapSortRange(a, start, end) {
+  const n = end - start + 1;
+
+  // Просеивание вниз для поддержки свойства кучи
+  function* heapify(i, heapSize) {
+    const left = 2 * i + 1;
+    const right = 2 * i + 2;
+    let largest = i;
+    const watch = () => a.watch(
+      { i: start + i, left: start + left, right: start + right, largest: start + largest },
+      { heapSize }
+    );
+
+    watch();
+    if (left < heapSize && (yield* a.compare(start + left, start + largest, 'heapify-left')) > 0) {
+      largest = left;
+    }
+
+    watch();
+    if (right < heapSize && (yield* a.compare(start + right, start + largest, 'heapify-right')) > 0) {
+      largest = right;
+    }
+
+    if (largest !== i) {
+      watch();
+      yield* a.swap(start + i, start + largest, 'heapify-swap');
+      yield* heapify(largest, heapSize);
+    }
+  }
+
+  // Построение максимальной кучи
+  yield* a.phase('Построение кучи');
+  yield* a.markRange(start, end);
+  for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+    yield* heapify(i, n);
+  }
+
+  yield* a.phase('Извлечение максимума');
+  for (let i = n - 1; i > 0; i--) {
+    a.watch({ i: start + i }, { heapSize: i + 1 });
+    yield* a.swap(start, start + i, 'extract');
+    yield* a.markFinal(start + i);
+    yield* a.markRange(start, start + i - 1);
+    yield* heapify(0, i);
+  }
+
+  if (n > 0) yield* a.markFinal(start);
+}
+
+// Позиции отрезка [from, to] (для отметки окончательных позиций)
+const positions = (from, to) => Array.from({ length: Math.max(to - from + 1, 0) }, (_, k) => from + k);
+
+// Число знаков после запятой в записи числа (с учетом экспоненты)
+const decimalPlaces = (value) => {
+  const [, fraction = '', exponent = 0] = String(value).match(/^-?\d*(?:\.(\d+))?(?:e([+-]\d+))?$/) || [];
+  return Math.max(0, fraction.length - Number(exponent));
+};
+
+// Наибольший размер массива счетчиков сортировки подсчетом
+const MAX_COUNT_SIZE = 1 << 20;
+
+// Целочисленные ключи для сортировок без сравнений: ключи сдвигаются
+// на offset и умножаются на 10^d (d - наибольшее число знаков после запятой),
+// поэтому отрицательные и дробные ключи сортируются так же, как целые.
+// Возвращает ключ элемента и наибольший ключ или null, если ключи не
+// помещаются в безопасные целые (длинные дробные хвосты вроде 0.1 + 0.2).
+function scaledKeys(a, offset, max) {
+  let places = 0;
+  for (let i = 0; i < a.length; i++) {
+    places = Math.max(places, decimalPlaces(a.key(a.get(i))));
+  }
+
+  const factor = 10 ** places;
+  const toInteger = k => Math.round((k - offset) * factor);
+  const maxKey = toInteger(max);
+  if (!Number.isSafeInteger(maxKey)) return null;
+
+  return {
+    keyOf: value => toInteger(a.key(value)),
+    maxKey
+  };
+}
+
+// Запись числа в виде двух 32-битных половин, которые упорядочены так же,
+// как сами числа: у отрицательных инвертируются все биты, у остальных - знаковый
+const float64View = new DataView(new ArrayBuffer(8));
+const orderedWords = (k) => {
+  float64View.setFloat64(0, k === 0 ? 0 : k);
+  const high = float64View.getUint32(0);
+  const low = float64View.getUint32(4);
+  return high >>> 31 ? [~high >>> 0, ~low >>> 0] : [(high | 0x80000000) >>> 0, low];
+};
+
+// Ключи-ранги: номер ключа среди различных ключей по возрастанию. Ранги
+// строятся без сравнений - поразрядной сортировкой различных ключей по
+// 16-битным разрядам их упорядоченной записи, - поэтому сортировки без
+// сравнений не прячут внутри себя сортировку сравнениями.
+function rankedKeys(a) {
+  const words = new Map();
+  for (let i = 0; i < a.length; i++) {
+    const k = a.key(a.get(i));
+    if (!words.has(k)) words.set(k, orderedWords(k));
+  }
+
+  let distinct = [...words.keys()];
+  for (let pass = 0; pass < 4; pass++) {
+    const word = pass < 2 ? 1 : 0;
+    const shift = (pass % 2) * 16;
+    const digit = k => (words.get(k)[word] >>> shift) & 0xffff;
+
+    const count = Array(0x10001).fill(0);
+    distinct.forEach(k => count[digit(k) + 1]++);
+    for (let d = 1; d < count.length; d++) {
+      count[d] += count[d - 1];
+    }
+
+    const output = Array(distinct.length);
+    distinct.forEach(k => {
+      output[count[digit(k)]++] = k;
+    });
+    distinct = output;
+  }
+
+  const ranks = new Map(distinct.map((k, rank) => [k, rank]));
+  return {
+    keyOf: value => ranks.get(a.key(value)),
+    maxKey: distinct.length - 1
+  };
+}
+
+// ПУЗЫРЬКОВАЯ СОРТИРОВКА
+export function* bubbleSort(a) {
+  const n = a.length;
+
+  for (let i = 0; i < n; i++) {
+    yield* a.phase(`Проход ${i + 1}`);
+    yield* a.markRange(0, n - i - 1);
+    for (let j = 0; j < n - i - 1; j++) {
+      a.watch({ j }, { i });
+      if ((yield* a.compare(j, j + 1, 'compare')) > 0) {
+        yield* a.swap(j, j + 1, 'swap');
+      }
+    }
+
+    // Наибольший элемент прохода всплыл на свое место
+    yield* a.markFinal(n - i - 1);
+  }
+}
+
+// СОРТИРОВКА ВЫБОРОМ
+export function* selectionSort(a) {
+  const n = a.length;
+
+  for (let i = 0; i < n - 1; i++) {
+    let minIdx = i;
+
+    yield* a.phase(`Поиск минимума для позиции ${i}`);
+    yield* a.markRange(i, n - 1);
+    for (let j = i + 1; j < n; j++) {
+      a.watch({ i, j, min: minIdx });
+      if ((yield* a.compare(j, minIdx, 'compare')) < 0) {
+        minIdx = j;
+      }
+    }
+
+    // Если минимальный элемент не текущий, меняем их местами
+    if (minIdx !== i) {
+      a.watch({ i, min: minIdx });
+      yield* a.swap(i, minIdx, 'swap');
+    }
+    yield* a.markFinal(i);
+  }
+
+  if (n > 0) yield* a.markFinal(n - 1);
+}
+
+// СОРТИРОВКА ВСТАВКАМИ
+export function* insertionSort(a) {
+  yield* a.phase('Вставка элементов в отсортированную часть');
+  yield* insertionSortRange(a, 0, a.length - 1);
+}
+
+// СОРТИРОВКА СЛИЯНИЕМ
+export function* mergeSort(a) {
+  function* mergeSortHelper(start, end) {
+    yield* a.enter(start, end);
+    if (start < end) {
+      const mid = Math.floor((start + end) / 2);
+      yield* mergeSortHelper(start, mid);
+      yield* mergeSortHelper(mid + 1, end);
+      yield* merge(a, start, mid, end, start === 0 && end === a.length - 1);
+    }
+    yield* a.leave();
+  }
+
+  yield* mergeSortHelper(0, a.length - 1);
+}
+
+// Индекс медианы из a[i], a[j], a[k] (элементы не переставляются)
+function* median3(a, i, j, k) {
+  if ((yield* a.compare(i, j, 'median-compare')) < 0) {
+    if ((yield* a.compare(j, k, 'median-compare')) < 0) return j;
+    return (yield* a.compare(i, k, 'median-compare')) < 0 ? k : i;
+  }
+  if ((yield* a.compare(i, k, 'median-compare')) < 0) return i;
+  return (yield* a.compare(j, k, 'median-compare')) < 0 ? k : j;
+}
+
+// Выбор опорного элемента отрезка [low, high] по правилу rule
+// (ключи PIVOT_RULES в sorts.js). Возвращает индекс опорного.
+function* choosePivot(a, low, high, rule) {
+  const mid = Math.floor((low + high) / 2);
+
+  if (rule === 'first') return low;
+  if (rule === 'middle') return mid;
+  if (rule === 'random') return low + Math.floor(Math.random() * (high - low + 1));
+  if (rule === 'median3') return yield* median3(a, low, mid, high);
+
+  // Медиана медиан трех троек (ninther, Тьюки); на коротких отрезках - медиана трех
+  if (rule === 'ninther') {
+    const step = Math.floor((high - low + 1) / 8);
+    if (step === 0) return yield* median3(a, low, mid, high);
+    return yield* median3(
+      a,
+      yield* median3(a, low, low + step, low + 2 * step),
+      yield* median3(a, mid - step, mid, mid + step),
+      yield* median3(a, high - 2 * step, high - step, high)
+    );
+  }
+
+  return high;
+}
+
+// Разбиение Хоара отрезка [low, high] по опорному a[low]: указатели идут
+// навстречу и обменивают пары, стоящие не на своих сторонах.
+// Возвращает j: элементы [low, j] не больше опорного, [j + 1, high] - не меньше.
+// Опорный элемент при этом может переехать и не встает на свое место.
+function* hoarePartition(a, low, high) {
+  const pivot = a.get(low);
+  let pivotIndex = low;
+  let i = low - 1;
+  let j = high + 1;
+
+  yield* a.phase(`Разбиение Хоара [${low}..${high}]`);
+  yield* a.markRange(low, high);
+  yield* a.markPivot(pivotIndex);
+
+  for (;;) {
+    do {
+      i++;
+      a.watch({ low, high, i, j }, { pivot });
+    } while ((yield* a.compareValues(a.get(i), pivot, [i, pivotIndex], 'hoare-left')) < 0);
+    do {
+      j--;
+      a.watch({ low, high, i, j }, { pivot });
+    } while ((yield* a.compareValues(a.get(j), pivot, [j, pivotIndex], 'hoare-right')) > 0);
+
+    if (i >= j) break;
+    yield* a.swap(i, j, 'hoare-swap');
+
+    // Опорный элемент переезжает вместе с обменом
+    if (pivotIndex === i || pivotIndex === j) {
+      pivotIndex = pivotIndex === i ? j : i;
+      yield* a.markPivot(pivotIndex);
+    }
+  }
+
+  yield* a.markPivot();
+  return j;
+}
+
+// Трехчастное разбиение (флаг Нидерландов, Дейкстра) отрезка [low, high]
+// по опорному a[low]: меньшие, равные и большие опорного.
+// Возвращает границы равной части [lt, gt] - она уже на своем месте.
+function* threeWayPartition(a, low, high) {
+  const pivot = a.get(low);
+  let lt = low;
+  let gt = high;
+  let i = low + 1;
+
+  yield* a.phase(`Трехчастное разбиение [${low}..${high}]`);
+  yield* a.markRange(low, high);
+  yield* a.markPivot(lt);
+
+  while (i <= gt) {
+    a.watch({ low, high, lt, i, gt }, { pivot });
+    const order = yield* a.compareValues(a.get(i), pivot, [i, lt], 'three-way-compare');
+    if (order < 0) {
+      yield* a.swap(lt++, i++, 'three-way-less');
+      yield* a.markPivot(lt);
+    } else if (order > 0) {
+      yield* a.swap(i, gt--, 'three-way-greater');
+    } else {
+      i++;
+    }
+  }
+
+  yield* a.markPivot();
+  yield* a.markFinal(...positions(lt, gt));
+  return { lt, gt };
+}
+
+// БЫСТРАЯ СОРТИРОВКА. pivot - правило выбора опорного (по умолчанию последний
+// элемент), partition - схема разбиения: Ломуто, Хоара или трехчастная
+// (ключи PIVOT_RULES и PARTITION_SCHEMES в sorts.js).
+export function* quickSort(a, { pivot: rule = 'last', partition: scheme = 'lomuto' } = {}) {
+  // Опорный элемент переносится туда, где его ждет схема разбиения
+  function* movePivot(low, high, target) {
+    yield* a.phase(`Выбор опорного [${low}..${high}]`);
+    yield* a.markRange(low, high);
+    a.watch({ low, high });
+    const pivotIndex = yield* choosePivot(a, low, high, rule);
+    if (pivotIndex !== target) {
+      a.watch({ low, high, pivot: pivotIndex });
+      yield* a.swap(pivotIndex, target, 'pivot-move');
+    }
+  }
+
+  function* quickSortHelper(low, high) {
+    yield* a.enter(low, high);
+    if (low < high) {
+      if (scheme === 'hoare') {
+        yield* movePivot(low, high, low);
+        const split = yield* hoarePartition(a, low, high);
+        yield* quickSortHelper(low, split);
+        yield* quickSortHelper(split + 1, high);
+      } else if (scheme === 'three-way') {
+        yield* movePivot(low, high, low);
+        const { lt, gt } = yield* threeWayPartition(a, low, high);
+        yield* quickSortHelper(low, lt - 1);
+        yield* quickSortHelper(gt + 1, high);
+      } else {
+        if (rule !== 'last') yield* movePivot(low, high, high);
+        const pivotIndex = yield* lomutoPartition(a, low, high);
+        yield* quickSortHelper(low, pivotIndex - 1);
+        yield* quickSortHelper(pivotIndex + 1, high);
+      }
+    } else if (low === high) {
+      // Отрезок из одного элемента уже на своем месте
+      yield* a.markFinal(low);
+    }
+    yield* a.leave();
+  }
+
+  yield* quickSortHelper(0, a.length - 1);
+}
+
+// ПИРАМИДАЛЬНАЯ СОРТИРОВКА
+export function* heapSort(a) {
+  yield* heapSortRange(a, 0, a.length - 1);
+}
+
+// СОРТИРОВКА ПОДСЧЕТОМ
+export function* countingSort(a) {
+  const n = a.length;
+  if (n < 2) return;
+
+  const { min, max } = yield* findRange(a);
+
+  // Слишком большой массив счетчиков заменяется подсчетом по рангам ключей
+  const scaled = scaledKeys(a, min, max);
+  const { keyOf: key, maxKey } = scaled && scaled.maxKey < MAX_COUNT_SIZE ? scaled : rankedKeys(a);
+  const count = Array(maxKey + 1).fill(0);
+
+  // Подсчет вхождений
+  for (let i = 0; i < n; i++) {
+    count[key(a.get(i))]++;
+  }
+
+  for (let k = 1; k < count.length; k++) {
+    count[k] += count[k - 1];
+  }
+
+  // Раскладка исходных значений по позициям (с конца - устойчиво)
+  const output = Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    output[--count[key(a.get(i))]] = a.get(i);
+  }
+
+  // Восстановление массива
+  yield* a.phase('Запись элементов по подсчитанным позициям');
+  yield* a.markRange(0, n - 1);
+  for (let i = 0; i < n; i++) {
+    a.watch({ i }, { maxKey });
+    yield* a.set(i, output[i], 'write');
+    yield* a.markFinal(i);
+  }
+}
+
+// БЛОЧНАЯ СОРТИРОВКА
+export function* bucketSort(a) {
+  const n = a.length;
+  if (n < 2) return;
+
+  const { min, max } = yield* findRange(a);
+  const bucketCount = Math.floor(Math.sqrt(n));
+  const range = max - min || 1;
+  const buckets = Array.from({ length: bucketCount }, () => []);
+
+  // Распределяем элементы по блокам
+  for (let i = 0; i < n; i++) {
+    const value = a.get(i);
+    const bucketIndex = Math.min(
+      Math.floor(bucketCount * (a.key(value) - min) / range),
+      bucketCount - 1
+    );
+    buckets[bucketIndex].push(value);
+  }
+
+  // Выкладываем блоки обратно и сортируем каждый вставками на месте
+  let start = 0;
+  for (const [index, bucket] of buckets.entries()) {
+    if (bucket.length > 0) {
+      yield* a.phase(`Блок ${index + 1} из ${bucketCount}`);
+      yield* a.markRange(start, start + bucket.length - 1);
+    }
+    for (let offset = 0; offset < bucket.length; offset++) {
+      a.watch({ start, i: start + offset }, { bucketSize: bucket.length });
+      yield* a.set(start + offset, bucket[offset], 'bucket-write');
+    }
+    yield* insertionSortRange(a, start, start + bucket.length - 1);
+
+    // Блоки упорядочены между собой, поэтому отсортированный блок уже на месте
+    if (bucket.length > 0) {
+      yield* a.markFinal(...positions(start, start + bucket.length - 1));
+    }
+    start += bucket.length;
+  }
+}
+
+// ПОРАЗРЯДНАЯ СОРТИРОВКА (LSD, основание 10, по целочисленным ключам)
+export function* radixSort(a) {
+  const n = a.length;
+  if (n < 2) return;
+
+  const { min, max } = yield* findRange(a);
+
+  // Неотрицательные ключи раскладываются по своим цифрам, отрицательные
+  // сдвигаются на минимум; разрядов всего 10, поэтому ранги нужны, только
+  // если ключи не помещаются в безопасные целые
+  const { keyOf: key, maxKey } = scaledKeys(a, Math.min(min, 0), max) || rankedKeys(a);
+
+  // Устойчивая сортировка подсчетом по каждому разряду ключа
+  for (let exp = 1; Math.floor(maxKey / exp) > 0; exp *= 10) {
+    yield* a.phase(`Проход по разряду ${exp}`);
+    yield* a.markRange(0, n - 1);
+    const count = Array(10).fill(0);
+    const output = Array(n);
+
+    for (let i = 0; i < n; i++) {
+      count[Math.floor(key(a.get(i)) / exp) % 10]++;
+    }
+
+    for (let d = 1; d < 10; d++) {
+      count[d] += count[d - 1];
+    }
+
+    for (let i = n - 1; i >= 0; i--) {
+      const digit = Math.floor(key(a.get(i)) / exp) % 10;
+      output[--count[digit]] = a.get(i);
+    }
+
+    // Копируем результат прохода обратно; после прохода по старшему разряду
+    // элементы встают на окончательные места
+    const isLastPass = Math.floor(maxKey / (exp * 10)) === 0;
+    for (let i = 0; i < n; i++) {
+      a.watch({ i }, { exp });
+      yield* a.set(i, output[i], 'write');
+      if (isLastPass) yield* a.markFinal(i);
+    }
+  }
+}
+
+// Известная часть последовательности Циуры (дальше промежутки растут в 2,25 раза)
+const CIURA_GAPS = [1, 4, 10, 23, 57, 132, 301, 701, 1750];
+
+// Промежутки сортировки Шелла для массива длины n по убыванию, последний - 1.
+// name - ключ GAP_SEQUENCES в sorts.js. Промежутки меньше n, кроме
+// последовательности Кнута: она, как и раньше, растет, пока промежуток меньше n / 3.
+function gapSequence(name, n) {
+  const gaps = [1];
+  const last = () => gaps[gaps.length - 1];
+  const grow = (next) => {
+    for (let gap = next(); gap < n; gap = next()) gaps.push(gap);
+  };
+
+  if (name === 'shell') {
+    // ⌊n / 2⌋, ⌊n / 4⌋, ..., 1
+    for (let gap = Math.floor(n / 2); gap > 1; gap = Math.floor(gap / 2)) gaps.push(gap);
+    gaps.sort((x, y) => x - y);
+  } else if (name === 'hibbard') {
+    // 2^k - 1
+    grow(() => 2 * last() + 1);
+  } else if (name === 'sedgewick') {
+    // 1 и 4^k + 3 · 2^(k - 1) + 1
+    grow(() => 4 ** gaps.length + 3 * 2 ** (gaps.length - 1) + 1);
+  } else if (name === 'pratt') {
+    // Все числа вида 2^p · 3^q
+    for (let power3 = 1; power3 < n; power3 *= 3) {
+      for (let gap = power3; gap < n; gap *= 2) {
+        if (gap > 1) gaps.push(gap);
+      }
+    }
+    gaps.sort((x, y) => x - y);
+  } else if (name === 'ciura') {
+    grow(() => (gaps.length < CIURA_GAPS.length ? CIURA_GAPS[gaps.length] : Math.floor(2.25 * last())));
+  } else if (name === 'tokuda') {
+    // ⌈h_k⌉, где h_k = 2,25 · h_(k - 1) + 1, h_0 = 1
+    let exact = 1;
+    grow(() => {
+      exact = 2.25 * exact + 1;
+      return Math.ceil(exact);
+    });
+  } else {
+    // Кнут: 3h + 1
+    while (last() < n / 3) gaps.push(3 * last() + 1);
+  }
+
+  return gaps.reverse();
+}
+
+// СОРТИРОВКА ШЕЛЛА (по умолчанию - последовательность промежутков Кнута).
+// Каждый проход - сортировка вставками чередующихся подпоследовательностей
+// с шагом gap, отметка a.markGap позволяет раскрасить их.
+export function* shellSort(a, { gaps: sequence = 'knuth' } = {}) {
+  const n = a.length;
+
+  for (const gap of gapSequence(sequence, n)) {
+    // Сортировка вставками с увеличенным промежутком
+    yield* a.phase(`Промежуток ${gap}`);
+    yield* a.markRange(0, n - 1);
+    yield* a.markGap(gap);
+    for (let i = gap; i < n; i++) {
+      for (let j = i; j >= gap; j -= gap) {
+        a.watch({ i, j }, { gap });
+        if ((yield* a.compare(j, j - gap, 'gap-compare')) >= 0) break;
+        yield* a.swap(j, j - gap, 'gap-swap');
+      }
+    }
+  }
+}
+
+// Длина короткого массива, который Timsort сортирует одной серией, и
+// начальный порог перехода слияния в режим галопа
+const MIN_MERGE = 64;
+const MIN_GALLOP = 7;
+
+// Наименьшая длина серии для массива длины n: число из [32, 64] (или n,
+// если массив короче MIN_MERGE), при котором n / minrun равно степени двойки
+// или чуть меньше ее - тогда слияния остаются сбалансированными
+const minRunLength = (n) => {
+  let rest = 0;
+  while (n >= MIN_MERGE) {
+    rest |= n & 1;
+    n >>= 1;
+  }
+  return n + rest;
+};
+
+// Галопирующий поиск: число первых элементов последовательности длины length,
+// для которых выполняется монотонное условие test(offset) (генератор).
+// Смещения проверяются с растущим шагом (0, 2, 6, 14, ...), затем граница
+// уточняется двоичным поиском между двумя последними проверками.
+function* gallop(length, test) {
+  let passed = 0;
+  let limit = length;
+  for (let step = 1; passed + step - 1 < length; step *= 2) {
+    if (!(yield* test(passed + step - 1))) {
+      limit = passed + step - 1;
+      break;
+    }
+    passed += step;
+  }
+  while (passed < limit) {
+    const mid = Math.floor((passed + limit) / 2);
+    if (yield* test(mid)) passed = mid + 1;
+    else limit = mid;
+  }
+  return passed;
+}
+
+// TIMSORT (как в CPython и Java): поиск естественных серий (убывающие
+// разворачиваются), дополнение коротких серий до minrun вставками с двоичным
+// поиском, стек серий с инвариантами |A| > |B| + |C| и |B| > |C| и слияние
+// соседних серий с переходом в режим галопа, когда одна серия раз за разом
+// выигрывает сравнения. Стек серий отмечается через a.markRuns, режим слияния -
+// через a.strategy.
+export function* timSort(a) {
+  const n = a.length;
+  const minRun = minRunLength(n);
+  const runs = [];
+  const length = index => runs[index].len;
+  let minGallop = MIN_GALLOP;
+
+  const showRuns = () => a.markRuns(runs.map(({ base, len }) => [base, base + len - 1]));
+
+  // Длина серии, начинающейся в lo; строго убывающая серия разворачивается
+  function* countRun(lo) {
+    let hi = lo + 1;
+    if (hi === n) return 1;
+
+    a.watch({ lo, hi });
+    if ((yield* a.compare(hi, lo, 'run-compare')) < 0) {
+      hi++;
+      while (hi < n) {
+        a.watch({ lo, hi });
+        if ((yield* a.compare(hi, hi - 1, 'run-compare')) >= 0) break;
+        hi++;
+      }
+      yield* a.phase(`Разворот убывающей серии [${lo}..${hi - 1}]`);
+      yield* a.markRange(lo, hi - 1);
+      for (let i = lo, j = hi - 1; i < j; i++, j--) {
+        a.watch({ lo, hi, i, j });
+        yield* a.swap(i, j, 'run-reverse');
+      }
+    } else {
+      hi++;
+      while (hi < n) {
+        a.watch({ lo, hi });
+        if ((yield* a.compare(hi, hi - 1, 'run-compare')) < 0) break;
+        hi++;
+      }
+    }
+    return hi - lo;
+  }
+
+  // Вставки с двоичным поиском места: [lo, start) уже упорядочен,
+  // элементы start..hi вставляются по одному
+  function* binaryInsertionSort(lo, hi, start) {
+    for (let i = start; i <= hi; i++) {
+      const pivot = a.get(i);
+      let left = lo;
+      let right = i;
+      yield* a.markRange(lo, i);
+      while (left < right) {
+        const mid = Math.floor((left + right) / 2);
+        a.watch({ lo, i, left, right, mid }, { pivot });
+        if ((yield* a.compareValues(pivot, a.get(mid), [i, mid], 'binary-compare')) < 0) right = mid;
+        else left = mid + 1;
+      }
+      if (left === i) continue;
+      for (let k = i; k > left; k--) {
+        a.watch({ lo, i, left, k }, { pivot });
+        yield* a.set(k, a.get(k - 1), 'binary-shift');
+      }
+      a.watch({ lo, i, left }, { pivot });
+      yield* a.set(left, pivot, 'binary-insert');
+    }
+  }
+
+  // Слияние слева направо: серия A = [lo, mid] (не длиннее B) копируется
+  // во временный массив, B = [mid + 1, hi] остается на месте
+  function* mergeLo(lo, mid, hi, isFinal) {
+    const tmp = [];
+    for (let t = lo; t <= mid; t++) tmp.push(a.get(t));
+    let i = 0;
+    let j = mid + 1;
+    let k = lo;
+    const watch = () => a.watch({ lo, mid, hi, j, k }, { i, minGallop });
+    const put = function* (value, line) {
+      yield* a.set(k++, value, line);
+      if (isFinal) yield* a.markFinal(k - 1);
+    };
+    // Сколько элементов A, начиная с from, не больше a[at]
+    const leadingA = (from, at) => gallop(tmp.length - from, function* (offset) {
+      return (yield* a.compareValues(tmp[from + offset], a.get(at), [lo + from + offset, at], 'gallop-left-compare')) <= 0;
+    });
+    // Сколько элементов B, начиная с from, меньше tmp[at]
+    const leadingB = (from, at) => gallop(hi - from + 1, function* (offset) {
+      return (yield* a.compareValues(a.get(from + offset), tmp[at], [from + offset, lo + at], 'gallop-right-compare')) < 0;
+    });
+
+    while (i < tmp.length && j <= hi) {
+      // Поэлементное слияние, пока одна из серий не выиграет minGallop раз подряд
+      yield* a.strategy('Поэлементное слияние');
+      let winsA = 0;
+      let winsB = 0;
+      while (i < tmp.length && j <= hi && winsA < minGallop && winsB < minGallop) {
+        watch();
+        if ((yield* a.compareValues(a.get(j), tmp[i], [j, lo + i], 'merge-compare')) < 0) {
+          yield* put(a.get(j++), 'merge-right');
+          winsB++;
+          winsA = 0;
+        } else {
+          yield* put(tmp[i++], 'merge-left');
+          winsA++;
+          winsB = 0;
+        }
+      }
+      if (i === tmp.length || j > hi) break;
+
+      // Галоп: целые куски серий переносятся после поиска их границы
+      yield* a.strategy('Галоп');
+      minGallop++;
+      let isGalloping = true;
+      while (isGalloping) {
+        minGallop = Math.max(minGallop - 1, 1);
+        watch();
+        const countA = yield* leadingA(i, j);
+        for (let c = 0; c < countA; c++) {
+          watch();
+          yield* put(tmp[i++], 'gallop-left');
+        }
+        if (i === tmp.length) break;
+
+        watch();
+        const countB = yield* leadingB(j, i);
+        for (let c = 0; c < countB; c++) {
+          watch();
+          yield* put(a.get(j++), 'gallop-right');
+        }
+        if (j > hi) break;
+        isGalloping = countA >= MIN_GALLOP || countB >= MIN_GALLOP;
+      }
+      // Штраф за выход из галопа: следующий вход станет реже
+      minGallop++;
+    }
+
+    // Остаток A; остаток B уже на своем месте
+    while (i < tmp.length) {
+      watch();
+      yield* put(tmp[i++], 'merge-rest');
+    }
+    if (isFinal) yield* a.markFinal(...positions(j, hi));
+  }
+
+  // Слияние справа налево: серия B = [mid + 1, hi] (короче A) копируется
+  // во временный массив, A = [lo, mid] остается на месте
+  function* mergeHi(lo, mid, hi, isFinal) {
+    const tmp = [];
+    for (let t = mid + 1; t <= hi; t++) tmp.push(a.get(t));
+    let i = mid;
+    let t = tmp.length - 1;
+    let k = hi;
+    const watch = () => a.watch({ lo, mid, hi, i, k }, { t, minGallop });
+    const put = function* (value, line) {
+      yield* a.set(k--, value, line);
+      if (isFinal) yield* a.markFinal(k + 1);
+    };
+    // Сколько элементов A, начиная с from и влево, больше tmp[at]
+    const trailingA = (from, at) => gallop(from - lo + 1, function* (offset) {
+      return (yield* a.compareValues(tmp[at], a.get(from - offset), [mid + 1 + at, from - offset], 'gallop-left-compare')) < 0;
+    });
+    // Сколько элементов B, начиная с from и влево, не меньше a[at]
+    const trailingB = (from, at) => gallop(from + 1, function* (offset) {
+      return (yield* a.compareValues(tmp[from - offset], a.get(at), [mid + 1 + from - offset, at], 'gallop-right-compare')) >= 0;
+    });
+
+    while (i >= lo && t >= 0) {
+      yield* a.strategy('Поэлементное слияние');
+      let winsA = 0;
+      let winsB = 0;
+      while (i >= lo && t >= 0 && winsA < minGallop && winsB < minGallop) {
+        watch();
+        if ((yield* a.compareValues(tmp[t], a.get(i), [mid + 1 + t, i], 'merge-compare')) < 0) {
+          yield* put(a.get(i--), 'merge-left');
+          winsA++;
+          winsB = 0;
+        } else {
+          yield* put(tmp[t--], 'merge-right');
+          winsB++;
+          winsA = 0;
+        }
+      }
+      if (i < lo || t < 0) break;
+
+      yield* a.strategy('Галоп');
+      minGallop++;
+      let isGalloping = true;
+      while (isGalloping) {
+        minGallop = Math.max(minGallop - 1, 1);
+        watch();
+        const countA = yield* trailingA(i, t);
+        for (let c = 0; c < countA; c++) {
+          watch();
+          yield* put(a.get(i--), 'gallop-left');
+        }
+        if (i < lo) break;
+
+        watch();
+        const countB = yield* trailingB(t, i);
+        for (let c = 0; c < countB; c++) {
+          watch();
+          yield* put(tmp[t--], 'gallop-right');
+        }
+        if (t < 0) break;
+        isGalloping = countA >= MIN_GALLOP || countB >= MIN_GALLOP;
+      }
+      minGallop++;
+    }
+
+    // Остаток B; остаток A уже на своем месте
+    while (t >= 0) {
+      watch();
+      yield* put(tmp[t--], 'merge-rest');
+    }
+    if (isFinal) yield* a.markFinal(...positions(lo, i));
+  }
+
+  // Слияние серий index и index + 1 стека
+  function* mergeAt(index) {
+    const { base: baseA, len: lenA } = runs[index];
+    const { base: baseB, len: lenB } = runs[index + 1];
+    const isFinal = runs.length === 2 && baseB + lenB === n;
+    let lo = baseA;
+    let hi = baseB + lenB - 1;
+    const mid = baseB - 1;
+
+    yield* a.phase(`Слияние серий [${baseA}..${mid}] и [${baseB}..${hi}]`);
+    yield* a.markRange(lo, hi);
+
+    // Начало A, не большее первого элемента B, и конец B, не меньший
+    // последнего элемента A, уже на своих местах
+    const skipA = yield* gallop(lenA, function* (offset) {
+      a.watch({ lo: baseA + offset, mid, hi });
+      return (yield* a.compare(baseA + offset, baseB, 'trim-compare')) <= 0;
+    });
+    if (isFinal) yield* a.markFinal(...positions(lo, lo + skipA - 1));
+    lo += skipA;
+
+    if (lo <= mid) {
+      const skipB = yield* gallop(lenB, function* (offset) {
+        a.watch({ lo, mid, hi: hi - offset });
+        return (yield* a.compare(hi - offset, mid, 'trim-compare')) >= 0;
+      });
+      if (isFinal) yield* a.markFinal(...positions(hi - skipB + 1, hi));
+      hi -= skipB;
+
+      if (mid - lo + 1 <= hi - mid) yield* mergeLo(lo, mid, hi, isFinal);
+      else yield* mergeHi(lo, mid, hi, isFinal);
+      yield* a.strategy(null);
+    }
+
+    runs.splice(index, 2, { base: baseA, len: lenA + lenB });
+    yield* showRuns();
+  }
+
+  // Слияния, восстанавливающие инварианты стека после добавления серии
+  function* mergeCollapse() {
+    while (runs.length > 1) {
+      let index = runs.length - 2;
+      if ((index > 0 && length(index - 1) <= length(index) + length(index + 1)) ||
+          (index > 1 && length(index - 2) <= length(index - 1) + length(index))) {
+        if (length(index - 1) < length(index + 1)) index--;
+      } else if (length(index) > length(index + 1)) {
+        break;
+      }
+      yield* mergeAt(index);
+    }
+  }
+
+  for (let lo = 0; lo < n;) {
+    yield* a.phase(`Поиск серии с позиции ${lo}`);
+    yield* a.markRange(lo, n - 1);
+    let len = yield* countRun(lo);
+
+    // Короткая серия дополняется до minrun элементов
+    if (len < minRun) {
+      const force = Math.min(minRun, n - lo);
+      yield* a.phase(`Дополнение серии [${lo}..${lo + len - 1}] до ${force} элементов`);
+      yield* binaryInsertionSort(lo, lo + force - 1, lo + len);
+      len = force;
+    }
+
+    runs.push({ base: lo, len });
+    yield* showRuns();
+    if (len === n) yield* a.markFinal(...positions(0, n - 1));
+    yield* mergeCollapse();
+    lo += len;
+  }
+
+  // Слияние оставшихся серий от вершины стека
+  while (runs.length > 1) {
+    const index = runs.length > 2 && length(runs.length - 3) < length(runs.length - 1) ? runs.length - 3 : runs.length - 2;
+    yield* mergeAt(index);
+  }
+}
+
+// ШЕЙКЕРНАЯ СОРТИРОВКА (проходы пузырька поочередно в обе стороны)
+export function* cocktailShakerSort(a) {
+  let start = 0;
+  let end = a.length - 1;
+  let pass = 1;
+  let swapped = true;
+
+  while (swapped && start < end) {
+    swapped = false;
+    yield* a.phase(`Проход ${pass++} вперед`);
+    yield* a.markRange(start, end);
+    for (let j = start; j < end; j++) {
+      a.watch({ j, start, end });
+      if ((yield* a.compare(j, j + 1, 'forward-compare')) > 0) {
+        yield* a.swap(j, j + 1, 'forward-swap');
+        swapped = true;
+      }
+    }
+
+    // Наибольший элемент отрезка всплыл в его конец
+    yield* a.markFinal(end);
+    end--;
+    if (!swapped) break;
+
+    swapped = false;
+    yield* a.phase(`Проход ${pass++} назад`);
+    yield* a.markRange(start, end);
+    for (let j = end; j > start; j--) {
+      a.watch({ j, start, end });
+      if ((yield* a.compare(j - 1, j, 'backward-compare')) > 0) {
+        yield* a.swap(j - 1, j, 'backward-swap');
+        swapped = true;
+      }
+    }
+
+    // Наименьший элемент отрезка опустился в его начало
+    yield* a.markFinal(start);
+    start++;
+  }
+
+  // Проход без обменов: оставшийся отрезок уже упорядочен
+  for (let i = start; i <= end; i++) {
+    yield* a.markFinal(i);
+  }
+}
+
+// СОРТИРОВКА РАСЧЕСКОЙ (пузырек с уменьшающимся в shrink раз промежутком)
+export function* combSort(a, { shrink = 1.3 } = {}) {
+  const n = a.length;
+  let gap = n;
+  let sorted = false;
+
+  while (!sorted) {
+    // Промежуток уменьшается хотя бы на 1, даже если shrink близок к 1
+    gap = Math.min(Math.floor(gap / shrink), gap - 1);
+    if (gap <= 1) {
+      // С промежутком 1 проходы повторяются до первого прохода без обменов
+      gap = 1;
+      sorted = true;
+    }
+
+    yield* a.phase(`Промежуток ${gap}`);
+    yield* a.markRange(0, n - 1);
+    yield* a.markGap(gap);
+    for (let i = 0; i + gap < n; i++) {
+      a.watch({ i, j: i + gap }, { gap });
+      if ((yield* a.compare(i, i + gap, 'compare')) > 0) {
+        yield* a.swap(i, i + gap, 'swap');
+        sorted = false;
+      }
+    }
+  }
+}
+
+// ГНОМЬЯ СОРТИРОВКА (шаг вперед, если пара упорядочена, иначе обмен и шаг назад)
+export function* gnomeSort(a) {
+  const n = a.length;
+  let reached = 0;
+  let i = 0;
+
+  yield* a.phase('Продвижение гнома');
+  while (i < n) {
+    // Левее самой дальней посещенной позиции массив уже упорядочен
+    if (i > reached) {
+      reached = i;
+      yield* a.markRange(0, reached);
+    }
+
+    a.watch({ i }, { reached });
+    if (i === 0 || (yield* a.compare(i - 1, i, 'compare')) <= 0) {
+      i++;
+    } else {
+      yield* a.swap(i - 1, i, 'swap');
+      i--;
+    }
+  }
+}
+
+// ЧЕТНО-НЕЧЕТНАЯ СОРТИРОВКА (сравнения пар внутри фазы независимы друг от друга)
+export function* oddEvenSort(a) {
+  const n = a.length;
+  let sorted = false;
+  let pass = 1;
+
+  while (!sorted) {
+    sorted = true;
+
+    yield* a.phase(`Проход ${pass}: нечетные пары`);
+    yield* a.markRange(0, n - 1);
+    for (let i = 1; i < n - 1; i += 2) {
+      a.watch({ i }, { pass });
+      if ((yield* a.compare(i, i + 1, 'odd-compare')) > 0) {
+        yield* a.swap(i, i + 1, 'odd-swap');
+        sorted = false;
+      }
+    }
+
+    yield* a.phase(`Проход ${pass}: четные пары`);
+    for (let i = 0; i < n - 1; i += 2) {
+      a.watch({ i }, { pass });
+      if ((yield* a.compare(i, i + 1, 'even-compare')) > 0) {
+        yield* a.swap(i, i + 1, 'even-swap');
+        sorted = false;
+      }
+    }
+    pass++;
+  }
+}
+
+// INTROSORT (быстрая сортировка с медианой трех; при превышении глубины
+// рекурсии 2⌊log2 n⌋ - пирамидальная, на коротких отрезках - вставки)
+export function* introSort(a) {
+  const n = a.length;
+  const SMALL = 16;
+
+  function* introSortHelper(low, high, depthLimit) {
+    yield* a.enter(low, high);
+    if (high - low + 1 <= SMALL) {
+      if (low <= high) {
+        yield* a.strategy('Сортировка вставками');
+        yield* a.phase(`Вставки на отрезке [${low}..${high}]`);
+        yield* insertionSortRange(a, low, high);
+
+        // Отрезок ограничен опорными элементами, поэтому отсортирован окончательно
+        yield* a.markFinal(...positions(low, high));
+      }
+    } else if (depthLimit === 0) {
+      yield* a.strategy('Пирамидальная сортировка');
+      yield* heapSortRange(a, low, high);
+    } else {
+      const mid = Math.floor((low + high) / 2);
+
+      yield* a.strategy('Быстрая сортировка');
+      yield* a.phase(`Медиана трех [${low}..${high}]`);
+      yield* a.markRange(low, high);
+      a.watch({ low, mid, high }, { depthLimit });
+      yield* sort3(a, low, mid, high);
+      yield* a.swap(mid, high, 'median-move');
+
+      const pivotIndex = yield* lomutoPartition(a, low, high);
+      yield* introSortHelper(low, pivotIndex - 1, depthLimit - 1);
+      yield* introSortHelper(pivotIndex + 1, high, depthLimit - 1);
+    }
+    yield* a.leave();
+  }
+
+  yield* introSortHelper(0, n - 1, n > 0 ? 2 * Math.floor(Math.log2(n)) : 0);
+}
+
+// БЫСТРАЯ СОРТИРОВКА С ДВУМЯ ОПОРНЫМИ (Ярославский): отрезок делится
+// на три части - меньше p, между p и q, больше q
+export function* dualPivotQuickSort(a) {
+  function* dualPivotHelper(low, high) {
+    yield* a.enter(low, high);
+    if (low < high) {
+      yield* a.phase(`Разбиение [${low}..${high}] двумя опорными`);
+      yield* a.markRange(low, high);
+      a.watch({ low, high });
+      if ((yield* a.compare(low, high, 'pivots-compare')) > 0) {
+        yield* a.swap(low, high, 'pivots-swap');
+      }
+      yield* a.markPivot(low, high);
+
+      const p = a.get(low);
+      const q = a.get(high);
+      let lt = low + 1;
+      let gt = high - 1;
+
+      for (let k = lt; k <= gt; k++) {
+        a.watch({ low, high, lt, k, gt }, { p, q });
+        if ((yield* a.compare(k, low, 'less-compare')) < 0) {
+          yield* a.swap(k, lt++, 'less-swap');
+        } else if ((yield* a.compare(k, high, 'greater-compare')) >= 0) {
+          // Справа пропускаются элементы больше q, они уже на своей стороне
+          while (k < gt) {
+            a.watch({ low, high, lt, k, gt }, { p, q });
+            if ((yield* a.compare(gt, high, 'greater-scan')) <= 0) break;
+            gt--;
+          }
+          a.watch({ low, high, lt, k, gt }, { p, q });
+          yield* a.swap(k, gt--, 'greater-swap');
+
+          a.watch({ low, high, lt, k, gt }, { p, q });
+          if ((yield* a.compare(k, low, 'greater-less-compare')) < 0) {
+            yield* a.swap(k, lt++, 'greater-less-swap');
+          }
+        }
+      }
+
+      // Опорные элементы встают на границы частей
+      lt--;
+      gt++;
+      a.watch({ low, high, lt, gt }, { p, q });
+      yield* a.swap(low, lt, 'pivot-swap');
+      yield* a.swap(high, gt, 'pivot-swap');
+      yield* a.markPivot();
+      yield* a.markFinal(lt, gt);
+
+      yield* dualPivotHelper(low, lt - 1);
+      yield* dualPivotHelper(lt + 1, gt - 1);
+      yield* dualPivotHelper(gt + 1, high);
+    } else if (low === high) {
+      yield* a.markFinal(low);
+    }
+    yield* a.leave();
+  }
+
+  yield* dualPivotHelper(0, a.length - 1);
+}
+
+// PDQSORT (pattern-defeating quicksort, О. Питерс): вставки для коротких
+// отрезков, разбиение с проверкой, не был ли отрезок уже разбит, частичные
+// вставки для почти упорядоченных данных, отдельное разбиение для равных
+// элементов, перемешивание после неудачных разбиений и пирамидальная
+// сортировка, если неудачных разбиений слишком много
+export function* pdqSort(a) {
+  const n = a.length;
+  const INSERTION_THRESHOLD = 24;
+  const NINTHER_THRESHOLD = 128;
+  const PARTIAL_INSERTION_LIMIT = 8;
+
+  // Вставки, которые прекращаются после PARTIAL_INSERTION_LIMIT перемещений.
+  // Возвращает, удалось ли отсортировать отрезок.
+  function* partialInsertionSort(low, high) {
+    let moves = 0;
+    for (let i = low + 1; i <= high; i++) {
+      let j = i;
+      for (; j > low; j--) {
+        a.watch({ i, j }, { moves });
+        if ((yield* a.compare(j - 1, j, 'partial-compare')) <= 0) break;
+        yield* a.swap(j - 1, j, 'partial-swap');
+      }
+      moves += i - j;
+      if (moves > PARTIAL_INSERTION_LIMIT) return false;
+    }
+    return true;
+  }
+
+  // Разбиение по опорному a[low]: меньшие влево, остальные вправо.
+  // Возвращает позицию опорного и то, был ли отрезок уже разбит (ни одного обмена).
+  function* partitionRight(low, high) {
+    const pivot = a.get(low);
+    let i = low + 1;
+    let j = high;
+    const watch = () => a.watch({ low, high, i, j }, { pivot });
+
+    watch();
+    while (i <= high && (yield* a.compare(i, low, 'right-compare')) < 0) {
+      i++;
+      watch();
+    }
+    while (j >= i && (yield* a.compare(j, low, 'right-compare')) >= 0) {
+      j--;
+      watch();
+    }
+
+    // Сдвиги не остановились ни на одной неверной паре - обменов не будет
+    const isPartitioned = i > j;
+    while (i < j) {
+      yield* a.swap(i, j, 'right-swap');
+      do {
+        i++;
+        watch();
+      } while ((yield* a.compare(i, low, 'right-compare')) < 0);
+      do {
+        j--;
+        watch();
+      } while ((yield* a.compare(j, low, 'right-compare')) >= 0);
+    }
+
+    yield* a.swap(low, j, 'pivot-swap');
+    return { pivotIndex: j, isPartitioned };
+  }
+
+  // Разбиение, при котором равные опорному a[low] элементы уходят влево.
+  // Применяется, когда опорный равен элементу перед отрезком: тогда левая
+  // часть состоит только из равных опорному и уже на своем месте.
+  function* partitionLeft(low, high) {
+    const pivot = a.get(low);
+    let i = low + 1;
+    let j = high;
+    const watch = () => a.watch({ low, high, i, j }, { pivot });
+
+    watch();
+    while ((yield* a.compare(low, j, 'left-compare')) < 0) {
+      j--;
+      watch();
+    }
+    while (i <= j && (yield* a.compare(low, i, 'left-compare')) >= 0) {
+      i++;
+      watch();
+    }
+
+    while (i < j) {
+      yield* a.swap(i, j, 'left-swap');
+      do {
+        j--;
+        watch();
+      } while ((yield* a.compare(low, j, 'left-compare')) < 0);
+      do {
+        i++;
+        watch();
+      } while ((yield* a.compare(low, i, 'left-compare')) >= 0);
+    }
+
+    yield* a.swap(low, j, 'pivot-swap');
+    return j;
+  }
+
+  // Обмены элементов на четверти сторон, ломающие шаблон, из-за
+  // которого разбиение вышло неравным
+  const shufflePairs = (low, high, pivotIndex) => {
+    const leftSize = pivotIndex - low;
+    const rightSize = high - pivotIndex;
+    const pairs = [];
+
+    if (leftSize >= INSERTION_THRESHOLD) {
+      const quarter = Math.floor(leftSize / 4);
+      pairs.push([low, low + quarter], [pivotIndex - 1, pivotIndex - quarter]);
+      if (leftSize > NINTHER_THRESHOLD) {
+        pairs.push(
+          [low + 1, low + quarter + 1],
+          [low + 2, low + quarter + 2],
+          [pivotIndex - 2, pivotIndex - quarter - 1],
+          [pivotIndex - 3, pivotIndex - quarter - 2]
+        );
+      }
+    }
+
+    if (rightSize >= INSERTION_THRESHOLD) {
+      const quarter = Math.floor(rightSize / 4);
+      pairs.push([pivotIndex + 1, pivotIndex + quarter + 1], [high, high + 1 - quarter]);
+      if (rightSize > NINTHER_THRESHOLD) {
+        pairs.push(
+          [pivotIndex + 2, pivotIndex + quarter + 2],
+          [pivotIndex + 3, pivotIndex + quarter + 3],
+          [high - 1, high - quarter],
+          [high - 2, high - quarter - 1]
+        );
+      }
+    }
+
+    return pairs;
+  };
+
+  function* pdqSortHelper(low, high, badAllowed, isLeftmost) {
+    const size = high - low + 1;
+
+    yield* a.enter(low, high);
+    if (size < INSERTION_THRESHOLD) {
+      if (size > 0) {
+        yield* a.strategy('Сортировка вставками');
+        yield* a.phase(`Вставки на отрезке [${low}..${high}]`);
+        yield* insertionSortRange(a, low, high);
+        yield* a.markFinal(...positions(low, high));
+      }
+      yield* a.leave();
+      return;
+    }
+
+    // Выбор опорного: медиана трех или, на длинных отрезках, медиана медиан (ninther)
+    const mid = low + Math.floor(size / 2);
+    yield* a.strategy('Быстрая сортировка');
+    yield* a.markRange(low, high);
+    if (size > NINTHER_THRESHOLD) {
+      yield* a.phase(`Медиана медиан [${low}..${high}]`);
+      a.watch({ low, mid, high }, { badAllowed });
+      yield* sort3(a, low, mid, high);
+      yield* sort3(a, low + 1, mid - 1, high - 1);
+      yield* sort3(a, low + 2, mid + 1, high - 2);
+      yield* sort3(a, mid - 1, mid, mid + 1);
+      yield* a.swap(low, mid, 'median-move');
+    } else {
+      yield* a.phase(`Медиана трех [${low}..${high}]`);
+      a.watch({ low, mid, high }, { badAllowed });
+      yield* sort3(a, mid, low, high);
+    }
+    yield* a.markPivot(low);
+
+    // Опорный равен элементу перед отрезком: равные ему собираются слева
+    // и больше не сортируются
+    a.watch({ low, high }, { badAllowed });
+    if (!isLeftmost && (yield* a.compare(low - 1, low, 'equal-compare')) >= 0) {
+      yield* a.strategy('Разбиение равных элементов');
+      yield* a.phase(`Разбиение [${low}..${high}]: равные опорному влево`);
+      const pivotIndex = yield* partitionLeft(low, high);
+      yield* a.markPivot();
+      yield* a.markFinal(...positions(low, pivotIndex));
+      yield* pdqSortHelper(pivotIndex + 1, high, badAllowed, false);
+      yield* a.leave();
+      return;
+    }
+
+    yield* a.phase(`Разбиение [${low}..${high}]`);
+    const { pivotIndex, isPartitioned } = yield* partitionRight(low, high);
+    yield* a.markPivot();
+
+    const leftSize = pivotIndex - low;
+    const rightSize = high - pivotIndex;
+    const isUnbalanced = leftSize < size / 8 || rightSize < size / 8;
+
+    // Неравное разбиение: после badAllowed таких разбиений - пирамидальная сортировка
+    if (isUnbalanced && --badAllowed === 0) {
+      yield* a.strategy('Пирамидальная сортировка');
+      yield* heapSortRange(a, low, high);
+      yield* a.leave();
+      return;
+    }
+
+    yield* a.markFinal(pivotIndex);
+    if (isUnbalanced) {
+      const pairs = shufflePairs(low, high, pivotIndex);
+      if (pairs.length > 0) {
+        yield* a.strategy('Ломка шаблона');
+        yield* a.phase(`Перемешивание сторон [${low}..${high}]`);
+        a.watch({ low, pivot: pivotIndex, high }, { badAllowed });
+        for (const [i, j] of pairs) {
+          yield* a.swap(i, j, 'shuffle');
+        }
+      }
+    } else if (isPartitioned) {
+      // Отрезок уже был разбит - возможно, данные почти упорядочены
+      yield* a.strategy('Частичная сортировка вставками');
+      yield* a.phase(`Попытка вставками [${low}..${high}]`);
+      if ((yield* partialInsertionSort(low, pivotIndex - 1)) && (yield* partialInsertionSort(pivotIndex + 1, high))) {
+        yield* a.markFinal(...positions(low, high));
+        yield* a.leave();
+        return;
+      }
+    }
+
+    yield* pdqSortHelper(low, pivotIndex - 1, badAllowed, isLeftmost);
+    yield* pdqSortHelper(pivotIndex + 1, high, badAllowed, false);
+    yield* a.leave();
+  }
+
+  yield* pdqSortHelper(0, n - 1, n > 0 ? Math.floor(Math.log2(n)) : 0, true);
+}
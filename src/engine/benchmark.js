@@ -0,0 +1,95 @@
+import { generateArray } from './presets';
+import { createSortKey } from './comparators';
+import { runSort } from './sorts';
+import { findStabilityViolations, recordKey, toRecords } from './stability';
+import { summarize } from './statistics';
+
+// Замер производительности алгоритмов: прогревочные прогоны без учета,
+// затем trials замеров. Если задан набор данных preset, для каждого замера
+// генерируется новый массив того же размера, иначе каждый замер сортирует
+// копию input. В одном замере все алгоритмы получают одинаковый вход.
+// Если checkStability, каждый алгоритм еще раз сортирует input как записи
+// (ключ и исходная позиция) - результат stability показывает, устойчив ли он
+// на этом входе; иначе stability равно null.
+// ordering - ключ и направление сортировки ({ preset, order }, см. createSortKey);
+// передается описанием, а не функцией, чтобы его можно было отправить в поток.
+// params - параметры алгоритмов (см. ALGORITHM_PARAMS в sorts.js).
+// variants - строки замера, которые не совпадают с именем алгоритма:
+// { [id]: { algorithm, params } }, например, одна сортировка Шелла на каждую
+// последовательность промежутков. Результаты помечаются id строки.
+// onProgress(done, total) вызывается после каждого прогона.
+export function runBenchmark({
+  algorithms,
+  input,
+  preset = null,
+  ordering,
+  params = {},
+  variants = {},
+  checkStability = false,
+  warmup = 1,
+  trials = 5,
+  onProgress = () => {}
+}) {
+  const total = algorithms.length * (warmup + trials + (checkStability ? 1 : 0));
+  const key = createSortKey(ordering);
+  let done = 0;
+
+  const variantOf = id => variants[id] || { algorithm: id, params };
+
+  const measure = (id, data) => {
+    const { algorithm, params: own } = variantOf(id);
+    const startTime = performance.now();
+    const { stats } = runSort(algorithm, data, { trace: false, key, params: own });
+    const time = performance.now() - startTime;
+    onProgress(++done, total);
+    return { stats, time };
+  };
+
+  // Прогрев: JIT-компиляция алгоритмов до начала замеров
+  for (let i = 0; i < warmup; i++) {
+    algorithms.forEach(algorithm => measure(algorithm, input));
+  }
+
+  const samples = Object.fromEntries(
+    algorithms.map(algorithm => [algorithm, { times: [], comparisons: 0, swaps: 0, writes: 0 }])
+  );
+
+  for (let i = 0; i < trials; i++) {
+    const data = preset ? generateArray(preset, input.length) : input;
+
+    algorithms.forEach(algorithm => {
+      const { stats, time } = measure(algorithm, data);
+      const sample = samples[algorithm];
+      sample.times.push(time);
+      sample.comparisons += stats.comparisons;
+      sample.swaps += stats.swaps;
+      sample.writes += stats.writes;
+    });
+  }
+
+  // Проверка устойчивости (вне замеров времени)
+  const records = toRecords(input);
+  const recordSortKey = record => key(recordKey(record));
+  const stabilityOf = (id) => {
+    const { algorithm, params: own } = variantOf(id);
+    const { isStable, pairs } = findStabilityViolations(
+      runSort(algorithm, records, { trace: false, key: recordSortKey, params: own }).output,
+      recordSortKey
+    );
+    onProgress(++done, total);
+    return { isStable, pairs };
+  };
+
+  // Счетчики операций усредняются по замерам, время - в миллисекундах
+  return algorithms.map(algorithm => {
+    const sample = samples[algorithm];
+    return {
+      stability: checkStability ? stabilityOf(algorithm) : null,
+      algorithm,
+      comparisons: Math.round(sample.comparisons / trials),
+      swaps: Math.round(sample.swaps / trials),
+      writes: Math.round(sample.writes / trials),
+      time: summarize(sample.times)
+    };
+  });
+}
@@ -0,0 +1,25 @@
+import { runBenchmark } from './benchmark';
+import { runScaling } from './scaling';
+
+// Замеры производительности в отдельном потоке, чтобы интерфейс не зависал.
+// Вход: { task, options }, где task - 'benchmark' (параметры runBenchmark)
+// или 'scaling' (параметры runScaling). Выход: сообщения
+// { type: 'progress', done, total } и { type: 'result', results } или
+// { type: 'error', message }, если замер прервался исключением.
+// Отмена - worker.terminate() на стороне интерфейса.
+const TASKS = {
+  benchmark: runBenchmark,
+  scaling: runScaling
+};
+
+onmessage = ({ data: { task, options } }) => {
+  try {
+    const results = TASKS[task]({
+      ...options,
+      onProgress: (done, total) => postMessage({ type: 'progress', done, total })
+    });
+    postMessage({ type: 'result', results });
+  } catch (error) {
+    postMessage({ type: 'error', message: error.message });
+  }
+};
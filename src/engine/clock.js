@@ -0,0 +1,75 @@
+// Максимальный шаг времени за кадр: после неактивной вкладки
+// воспроизведение не должно проматывать тысячи операций разом
+const MAX_FRAME_MS = 100;
+
+// Скорость из ползунка (1-100) в операции в секунду: экспоненциальная шкала
+// от ~0.5 оп/с (по шагу раз в две секунды) до 50 000 оп/с (сотни операций
+// за кадр - нужно, чтобы массивы в десятки тысяч элементов досортировывались)
+export const speedToOpsPerSecond = (speed) => Math.pow(10, speed / 20) / 2;
+
+// Часы воспроизведения на requestAnimationFrame.
+// Каждый кадр onTick получает число тактов, набежавших по текущей скорости
+// (дробный остаток переносится на следующие кадры). Если onTick вернул false,
+// часы останавливаются.
+export function createClock({ speed = 50, onTick }) {
+  let ticksPerSecond = speedToOpsPerSecond(speed);
+  let budget = 0;
+  let elapsed = 0;
+  let running = false;
+  let frameId = null;
+  let lastTime = null;
+
+  const stopLoop = () => {
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+    lastTime = null;
+  };
+
+  const frame = (time) => {
+    frameId = null;
+    if (!running) return;
+
+    const delta = lastTime === null ? 0 : Math.min(time - lastTime, MAX_FRAME_MS);
+    lastTime = time;
+    elapsed += delta;
+    budget += (delta / 1000) * ticksPerSecond;
+
+    const count = Math.floor(budget);
+    budget -= count;
+
+    if (count > 0 && onTick(count) === false) {
+      running = false;
+      stopLoop();
+      return;
+    }
+
+    frameId = requestAnimationFrame(frame);
+  };
+
+  return {
+    // Время работы часов в миллисекундах (паузы не учитываются)
+    get elapsed() {
+      return elapsed;
+    },
+    get isRunning() {
+      return running;
+    },
+
+    start() {
+      if (running) return;
+      running = true;
+      // Первый такт - в ближайшем кадре, без ожидания
+      budget = Math.max(budget, 1);
+      frameId = requestAnimationFrame(frame);
+    },
+
+    stop() {
+      running = false;
+      stopLoop();
+    },
+
+    setSpeed(speed) {
+      ticksPerSecond = speedToOpsPerSecond(speed);
+    }
+  };
+}
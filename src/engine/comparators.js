@@ -0,0 +1,98 @@
+// Составные компараторы для сортировки строк таблицы по нескольким столбцам.
+
+// Способы интерпретации значений столбца
+export const COLUMN_TYPES = {
+  number: 'Число',
+  string: 'Строка',
+  date: 'Дата'
+};
+
+// Сравнение строк с учетом правил языка (регистр и диакритика не различаются)
+const collator = new Intl.Collator(undefined, { sensitivity: 'base' });
+
+// Значение ячейки в выбранной интерпретации; null - пустое или нечитаемое
+const parseCell = (cell, type) => {
+  const text = cell === undefined || cell === null ? '' : String(cell).trim();
+  if (text === '') return null;
+
+  if (type === 'number') {
+    const value = Number(text.replace(/^(-?\d+),(\d+)$/, '$1.$2'));
+    return Number.isFinite(value) ? value : null;
+  }
+  if (type === 'date') {
+    const value = Date.parse(text);
+    return Number.isNaN(value) ? null : value;
+  }
+  return text;
+};
+
+const compareParsed = (x, y, type) => {
+  if (type === 'string') return collator.compare(x, y);
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// Компаратор строк { cells } по ключам [{ column, order: 'asc' | 'desc', type }].
+// Ключи применяются по порядку, пока строки не различатся. Пустые и
+// нечитаемые значения идут последними при любом направлении сортировки.
+export function createRowComparator(sortKeys) {
+  return (a, b) => {
+    for (const { column, order, type } of sortKeys) {
+      const x = parseCell(a.cells[column], type);
+      const y = parseCell(b.cells[column], type);
+
+      let result;
+      if (x === null || y === null) {
+        result = x === y ? 0 : x === null ? 1 : -1;
+      } else {
+        result = compareParsed(x, y, type);
+        if (order === 'desc') result = -result;
+      }
+
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+// Числовой ключ, согласованный с компаратором: плотный ранг элемента среди
+// items (равные элементы получают одинаковый ранг). Нужен сортировкам без
+// сравнений, которые не умеют работать с компаратором напрямую.
+export function rankKey(items, compare) {
+  const sorted = [...items].sort(compare);
+  const ranks = new Map();
+  let rank = 0;
+
+  sorted.forEach((item, index) => {
+    if (index > 0 && compare(sorted[index - 1], item) !== 0) rank++;
+    ranks.set(item, rank);
+  });
+
+  return item => ranks.get(item);
+}
+
+// Сумма цифр записи числа (знак и десятичная точка не учитываются)
+const digitSum = (value) => String(Math.abs(value))
+  .replace(/e[+-]\d+$/, '')
+  .split('')
+  .reduce((sum, char) => (char >= '0' && char <= '9' ? sum + Number(char) : sum), 0);
+
+// Предустановленные ключи сортировки чисел
+export const KEY_PRESETS = {
+  VALUE: { label: 'Значение', key: value => value },
+  ABS: { label: 'Модуль', key: value => Math.abs(value) },
+  DIGIT_SUM: { label: 'Сумма цифр', key: digitSum },
+  LAST_DIGIT: { label: 'Последняя цифра', key: value => Math.abs(Math.trunc(value)) % 10 }
+};
+
+export const SORT_ORDERS = {
+  asc: 'По возрастанию',
+  desc: 'По убыванию'
+};
+
+// Ключ сортировки для createTracer: предустановка и направление.
+// Убывание - это возрастание по ключу с обратным знаком, поэтому его
+// одинаково соблюдают и сравнения, и сортировки без сравнений.
+export function createSortKey({ preset = 'VALUE', order = 'asc' } = {}) {
+  const { key } = KEY_PRESETS[preset] || KEY_PRESETS.VALUE;
+  return order === 'desc' ? value => -key(value) : key;
+}
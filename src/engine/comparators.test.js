@@ -0,0 +1,63 @@
+import { createRowComparator, createSortKey, KEY_PRESETS, rankKey } from './comparators';
+import { SORTS, runSort } from './sorts';
+
+const rows = [
+  ['Иванов', '3,5', '2024-03-01'],
+  ['петров', '10', ''],
+  ['Сидоров', '', '2023-12-31'],
+  ['Петров', '2', '2024-01-15'],
+  ['иванов', '3.5', 'не дата']
+].map((cells, index) => ({ cells, index }));
+
+const sortedIndices = (sortKeys) => [...rows].sort(createRowComparator(sortKeys)).map(row => row.index);
+
+describe('createRowComparator', () => {
+  test('числа с запятой и точкой; пустые ячейки последними в обоих направлениях', () => {
+    expect(sortedIndices([{ column: 1, order: 'asc', type: 'number' }])).toEqual([3, 0, 4, 1, 2]);
+    expect(sortedIndices([{ column: 1, order: 'desc', type: 'number' }])).toEqual([1, 0, 4, 3, 2]);
+  });
+
+  test('даты; нечитаемые значения считаются пустыми', () => {
+    expect(sortedIndices([{ column: 2, order: 'asc', type: 'date' }])).toEqual([2, 3, 0, 1, 4]);
+  });
+
+  test('строки без учета регистра, следующий ключ различает равные', () => {
+    expect(sortedIndices([
+      { column: 0, order: 'asc', type: 'string' },
+      { column: 1, order: 'desc', type: 'number' }
+    ])).toEqual([0, 4, 1, 3, 2]);
+  });
+});
+
+describe('rankKey', () => {
+  const compare = createRowComparator([{ column: 0, order: 'asc', type: 'string' }]);
+
+  test('плотные ранги, равные строки получают один ранг', () => {
+    const key = rankKey(rows, compare);
+    expect(rows.map(key)).toEqual([0, 1, 2, 1, 0]);
+  });
+
+  // Сортировки без сравнений получают ранги, остальные - компаратор
+  test.each(Object.keys(SORTS))('%s сортирует строки по компаратору', (algorithm) => {
+    const { output } = runSort(algorithm, rows, { compare, key: rankKey(rows, compare) });
+    expect(output.map(row => row.cells[0].toLowerCase()))
+      .toEqual(['иванов', 'иванов', 'петров', 'петров', 'сидоров']);
+  });
+});
+
+describe('ключи сортировки чисел', () => {
+  test.each([
+    ['VALUE', -12.5, -12.5],
+    ['ABS', -12.5, 12.5],
+    ['DIGIT_SUM', -12.5, 8],
+    ['LAST_DIGIT', -127.9, 7]
+  ])('%s(%s) = %s', (preset, value, expected) => {
+    expect(KEY_PRESETS[preset].key(value)).toBe(expected);
+  });
+
+  test('убывание - ключ с обратным знаком, неизвестная предустановка - значение', () => {
+    expect(createSortKey({ preset: 'ABS', order: 'desc' })(-3)).toBe(-3);
+    expect(createSortKey({ preset: 'нет такой' })(-3)).toBe(-3);
+    expect(createSortKey()(5)).toBe(5);
+  });
+});
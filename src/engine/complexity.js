@@ -0,0 +1,28 @@
+// Эмпирическая оценка сложности: подбор модели роста y = c * f(n)
+// по измерениям (n, y).
+
+export const COMPLEXITY_MODELS = {
+  N: { label: 'O(n)', f: n => n },
+  N_LOG_N: { label: 'O(n log n)', f: n => n * Math.log2(Math.max(n, 2)) },
+  N_1_5: { label: 'O(n^1.5)', f: n => n ** 1.5 },
+  N_2: { label: 'O(n²)', f: n => n * n }
+};
+
+// Подбор выполняется в логарифмах: log y = log c + log f(n). Так точки
+// с малыми и большими n весят одинаково, а c оценивается средним остатком.
+// Нулевые измерения (например, ни одной перестановки) не учитываются.
+// Возвращает { best, models } или null, если различимых размеров меньше двух.
+export function fitComplexity(points) {
+  const usable = points.filter(({ n, y }) => n > 0 && y > 0);
+  if (new Set(usable.map(({ n }) => n)).size < 2) return null;
+
+  const models = Object.entries(COMPLEXITY_MODELS).map(([key, { label, f }]) => {
+    const residuals = usable.map(({ n, y }) => Math.log(y) - Math.log(f(n)));
+    const logC = residuals.reduce((sum, r) => sum + r, 0) / residuals.length;
+    const error = residuals.reduce((sum, r) => sum + (r - logC) ** 2, 0) / residuals.length;
+    return { key, label, c: Math.exp(logC), error };
+  });
+
+  const best = models.reduce((a, b) => (b.error < a.error ? b : a));
+  return { best, models };
+}
@@ -0,0 +1,68 @@
+import { COMPLEXITY_MODELS, fitComplexity } from './complexity';
+import { ALGORITHM_COMPLEXITY, SORTS, describeComplexity, runSort } from './sorts';
+import { generateArray } from './presets';
+
+const SIZES = [100, 200, 500, 1000, 2000, 5000, 10000];
+
+// Синтетические измерения y = c * f(n) с детерминированным шумом до ±noise
+const synthetic = (model, c, noise = 0.05) => SIZES.map((n, index) => ({
+  n,
+  y: c * COMPLEXITY_MODELS[model].f(n) * (1 + noise * Math.sin(index * 2.3))
+}));
+
+describe('fitComplexity', () => {
+  test.each(Object.keys(COMPLEXITY_MODELS))('узнает %s по зашумленным данным', (model) => {
+    const { best, models } = fitComplexity(synthetic(model, 3.7));
+    expect(best.key).toBe(model);
+    expect(best.c).toBeCloseTo(3.7, 0);
+    expect(models).toHaveLength(Object.keys(COMPLEXITY_MODELS).length);
+  });
+
+  test('на точных данных ошибка лучшей модели нулевая', () => {
+    const { best } = fitComplexity(synthetic('N_LOG_N', 0.5, 0));
+    expect(best.error).toBeCloseTo(0, 10);
+    expect(best.c).toBeCloseTo(0.5, 10);
+  });
+
+  test('не подбирает модель меньше чем по двум размерам', () => {
+    expect(fitComplexity([])).toBeNull();
+    expect(fitComplexity([{ n: 100, y: 5 }, { n: 100, y: 7 }])).toBeNull();
+  });
+
+  test('пропускает нулевые измерения', () => {
+    const points = [...synthetic('N', 2), { n: 50, y: 0 }, { n: 0, y: 0 }];
+    expect(fitComplexity(points).best.key).toBe('N');
+    expect(fitComplexity([{ n: 100, y: 0 }, { n: 200, y: 10 }])).toBeNull();
+  });
+
+  // Сравнения реальных сортировок на детерминированных наборах
+  test.each([
+    ['BUBBLE', 'REVERSE', 'N_2'],
+    ['INSERTION', 'SORTED', 'N'],
+    ['MERGE', 'REVERSE', 'N_LOG_N']
+  ])('%s на наборе %s - %s', (algorithm, preset, model) => {
+    const points = [64, 128, 256, 512, 1024].map(n => ({
+      n,
+      y: runSort(algorithm, generateArray(preset, n), { trace: false }).stats.comparisons
+    }));
+    expect(fitComplexity(points).best.key).toBe(model);
+  });
+});
+
+describe('describeComplexity', () => {
+  test('у каждого алгоритма есть сложность в среднем случае', () => {
+    expect(Object.keys(ALGORITHM_COMPLEXITY)).toEqual(Object.keys(SORTS));
+    Object.keys(SORTS).forEach(algorithm => {
+      expect(describeComplexity(algorithm)).toContain(ALGORITHM_COMPLEXITY[algorithm].average);
+    });
+  });
+
+  test.each([
+    ['BUBBLE', 'O(n²)'],
+    ['QUICK', 'в среднем O(n log n), худший случай O(n²)'],
+    ['COUNTING', 'O(n+k), где k - диапазон значений'],
+    ['PDQ', 'O(n log n) в худшем случае, O(n) на упорядоченных данных']
+  ])('%s: %s', (algorithm, text) => {
+    expect(describeComplexity(algorithm)).toBe(text);
+  });
+});
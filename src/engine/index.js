@@ -0,0 +1,41 @@
+// Движок сортировок: алгоритмы, трасса операций и ее воспроизведение.
+// Модуль не зависит от интерфейса.
+export {
+  OP_TYPES,
+  applyOp,
+  countOp,
+  createStats,
+  isMarkOp,
+  createMarks,
+  copyMarks,
+  applyMark
+} from './ops';
+export {
+  SORTS,
+  ALGORITHM_PARAMS,
+  PIVOT_RULES,
+  PARTITION_SCHEMES,
+  GAP_SEQUENCES,
+  ALGORITHM_COMPLEXITY,
+  describeComplexity,
+  createSortStream,
+  runSort
+} from './sorts';
+export { PSEUDOCODE, pseudocodeFor } from './pseudocode';
+export { createClock, speedToOpsPerSecond } from './clock';
+export { createPlayer } from './player';
+export { createRace } from './race';
+export { generateArray, randomIntFromInterval } from './presets';
+export { summarize } from './statistics';
+export { runBenchmark } from './benchmark';
+export { sizeRange, runScaling } from './scaling';
+export { COMPLEXITY_MODELS, fitComplexity } from './complexity';
+export { recordKey, toRecords, findStabilityViolations } from './stability';
+export {
+  COLUMN_TYPES,
+  KEY_PRESETS,
+  SORT_ORDERS,
+  createRowComparator,
+  createSortKey,
+  rankKey
+} from './comparators';
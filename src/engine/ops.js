@@ -0,0 +1,140 @@
+// Операции трассы сортировки.
+// Любой алгоритм движка описывается последовательностью таких операций:
+// анимация, пошаговый режим и сравнение алгоритмов применяют их одинаково.
+// Необязательное поле line - метка строки псевдокода, которая выполняла
+// операцию (см. pseudocode.js).
+// Необязательное поле vars - снимок переменных алгоритма { indices, values }
+// на момент операции (см. tracer.js).
+// Отметки (RANGE, PIVOT, FINAL, PHASE, STRATEGY, GAP, RUNS) не меняют массив и счетчики,
+// а только поясняют ход алгоритма: { type: 'range', range: [from, to] | null },
+// { type: 'pivot', indices } (пустой список снимает отметку),
+// { type: 'final', indices }, { type: 'phase', label }, { type: 'strategy', label } -
+// способ, которым гибридный алгоритм сейчас сортирует свой отрезок, и
+// { type: 'gap', gap } - промежуток, с которым сравниваются элементы (Шелл, расческа),
+// и { type: 'runs', runs: [[from, to], ...] } - стек серий Timsort от дна к вершине.
+// Вход в рекурсивный вызов { type: 'call', range: [from, to] } и выход из него
+// { type: 'return' } тоже отметки, но учитываются в счетчиках глубины рекурсии.
+
+export const OP_TYPES = {
+  COMPARE: 'compare',
+  SWAP: 'swap',
+  REPLACE: 'replace',
+  RANGE: 'range',
+  PIVOT: 'pivot',
+  FINAL: 'final',
+  PHASE: 'phase',
+  STRATEGY: 'strategy',
+  GAP: 'gap',
+  RUNS: 'runs',
+  CALL: 'call',
+  RETURN: 'return'
+};
+
+const MARK_TYPES = [
+  OP_TYPES.RANGE,
+  OP_TYPES.PIVOT,
+  OP_TYPES.FINAL,
+  OP_TYPES.PHASE,
+  OP_TYPES.STRATEGY,
+  OP_TYPES.GAP,
+  OP_TYPES.RUNS,
+  OP_TYPES.CALL,
+  OP_TYPES.RETURN
+];
+
+// Является ли операция отметкой
+export const isMarkOp = (op) => MARK_TYPES.includes(op.type);
+
+// Пустое состояние отметок: рабочий отрезок, опорные элементы, позиции,
+// которые уже не изменятся, название текущего этапа, текущая стратегия,
+// промежуток и стек серий.
+// calls - дерево рекурсивных вызовов в порядке входа: { range, depth, parent, strategy, isDone },
+// где parent - номер вызова-родителя, strategy - последняя стратегия внутри вызова;
+// stack - номера незавершенных вызовов.
+export const createMarks = () => ({
+  range: null,
+  pivots: [],
+  final: new Set(),
+  phase: null,
+  strategy: null,
+  gap: null,
+  runs: [],
+  calls: [],
+  stack: []
+});
+
+// Копия состояния отметок (для контрольных точек)
+export const copyMarks = (marks) => ({
+  ...marks,
+  final: new Set(marks.final),
+  calls: [...marks.calls],
+  stack: [...marks.stack]
+});
+
+// Применение отметки к состоянию (объект изменяется на месте)
+export const applyMark = (marks, op) => {
+  if (op.type === OP_TYPES.RANGE) {
+    marks.range = op.range;
+  } else if (op.type === OP_TYPES.PIVOT) {
+    marks.pivots = op.indices;
+  } else if (op.type === OP_TYPES.FINAL) {
+    op.indices.forEach(index => marks.final.add(index));
+  } else if (op.type === OP_TYPES.PHASE) {
+    marks.phase = op.label;
+  } else if (op.type === OP_TYPES.STRATEGY) {
+    marks.strategy = op.label;
+    if (marks.stack.length > 0) {
+      const index = marks.stack[marks.stack.length - 1];
+      marks.calls[index] = { ...marks.calls[index], strategy: op.label };
+    }
+  } else if (op.type === OP_TYPES.GAP) {
+    marks.gap = op.gap;
+  } else if (op.type === OP_TYPES.RUNS) {
+    marks.runs = op.runs;
+  } else if (op.type === OP_TYPES.CALL) {
+    const parent = marks.stack.length > 0 ? marks.stack[marks.stack.length - 1] : null;
+    marks.calls.push({ range: op.range, depth: marks.stack.length + 1, parent, strategy: null, isDone: false });
+    marks.stack.push(marks.calls.length - 1);
+  } else if (op.type === OP_TYPES.RETURN) {
+    // Вызовы не изменяются на месте: копии в контрольных точках их разделяют
+    const index = marks.stack.pop();
+    marks.calls[index] = { ...marks.calls[index], isDone: true };
+  }
+};
+
+// Пустые счетчики метрик: операции и глубина рекурсии (текущая и наибольшая)
+export const createStats = () => ({
+  comparisons: 0,
+  swaps: 0,
+  writes: 0,
+  depth: 0,
+  maxDepth: 0
+});
+
+// Применение операции к массиву значений (массив изменяется на месте)
+export const applyOp = (values, op) => {
+  if (op.type === OP_TYPES.SWAP) {
+    const [i, j] = op.indices;
+    const temp = values[i];
+    values[i] = values[j];
+    values[j] = temp;
+  } else if (op.type === OP_TYPES.REPLACE) {
+    values[op.index] = op.value;
+  }
+};
+
+// Учет операции в счетчиках (объект статистики изменяется на месте)
+export const countOp = (stats, op) => {
+  if (op.type === OP_TYPES.COMPARE) {
+    stats.comparisons++;
+  } else if (op.type === OP_TYPES.SWAP) {
+    stats.swaps++;
+  } else if (op.type === OP_TYPES.REPLACE) {
+    stats.writes++;
+  } else if (op.type === OP_TYPES.CALL) {
+    stats.depth++;
+    stats.maxDepth = Math.max(stats.maxDepth, stats.depth);
+  } else if (op.type === OP_TYPES.RETURN) {
+    stats.depth--;
+  }
+};
@@ -0,0 +1,293 @@
+import { OP_TYPES, applyOp, countOp, createStats, isMarkOp, createMarks, copyMarks, applyMark } from './ops';
+import { createClock } from './clock';
+
+// Минимальное расстояние между контрольными точками перемотки. Для больших
+// массивов оно растет вместе с размером, чтобы копии массива в точках
+// занимали не больше памяти, чем сама история операций.
+const MIN_CHECKPOINT_INTERVAL = 64;
+
+// Сколько последних контрольных точек (и операций после первой из них)
+// хранит проигрыватель: память не растет с длиной трассы
+const MAX_CHECKPOINTS = 32;
+
+// Проигрыватель потока операций на часах воспроизведения (clock.js).
+// За кадр применяется столько операций, сколько набежало тактов по текущей
+// скорости, после чего onFrame вызывается один раз - потребитель обновляет
+// отображение раз в кадр.
+// keepHistory сохраняет периодические контрольные точки (массив, счетчики,
+// подсветка) и операции после них, но только в окне из MAX_CHECKPOINTS
+// последних точек, поэтому переход к шагу внутри окна стоит не больше одного
+// интервала между точками. Переход назад за окно запускает алгоритм заново
+// через createStream и догоняет нужный шаг с начала.
+export function createPlayer({
+  input,
+  createStream,
+  stream = createStream ? createStream() : undefined,
+  speed = 50,
+  keepHistory = false,
+  onFrame = () => {},
+  onFinish = () => {}
+}) {
+  let values = [...input];
+  let stats = createStats();
+  let step = 0;
+  let pulled = 0;
+  let loaded = 0;
+  let totalSteps = null;
+  let history = [];
+  let historyStart = 0;
+  let pending = null;
+  let compare = [-1, -1];
+  let swap = [-1, -1];
+  let line = null;
+  let vars = null;
+  let marks = createMarks();
+
+  const checkpointInterval = Math.max(MIN_CHECKPOINT_INTERVAL, input.length);
+  let checkpoints = [];
+  let firstCheckpoint = 0;
+
+  // Следующая операция (с номером step): из истории или из потока алгоритма
+  const peek = () => {
+    if (keepHistory && step < pulled) return history[step - historyStart];
+    if (!keepHistory && pending) return pending;
+    if (!stream) return undefined;
+
+    const { value, done } = stream.next();
+    if (done) {
+      stream = null;
+      totalSteps = pulled;
+      return undefined;
+    }
+
+    pulled++;
+    loaded = Math.max(loaded, pulled);
+    if (keepHistory) history.push(value);
+    else pending = value;
+    return value;
+  };
+
+  // Контрольная точка на каждом checkpointInterval-м шаге. Новые точки
+  // появляются только на последнем полученном шаге; самая старая точка
+  // окна уходит вместе с операциями до следующей.
+  const saveCheckpoint = () => {
+    if (!keepHistory || step % checkpointInterval !== 0) return;
+
+    const index = step / checkpointInterval;
+    if (index < firstCheckpoint + checkpoints.length) return;
+    checkpoints.push({ values: [...values], stats: { ...stats }, compare, swap, line, vars, marks: copyMarks(marks) });
+
+    if (checkpoints.length > MAX_CHECKPOINTS) {
+      checkpoints.shift();
+      firstCheckpoint++;
+      history = history.slice(checkpointInterval);
+      historyStart += checkpointInterval;
+    }
+  };
+
+  const restoreCheckpoint = (index) => {
+    const checkpoint = checkpoints[index - firstCheckpoint];
+    values = [...checkpoint.values];
+    stats = { ...checkpoint.stats };
+    compare = checkpoint.compare;
+    swap = checkpoint.swap;
+    line = checkpoint.line;
+    vars = checkpoint.vars;
+    marks = copyMarks(checkpoint.marks);
+    step = index * checkpointInterval;
+  };
+
+  // Новый запуск алгоритма с исходного массива; totalSteps уже известно
+  // или станет известно заново
+  const restart = () => {
+    if (stream) stream.return();
+    stream = createStream();
+    values = [...input];
+    stats = createStats();
+    step = 0;
+    pulled = 0;
+    history = [];
+    historyStart = 0;
+    checkpoints = [];
+    firstCheckpoint = 0;
+    pending = null;
+    compare = [-1, -1];
+    swap = [-1, -1];
+    line = null;
+    vars = null;
+    marks = createMarks();
+    saveCheckpoint();
+  };
+
+  // Применение следующей операции к массиву, счетчикам и подсветке.
+  // Отметка меняет только состояние отметок (и глубину рекурсии в счетчиках).
+  const applyNext = () => {
+    const op = peek();
+    if (!op) return false;
+
+    pending = null;
+    applyOp(values, op);
+    countOp(stats, op);
+    if (isMarkOp(op)) {
+      applyMark(marks, op);
+    } else {
+      if (op.type === OP_TYPES.COMPARE) compare = op.indices;
+      else if (op.type === OP_TYPES.SWAP) swap = op.indices;
+      line = op.line ?? null;
+      vars = op.vars ?? null;
+    }
+    step++;
+    saveCheckpoint();
+    return op;
+  };
+
+  // Применение до count операций; true, если алгоритм завершился
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (!applyNext()) break;
+    }
+    return !peek();
+  };
+
+  // Отображение результата перехода: кадр или завершение
+  const settle = (finished) => {
+    if (finished) finish();
+    else onFrame(controller);
+  };
+
+  saveCheckpoint();
+
+  const finish = () => {
+    clock.stop();
+    compare = [-1, -1];
+    swap = [-1, -1];
+    line = null;
+    vars = null;
+    marks = { ...createMarks(), final: marks.final, calls: marks.calls };
+    onFrame(controller);
+    onFinish(controller);
+  };
+
+  // Такт часов: очередная порция операций и один кадр
+  const clock = createClock({
+    speed,
+    onTick: (count) => {
+      if (advance(count)) {
+        finish();
+        return false;
+      }
+      onFrame(controller);
+      return true;
+    }
+  });
+
+  const controller = {
+    get values() {
+      return values;
+    },
+    get stats() {
+      return stats;
+    },
+    get step() {
+      return step;
+    },
+    // Общее число операций; null, пока алгоритм не выдал последнюю
+    get totalSteps() {
+      return totalSteps;
+    },
+    // Сколько операций уже получено от алгоритма
+    get loadedSteps() {
+      return loaded;
+    },
+    get compare() {
+      return compare;
+    },
+    get swap() {
+      return swap;
+    },
+    // Метка строки псевдокода последней операции (см. pseudocode.js)
+    get line() {
+      return line;
+    },
+    // Снимок переменных алгоритма на последней операции (см. tracer.js)
+    get vars() {
+      return vars;
+    },
+    // Отметки: рабочий отрезок, опорный элемент, окончательные позиции и этап
+    get marks() {
+      return marks;
+    },
+    // Время активного воспроизведения в миллисекундах
+    get elapsed() {
+      return clock.elapsed;
+    },
+    get isPlaying() {
+      return clock.isRunning;
+    },
+    get isDone() {
+      return !peek();
+    },
+
+    play() {
+      if (clock.isRunning) return;
+      if (!peek()) {
+        finish();
+        return;
+      }
+      clock.start();
+    },
+
+    pause() {
+      clock.stop();
+    },
+
+    setSpeed(newSpeed) {
+      clock.setSpeed(newSpeed);
+    },
+
+    // Один шаг вперед без учета скорости
+    stepForward() {
+      settle(advance(1));
+    },
+
+    // Переход к операции с номером target. С keepHistory состояние берется
+    // из ближайшей предыдущей контрольной точки окна, а остаток догоняется
+    // операциями; до начала окна - с нового запуска алгоритма.
+    // Без истории возможен только переход вперед.
+    seek(target) {
+      target = Math.max(0, target);
+
+      if (keepHistory) {
+        const index = Math.min(Math.floor(target / checkpointInterval), firstCheckpoint + checkpoints.length - 1);
+        if (index < firstCheckpoint) {
+          restart();
+        } else if (target < step || index * checkpointInterval > step) {
+          restoreCheckpoint(index);
+        }
+      }
+
+      settle(advance(target - step));
+    },
+
+    // Выполнение операций до ближайшей операции заданного типа включительно
+    runUntil(type) {
+      let op = applyNext();
+      while (op && op.type !== type) {
+        op = applyNext();
+      }
+      settle(!peek());
+    },
+
+    // Остановка и прерывание алгоритма
+    destroy() {
+      clock.stop();
+      if (stream) stream.return();
+      stream = null;
+      history = [];
+      checkpoints = [];
+      pending = null;
+    }
+  };
+
+  return controller;
+}
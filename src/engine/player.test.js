@@ -0,0 +1,109 @@
+import { createPlayer } from './player';
+import { createSortStream, runSort } from '.';
+import { copyMarks } from './ops';
+
+// Состояние проигрывателя, которое видит интерфейс. Отметки изменяются
+// на месте, поэтому копируются.
+const snapshot = (player) => ({
+  step: player.step,
+  values: [...player.values],
+  stats: { ...player.stats },
+  compare: player.compare,
+  swap: player.swap,
+  line: player.line,
+  vars: player.vars,
+  marks: copyMarks(player.marks)
+});
+
+const input = [38, 5, 71, 5, 12, 90, 44, 3, 27, 61, 18, 5, 77, 2, 50, 33, 9, 64, 21, 70];
+
+const createHistoryPlayer = (algorithm, values = input) => createPlayer({
+  input: values,
+  createStream: () => createSortStream(algorithm, values).stream,
+  keepHistory: true
+});
+
+// Линейное воспроизведение: состояние после каждого шага
+const replay = (algorithm) => {
+  const player = createHistoryPlayer(algorithm);
+  const states = [snapshot(player)];
+  while (!player.isDone) {
+    player.stepForward();
+    if (!player.isDone) states.push(snapshot(player));
+  }
+  return states;
+};
+
+describe.each(['MERGE', 'QUICK', 'HEAP'])('%s', (algorithm) => {
+  test('seek(k) совпадает с линейным воспроизведением', () => {
+    const states = replay(algorithm);
+    const player = createHistoryPlayer(algorithm);
+
+    // Переходы вперед, назад, на контрольные точки (каждые 64 шага) и рядом с ними
+    const last = states.length - 1;
+    [last, 0, 63, 64, 65, 1, last - 1, 130, 10, 129]
+      .filter(target => target <= last)
+      .forEach(target => {
+        player.seek(target);
+        expect(snapshot(player)).toEqual(states[target]);
+      });
+  });
+
+  test('после перехода в конец результат и счетчики как у runSort', () => {
+    const player = createHistoryPlayer(algorithm);
+    const { ops, output, stats } = runSort(algorithm, input);
+    player.seek(Infinity);
+    expect(player.isDone).toBe(true);
+    expect(player.totalSteps).toBe(ops.length);
+    expect(player.values).toEqual(output);
+    expect(player.stats).toEqual(stats);
+  });
+});
+
+describe('окно контрольных точек', () => {
+  // 100 элементов: точки через 100 шагов, окно - 32 точки, а трасса пузырька
+  // длиннее 7000 операций
+  const values = Array.from({ length: 100 }, (_, i) => (i * 37) % 100);
+
+  test('переход назад за окно запускает алгоритм заново, внутри окна - нет', () => {
+    const createStream = jest.fn(() => createSortStream('BUBBLE', values).stream);
+    const player = createPlayer({ input: values, createStream, keepHistory: true });
+
+    player.seek(Infinity);
+    const last = player.step;
+    expect(last).toBeGreaterThan(32 * 100);
+    player.seek(last - 3000);
+    expect(createStream).toHaveBeenCalledTimes(1);
+
+    player.seek(150);
+    expect(createStream).toHaveBeenCalledTimes(2);
+    expect(player.step).toBe(150);
+    expect(player.loadedSteps).toBe(player.totalSteps);
+  });
+
+  test('seek(k) за пределами окна совпадает с линейным воспроизведением', () => {
+    const targets = [7000, 0, 150, 5000, 4990, 10, 7001, 3300];
+    const expected = new Map();
+    const linear = createHistoryPlayer('BUBBLE', values);
+    while (!linear.isDone) {
+      if (targets.includes(linear.step)) expected.set(linear.step, snapshot(linear));
+      linear.stepForward();
+    }
+
+    const player = createHistoryPlayer('BUBBLE', values);
+    targets.forEach(target => {
+      player.seek(target);
+      expect(snapshot(player)).toEqual(expected.get(target));
+    });
+  });
+});
+
+test('без истории переход возможен только вперед', () => {
+  const player = createPlayer({ input, stream: createSortStream('BUBBLE', input).stream });
+  player.seek(40);
+  expect(player.step).toBe(40);
+  const values = [...player.values];
+  player.seek(10);
+  expect(player.step).toBe(40);
+  expect(player.values).toEqual(values);
+});
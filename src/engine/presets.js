@@ -0,0 +1,55 @@
+// Генерация входных массивов по предустановленным наборам данных.
+// Значения лежат в диапазоне 5-80, чтобы столбцы помещались в визуализацию.
+
+// Случайное целое число из отрезка [min, max]
+export const randomIntFromInterval = (min, max) => {
+  return Math.floor(Math.random() * (max - min + 1) + min);
+};
+
+// Массив размера size для набора данных preset
+// (RANDOM, SORTED, REVERSE, NEARLY, REPEATED; иначе - случайные данные)
+export function generateArray(preset, size) {
+  const newArray = [];
+
+  switch (preset) {
+    case 'SORTED':
+      // Отсортированные данные
+      for (let i = 0; i < size; i++) {
+        newArray.push(Math.floor(5 + (i * 75) / size));
+      }
+      break;
+    case 'REVERSE':
+      // Обратно отсортированные данные
+      for (let i = 0; i < size; i++) {
+        newArray.push(Math.floor(80 - (i * 75) / size));
+      }
+      break;
+    case 'NEARLY':
+      // Почти отсортированные данные
+      for (let i = 0; i < size; i++) {
+        newArray.push(Math.floor(5 + (i * 75) / size));
+      }
+      // Вносим несколько перестановок
+      for (let i = 0; i < size * 0.1; i++) {
+        const idx1 = randomIntFromInterval(0, size - 1);
+        const idx2 = randomIntFromInterval(0, size - 1);
+        [newArray[idx1], newArray[idx2]] = [newArray[idx2], newArray[idx1]];
+      }
+      break;
+    case 'REPEATED': {
+      // Данные с повторениями
+      const values = [10, 20, 30, 40, 50, 60, 70];
+      for (let i = 0; i < size; i++) {
+        newArray.push(values[randomIntFromInterval(0, values.length - 1)]);
+      }
+      break;
+    }
+    default:
+      // Случайные данные
+      for (let i = 0; i < size; i++) {
+        newArray.push(randomIntFromInterval(5, 80));
+      }
+  }
+
+  return newArray;
+}
@@ -0,0 +1,472 @@
+// Псевдокод алгоритмов для панели с подсветкой выполняемой строки.
+// Строка - текст или пара [метка, текст]. Метку передает алгоритм в операции
+// (поле line, см. algorithms.js), поэтому при воспроизведении подсвечиваются
+// строки, которые выполнили текущую операцию. Общие вспомогательные функции
+// (вставки, слияние, поиск диапазона) используют одни и те же метки во всех
+// листингах, куда они входят.
+
+// Сортировка вставками на отрезке [start, end]
+const INSERTION_RANGE = [
+  'insertionSort(start, end):',
+  '  for i = start + 1 .. end',
+  '    j = i',
+  ['insertion-compare', '    while j > start and a[j - 1] > a[j]'],
+  ['insertion-swap', '      swap(a[j - 1], a[j])'],
+  '      j = j - 1'
+];
+
+// Слияние отсортированных отрезков [start, mid] и [mid + 1, end]
+const MERGE = [
+  'merge(start, mid, end):',
+  '  L = a[start .. mid], R = a[mid + 1 .. end]',
+  '  i = 0, j = 0, k = start',
+  '  while i < |L| and j < |R|',
+  ['merge-compare', '    if L[i] <= R[j]'],
+  ['merge-left', '      a[k++] = L[i++]'],
+  '    else',
+  ['merge-right', '      a[k++] = R[j++]'],
+  ['merge-rest-left', '  while i < |L|: a[k++] = L[i++]'],
+  ['merge-rest-right', '  while j < |R|: a[k++] = R[j++]']
+];
+
+// Пирамидальная сортировка отрезка [start, end] и ее просеивание.
+// Индексы кучи отсчитываются от start.
+const HEAPIFY = [
+  'heapify(i, heapSize):',
+  '  largest = i',
+  ['heapify-left', '  if left < heapSize and a[left] > a[largest]'],
+  '    largest = left',
+  ['heapify-right', '  if right < heapSize and a[right] > a[largest]'],
+  '    largest = right',
+  '  if largest ≠ i',
+  ['heapify-swap', '    swap(a[i], a[largest])'],
+  '    heapify(largest, heapSize)'
+];
+
+const HEAP_RANGE = [
+  'heapSort(start, end):',
+  '  n = end - start + 1',
+  '  for i = ⌊n / 2⌋ - 1 .. 0: heapify(i, n)',
+  '  for i = n - 1 .. 1',
+  ['extract', '    swap(a[0], a[i])'],
+  '    heapify(0, i)',
+  '',
+  ...HEAPIFY
+];
+
+// Упорядочивание тройки элементов, медиана оказывается посередине
+const SORT3 = [
+  'sort3(x, y, z):',
+  ['median-compare', '  для пар (x, y), (y, z), (x, y): if a[второй] < a[первый]'],
+  ['median-swap', '    swap(a[первый], a[второй])']
+];
+
+// Разбиение Ломуто по последнему элементу
+const LOMUTO = [
+  'partition(low, high):',
+  '  pivot = a[high]',
+  '  i = low - 1',
+  '  for j = low .. high - 1',
+  ['partition-compare', '    if a[j] < pivot'],
+  '      i = i + 1',
+  ['partition-swap', '      swap(a[i], a[j])'],
+  ['pivot-swap', '  swap(a[i + 1], a[high])'],
+  '  return i + 1'
+];
+
+// Проход сортировки Шелла: вставки с промежутком gap
+const GAP_INSERTION = [
+  '  for i = gap .. n - 1',
+  '    j = i',
+  ['gap-compare', '    while j >= gap and a[j] < a[j - gap]'],
+  ['gap-swap', '      swap(a[j], a[j - gap])'],
+  '      j = j - gap'
+];
+
+// Поиск наименьшего и наибольшего ключа
+const RANGE = ['range', '(min, max) = наименьший и наибольший ключ'];
+
+export const PSEUDOCODE = {
+  BUBBLE: [
+    'for i = 0 .. n - 1',
+    '  for j = 0 .. n - i - 2',
+    ['compare', '    if a[j] > a[j + 1]'],
+    ['swap', '      swap(a[j], a[j + 1])']
+  ],
+  SELECTION: [
+    'for i = 0 .. n - 2',
+    '  min = i',
+    '  for j = i + 1 .. n - 1',
+    ['compare', '    if a[j] < a[min]'],
+    '      min = j',
+    '  if min ≠ i',
+    ['swap', '    swap(a[i], a[min])']
+  ],
+  INSERTION: [
+    'insertionSort(0, n - 1)',
+    '',
+    ...INSERTION_RANGE
+  ],
+  MERGE: [
+    'mergeSort(start, end):',
+    '  if start >= end: return',
+    '  mid = ⌊(start + end) / 2⌋',
+    '  mergeSort(start, mid)',
+    '  mergeSort(mid + 1, end)',
+    '  merge(start, mid, end)',
+    '',
+    ...MERGE
+  ],
+  QUICK: [
+    'quickSort(low, high):',
+    '  if low < high',
+    '    p = partition(low, high)',
+    '    quickSort(low, p - 1)',
+    '    quickSort(p + 1, high)',
+    '',
+    ...LOMUTO
+  ],
+  HEAP: [
+    'for i = ⌊n / 2⌋ - 1 .. 0',
+    '  heapify(i, n)',
+    'for i = n - 1 .. 1',
+    ['extract', '  swap(a[0], a[i])'],
+    '  heapify(0, i)',
+    '',
+    ...HEAPIFY
+  ],
+  COUNTING: [
+    RANGE,
+    'count[k] = число элементов с ключом k',
+    'count[k] = count[k] + count[k - 1]',
+    'for i = n - 1 .. 0',
+    '  output[--count[key(a[i])]] = a[i]',
+    'for i = 0 .. n - 1',
+    ['write', '  a[i] = output[i]']
+  ],
+  BUCKET: [
+    RANGE,
+    'разложить элементы по ⌊√n⌋ блокам',
+    'start = 0',
+    'for bucket in блоки',
+    ['bucket-write', '  a[start ..] = bucket'],
+    '  insertionSort(start, start + |bucket| - 1)',
+    '  start = start + |bucket|',
+    '',
+    ...INSERTION_RANGE
+  ],
+  RADIX: [
+    RANGE,
+    'for exp = 1; ⌊maxKey / exp⌋ > 0; exp = exp · 10',
+    '  устойчиво разложить a в output по цифре ⌊key / exp⌋ mod 10',
+    '  for i = 0 .. n - 1',
+    ['write', '    a[i] = output[i]']
+  ],
+  SHELL: [
+    'gap = 1',
+    'while gap < n / 3: gap = 3 · gap + 1',
+    'while gap >= 1',
+    ...GAP_INSERTION,
+    '  gap = ⌊gap / 3⌋'
+  ],
+  TIM: [
+    'minrun = minRunLength(n)  (от 32 до 64, n / minrun близко к степени двойки)',
+    'runs = [], minGallop = 7, lo = 0',
+    'while lo < n',
+    '  len = countRun(lo)',
+    '  if len < minrun',
+    '    force = min(minrun, n - lo)',
+    '    binaryInsertionSort(lo, lo + force - 1, lo + len)',
+    '    len = force',
+    '  runs.push([lo, lo + len - 1]); mergeCollapse()',
+    '  lo = lo + len',
+    'while |runs| > 1: mergeAt(B с меньшей из соседних серий)',
+    '',
+    'countRun(lo):',
+    ['run-compare', '  hi = lo + 1; продлевать серию, пока она строго убывает или не убывает'],
+    ['run-reverse', '  if серия строго убывает: развернуть a[lo .. hi - 1]'],
+    '  return hi - lo',
+    '',
+    'binaryInsertionSort(lo, hi, start):',
+    '  for i = start .. hi',
+    '    pivot = a[i], left = lo, right = i',
+    '    while left < right',
+    '      mid = ⌊(left + right) / 2⌋',
+    ['binary-compare', '      if pivot < a[mid]: right = mid else left = mid + 1'],
+    ['binary-shift', '    сдвинуть a[left .. i - 1] на одну позицию вправо'],
+    ['binary-insert', '    a[left] = pivot'],
+    '',
+    'mergeCollapse():  (A, B, C - три верхние серии стека)',
+    '  while |runs| > 1',
+    '    if |A| <= |B| + |C| или под A нарушен инвариант: слить B с меньшей из A и C',
+    '    else if |B| <= |C|: слить B и C',
+    '    else break',
+    '',
+    'mergeAt(A = [lo, mid], B = [mid + 1, hi]):',
+    ['trim-compare', '  пропустить галопом начало A <= a[mid + 1] и конец B >= a[mid]'],
+    '  if |A| <= |B|: mergeLo(lo, mid, hi)',
+    '  else: mergeHi(lo, mid, hi)  (то же справа налево, tmp = B)',
+    '',
+    'mergeLo(lo, mid, hi):',
+    '  tmp = a[lo .. mid], i = 0, j = mid + 1, k = lo',
+    '  while i < |tmp| and j <= hi',
+    '    winsA = winsB = 0',
+    '    while winsA < minGallop and winsB < minGallop',
+    ['merge-compare', '      if a[j] < tmp[i]'],
+    ['merge-right', '        a[k++] = a[j++]; winsB++, winsA = 0'],
+    ['merge-left', '      else: a[k++] = tmp[i++]; winsA++, winsB = 0'],
+    '    repeat  (галоп)',
+    '      minGallop = max(minGallop - 1, 1)',
+    ['gallop-left-compare', '      countA = число tmp[i ..] <= a[j] (поиск шагами 1, 2, 4, ...)'],
+    ['gallop-left', '      перенести countA элементов tmp[i ..]'],
+    ['gallop-right-compare', '      countB = число a[j ..] < tmp[i]'],
+    ['gallop-right', '      перенести countB элементов a[j ..]'],
+    '    until countA < 7 and countB < 7',
+    '    minGallop = minGallop + 1',
+    ['merge-rest', '  перенести остаток tmp']
+  ],
+  COCKTAIL: [
+    'start = 0, end = n - 1, swapped = true',
+    'while swapped and start < end',
+    '  swapped = false',
+    '  for j = start .. end - 1',
+    ['forward-compare', '    if a[j] > a[j + 1]'],
+    ['forward-swap', '      swap(a[j], a[j + 1]); swapped = true'],
+    '  end = end - 1',
+    '  if not swapped: break',
+    '  swapped = false',
+    '  for j = end .. start + 1',
+    ['backward-compare', '    if a[j - 1] > a[j]'],
+    ['backward-swap', '      swap(a[j - 1], a[j]); swapped = true'],
+    '  start = start + 1'
+  ],
+  COMB: [
+    'gap = n, sorted = false',
+    'while not sorted',
+    '  gap = ⌊gap / shrink⌋',
+    '  if gap <= 1: gap = 1, sorted = true',
+    '  for i = 0 .. n - gap - 1',
+    ['compare', '    if a[i] > a[i + gap]'],
+    ['swap', '      swap(a[i], a[i + gap]); sorted = false']
+  ],
+  GNOME: [
+    'i = 0',
+    'while i < n',
+    ['compare', '  if i = 0 or a[i - 1] <= a[i]'],
+    '    i = i + 1',
+    '  else',
+    ['swap', '    swap(a[i - 1], a[i])'],
+    '    i = i - 1'
+  ],
+  ODD_EVEN: [
+    'sorted = false',
+    'while not sorted',
+    '  sorted = true',
+    '  for i = 1, 3, 5 .. n - 2',
+    ['odd-compare', '    if a[i] > a[i + 1]'],
+    ['odd-swap', '      swap(a[i], a[i + 1]); sorted = false'],
+    '  for i = 0, 2, 4 .. n - 2',
+    ['even-compare', '    if a[i] > a[i + 1]'],
+    ['even-swap', '      swap(a[i], a[i + 1]); sorted = false']
+  ],
+  INTRO: [
+    'introSort(0, n - 1, 2 · ⌊log2 n⌋)',
+    '',
+    'introSort(low, high, depthLimit):',
+    '  if high - low + 1 <= 16',
+    '    insertionSort(low, high); return',
+    '  if depthLimit = 0',
+    '    heapSort(low, high); return',
+    '  mid = ⌊(low + high) / 2⌋',
+    '  sort3(low, mid, high)',
+    ['median-move', '  swap(a[mid], a[high])'],
+    '  p = partition(low, high)',
+    '  introSort(low, p - 1, depthLimit - 1)',
+    '  introSort(p + 1, high, depthLimit - 1)',
+    '',
+    ...SORT3,
+    '',
+    ...LOMUTO,
+    '',
+    ...INSERTION_RANGE,
+    '',
+    ...HEAP_RANGE
+  ],
+  DUAL_PIVOT: [
+    'dualPivotQuickSort(low, high):',
+    '  if low >= high: return',
+    ['pivots-compare', '  if a[low] > a[high]'],
+    ['pivots-swap', '    swap(a[low], a[high])'],
+    '  p = a[low], q = a[high]',
+    '  lt = low + 1, gt = high - 1',
+    '  for k = lt; k <= gt; k = k + 1',
+    ['less-compare', '    if a[k] < p'],
+    ['less-swap', '      swap(a[k], a[lt]); lt = lt + 1'],
+    ['greater-compare', '    else if a[k] >= q'],
+    ['greater-scan', '      while k < gt and a[gt] > q: gt = gt - 1'],
+    ['greater-swap', '      swap(a[k], a[gt]); gt = gt - 1'],
+    ['greater-less-compare', '      if a[k] < p'],
+    ['greater-less-swap', '        swap(a[k], a[lt]); lt = lt + 1'],
+    '  lt = lt - 1, gt = gt + 1',
+    ['pivot-swap', '  swap(a[low], a[lt]); swap(a[high], a[gt])'],
+    '  dualPivotQuickSort(low, lt - 1)',
+    '  dualPivotQuickSort(lt + 1, gt - 1)',
+    '  dualPivotQuickSort(gt + 1, high)'
+  ],
+  PDQ: [
+    'pdqSort(0, n - 1, ⌊log2 n⌋, leftmost = true)',
+    '',
+    'pdqSort(low, high, badAllowed, leftmost):',
+    '  size = high - low + 1',
+    '  if size < 24: insertionSort(low, high); return',
+    '  if size > 128: медиана медиан четырех sort3',
+    ['median-move', '    swap(a[low], a[mid])'],
+    '  else: sort3(mid, low, high)',
+    ['equal-compare', '  if not leftmost and a[low - 1] >= a[low]'],
+    '    p = partitionLeft(low, high)',
+    '    pdqSort(p + 1, high, badAllowed, false); return',
+    '  (p, alreadyPartitioned) = partitionRight(low, high)',
+    '  if min(p - low, high - p) < size / 8',
+    '    badAllowed = badAllowed - 1',
+    '    if badAllowed = 0: heapSort(low, high); return',
+    ['shuffle', '    обменять элементы на четвертях сторон'],
+    '  else if alreadyPartitioned',
+    '    if partialInsertionSort(low, p - 1)',
+    '        and partialInsertionSort(p + 1, high): return',
+    '  pdqSort(low, p - 1, badAllowed, leftmost)',
+    '  pdqSort(p + 1, high, badAllowed, false)',
+    '',
+    'partitionRight(low, high):',
+    '  pivot = a[low], i = low + 1, j = high',
+    ['right-compare', '  сдвигать i вправо, пока a[i] < pivot, и j влево, пока a[j] >= pivot'],
+    '  alreadyPartitioned = i > j',
+    '  while i < j',
+    ['right-swap', '    swap(a[i], a[j]) и продолжить сдвиги'],
+    ['pivot-swap', '  swap(a[low], a[j]); return (j, alreadyPartitioned)'],
+    '',
+    'partitionLeft(low, high):',
+    '  pivot = a[low], i = low + 1, j = high',
+    ['left-compare', '  сдвигать j влево, пока pivot < a[j], и i вправо, пока a[i] <= pivot'],
+    '  while i < j',
+    ['left-swap', '    swap(a[i], a[j]) и продолжить сдвиги'],
+    ['pivot-swap', '  swap(a[low], a[j]); return j'],
+    '',
+    'partialInsertionSort(low, high):',
+    '  moves = 0',
+    '  for i = low + 1 .. high',
+    '    j = i',
+    ['partial-compare', '    while j > low and a[j - 1] > a[j]'],
+    ['partial-swap', '      swap(a[j - 1], a[j]); j = j - 1'],
+    '    moves = moves + (i - j)',
+    '    if moves > 8: return false',
+    '  return true',
+    '',
+    ...SORT3,
+    '',
+    ...INSERTION_RANGE,
+    '',
+    ...HEAP_RANGE
+  ]
+};
+
+// Выбор опорного элемента быстрой сортировки по правилам PIVOT_RULES (sorts.js)
+const MEDIAN3 = [
+  'median3(i, j, k):',
+  ['median-compare', '  сравнениями найти индекс среднего из a[i], a[j], a[k]']
+];
+
+const PIVOT_LINES = {
+  last: ['choosePivot(low, high) = high'],
+  first: ['choosePivot(low, high) = low'],
+  middle: ['choosePivot(low, high) = ⌊(low + high) / 2⌋'],
+  random: ['choosePivot(low, high) = случайный индекс из [low, high]'],
+  median3: [
+    'choosePivot(low, high) = median3(low, ⌊(low + high) / 2⌋, high)',
+    '',
+    ...MEDIAN3
+  ],
+  ninther: [
+    'choosePivot(low, high):',
+    '  e = ⌊(high - low + 1) / 8⌋, mid = ⌊(low + high) / 2⌋',
+    '  return median3(median3(low, low + e, low + 2e),',
+    '                 median3(mid - e, mid, mid + e),',
+    '                 median3(high - 2e, high - e, high))',
+    '',
+    ...MEDIAN3
+  ]
+};
+
+// Быстрая сортировка со схемой разбиения scheme (PARTITION_SCHEMES в sorts.js)
+const QUICK_SCHEMES = {
+  lomuto: [
+    'quickSort(low, high):',
+    '  if low < high',
+    ['pivot-move', '    swap(a[choosePivot(low, high)], a[high])'],
+    '    p = partition(low, high)',
+    '    quickSort(low, p - 1)',
+    '    quickSort(p + 1, high)',
+    '',
+    ...LOMUTO
+  ],
+  hoare: [
+    'quickSort(low, high):',
+    '  if low < high',
+    ['pivot-move', '    swap(a[choosePivot(low, high)], a[low])'],
+    '    p = partition(low, high)',
+    '    quickSort(low, p)',
+    '    quickSort(p + 1, high)',
+    '',
+    'partition(low, high):',
+    '  pivot = a[low]',
+    '  i = low - 1, j = high + 1',
+    '  loop',
+    ['hoare-left', '    do i = i + 1 while a[i] < pivot'],
+    ['hoare-right', '    do j = j - 1 while a[j] > pivot'],
+    '    if i >= j: return j',
+    ['hoare-swap', '    swap(a[i], a[j])']
+  ],
+  'three-way': [
+    'quickSort(low, high):',
+    '  if low < high',
+    ['pivot-move', '    swap(a[choosePivot(low, high)], a[low])'],
+    '    pivot = a[low]',
+    '    lt = low, i = low + 1, gt = high',
+    '    while i <= gt',
+    ['three-way-compare', '      сравнить a[i] с pivot'],
+    ['three-way-less', '      меньше: swap(a[lt], a[i]); lt = lt + 1, i = i + 1'],
+    ['three-way-greater', '      больше: swap(a[i], a[gt]); gt = gt - 1'],
+    '      равно: i = i + 1',
+    '    quickSort(low, lt - 1)',
+    '    quickSort(gt + 1, high)'
+  ]
+};
+
+// Промежутки сортировки Шелла по последовательностям GAP_SEQUENCES (sorts.js)
+const GAP_LINES = {
+  shell: 'gaps = ⌊n / 2⌋, ⌊n / 4⌋, ..., 1',
+  hibbard: 'gaps = 2ᵏ - 1 < n: ..., 15, 7, 3, 1',
+  sedgewick: 'gaps = 4ᵏ + 3 · 2ᵏ⁻¹ + 1 < n: ..., 77, 23, 8, 1',
+  pratt: 'gaps = все 2ᵖ · 3ᵠ < n по убыванию: ..., 6, 4, 3, 2, 1',
+  ciura: 'gaps = ..., 701, 301, 132, 57, 23, 10, 4, 1 (дальше ×2,25)',
+  tokuda: 'gaps = ⌈hₖ⌉ < n, hₖ = 2,25 · hₖ₋₁ + 1: ..., 20, 9, 4, 1'
+};
+
+// Листинг алгоритма с учетом его параметров (см. ALGORITHM_PARAMS в sorts.js).
+// Быстрая сортировка собирается из схемы разбиения и правила выбора опорного,
+// сортировка Шелла - из последовательности промежутков; с параметрами
+// по умолчанию это тот же листинг, что в PSEUDOCODE.
+export const pseudocodeFor = (algorithm, params = {}) => {
+  if (algorithm === 'QUICK') {
+    const { pivot = 'last', partition = 'lomuto' } = params;
+    if (pivot === 'last' && partition === 'lomuto') return PSEUDOCODE.QUICK;
+    return [...QUICK_SCHEMES[partition], '', ...PIVOT_LINES[pivot]];
+  }
+  if (algorithm === 'SHELL' && GAP_LINES[params.gaps]) {
+    return [
+      GAP_LINES[params.gaps],
+      'for gap in gaps',
+      ...GAP_INSERTION
+    ];
+  }
+  return PSEUDOCODE[algorithm];
+};
@@ -0,0 +1,19 @@
+import { PSEUDOCODE } from './pseudocode';
+import { SORTS, runSort } from './sorts';
+import { isMarkOp } from './ops';
+
+// Метки строк листинга
+const labelsOf = (listing) => new Set(listing.filter(Array.isArray).map(([label]) => label));
+
+const input = [38, 5, 71, 5, 12, 90, 44, 3, 27, 61, 18, 5, 77, 2, 50, 33, 9, 64, 21, 70, 1, 99];
+
+// Отметки (см. ops.js) не выполняются строками листинга
+test.each(Object.keys(SORTS))('каждая операция %s подсвечивает строку своего листинга', (algorithm) => {
+  const labels = labelsOf(PSEUDOCODE[algorithm]);
+  const lines = new Set(runSort(algorithm, input).ops
+    .filter(op => !isMarkOp(op))
+    .map(op => op.line));
+
+  expect(lines.has(undefined)).toBe(false);
+  lines.forEach(line => expect(labels).toContain(line));
+});
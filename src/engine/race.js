@@ -0,0 +1,89 @@
+import { createClock } from './clock';
+import { createPlayer } from './player';
+import { createSortStream } from './sorts';
+
+// Гонка алгоритмов: несколько проигрывателей на одном входном массиве и
+// общих часах. Каждый такт продвигает все незавершенные дорожки на одну
+// операцию, поэтому дорожки идут вровень по числу операций, а порядок финиша
+// показывает, кому понадобилось меньше шагов.
+// onFrame вызывается один раз за кадр для всей гонки.
+// sortOptions передаются каждому алгоритму (ключ сортировки, см. createTracer).
+// Отметки в гонке отключены: дорожки идут вровень только по операциям
+// над массивом.
+export function createRace({
+  input,
+  algorithms,
+  sortOptions,
+  speed = 50,
+  onFrame = () => {},
+  onFinish = () => {}
+}) {
+  let finished = 0;
+
+  const lanes = algorithms.map(algorithm => {
+    const lane = { algorithm, place: null, finishedAt: null };
+    lane.player = createPlayer({
+      input,
+      stream: createSortStream(algorithm, input, { ...sortOptions, marks: false }).stream,
+      onFinish: () => {
+        finished++;
+        lane.place = finished;
+        lane.finishedAt = clock.elapsed;
+      }
+    });
+    return lane;
+  });
+
+  const isDone = () => finished === lanes.length;
+
+  const clock = createClock({
+    speed,
+    onTick: (count) => {
+      lanes.forEach(({ player, place }) => {
+        if (place === null) player.seek(player.step + count);
+      });
+      onFrame(race);
+
+      if (isDone()) {
+        onFinish(race);
+        return false;
+      }
+      return true;
+    }
+  });
+
+  const race = {
+    get lanes() {
+      return lanes;
+    },
+    // Время гонки в миллисекундах (паузы не учитываются)
+    get elapsed() {
+      return clock.elapsed;
+    },
+    get isPlaying() {
+      return clock.isRunning;
+    },
+    get isDone() {
+      return isDone();
+    },
+
+    play() {
+      if (!isDone()) clock.start();
+    },
+
+    pause() {
+      clock.stop();
+    },
+
+    setSpeed(newSpeed) {
+      clock.setSpeed(newSpeed);
+    },
+
+    destroy() {
+      clock.stop();
+      lanes.forEach(({ player }) => player.destroy());
+    }
+  };
+
+  return race;
+}
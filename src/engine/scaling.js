@@ -0,0 +1,63 @@
+import { runBenchmark } from './benchmark';
+import { generateArray } from './presets';
+
+// Размеры массивов от from до to включительно: steps значений
+// с равным шагом (linear) или равным отношением (geometric)
+export function sizeRange({ from, to, steps, scale = 'geometric' }) {
+  const count = Math.max(2, steps);
+  const sizes = [];
+
+  for (let i = 0; i < count; i++) {
+    const t = i / (count - 1);
+    const size = scale === 'linear'
+      ? from + (to - from) * t
+      : from * Math.pow(to / from, t);
+    sizes.push(Math.round(size));
+  }
+
+  return [...new Set(sizes)];
+}
+
+// Эксперимент масштабирования: замеры runBenchmark для каждого набора данных
+// и размера (ordering и params - как в runBenchmark). Прогрев выполняется один раз,
+// перед первым замером.
+// Возвращает точки { algorithm, preset, n, comparisons, swaps, writes, time },
+// где time - медиана в миллисекундах.
+// onProgress(done, total) вызывается после каждого прогона.
+export function runScaling({
+  algorithms,
+  sizes,
+  presets,
+  ordering,
+  params = {},
+  warmup = 1,
+  trials = 1,
+  onProgress = () => {}
+}) {
+  const total = algorithms.length * (warmup + trials * sizes.length * presets.length);
+  let offset = 0;
+  const points = [];
+
+  presets.forEach(preset => {
+    sizes.forEach(n => {
+      const batchWarmup = offset === 0 ? warmup : 0;
+      const results = runBenchmark({
+        algorithms,
+        input: generateArray(preset, n),
+        preset,
+        ordering,
+        params,
+        warmup: batchWarmup,
+        trials,
+        onProgress: done => onProgress(offset + done, total)
+      });
+      offset += algorithms.length * (batchWarmup + trials);
+
+      results.forEach(({ algorithm, comparisons, swaps, writes, time }) => {
+        points.push({ algorithm, preset, n, comparisons, swaps, writes, time: time.median });
+      });
+    });
+  });
+
+  return points;
+}
@@ -0,0 +1,153 @@
+import { createTracer } from './tracer';
+import {
+  bubbleSort,
+  selectionSort,
+  insertionSort,
+  mergeSort,
+  quickSort,
+  heapSort,
+  countingSort,
+  bucketSort,
+  radixSort,
+  shellSort,
+  timSort,
+  cocktailShakerSort,
+  combSort,
+  gnomeSort,
+  oddEvenSort,
+  introSort,
+  dualPivotQuickSort,
+  pdqSort
+} from './algorithms';
+
+// Реализации алгоритмов по ключам ALGORITHMS
+export const SORTS = {
+  BUBBLE: bubbleSort,
+  SELECTION: selectionSort,
+  INSERTION: insertionSort,
+  MERGE: mergeSort,
+  QUICK: quickSort,
+  HEAP: heapSort,
+  COUNTING: countingSort,
+  BUCKET: bucketSort,
+  RADIX: radixSort,
+  SHELL: shellSort,
+  TIM: timSort,
+  COCKTAIL: cocktailShakerSort,
+  COMB: combSort,
+  GNOME: gnomeSort,
+  ODD_EVEN: oddEvenSort,
+  INTRO: introSort,
+  DUAL_PIVOT: dualPivotQuickSort,
+  PDQ: pdqSort
+};
+
+// Настраиваемые параметры алгоритмов и их значения по умолчанию
+// (shrink - во сколько раз уменьшается промежуток сортировки расческой,
+// pivot и partition - правило выбора опорного и схема разбиения быстрой сортировки,
+// gaps - последовательность промежутков сортировки Шелла)
+export const ALGORITHM_PARAMS = {
+  QUICK: { pivot: 'last', partition: 'lomuto' },
+  SHELL: { gaps: 'knuth' },
+  COMB: { shrink: 1.3 }
+};
+
+// Правила выбора опорного элемента быстрой сортировки
+export const PIVOT_RULES = {
+  last: 'Последний',
+  first: 'Первый',
+  middle: 'Средний',
+  random: 'Случайный',
+  median3: 'Медиана трех',
+  ninther: 'Медиана девяти (ninther)'
+};
+
+// Последовательности промежутков сортировки Шелла
+export const GAP_SEQUENCES = {
+  shell: 'Шелл (n/2, n/4, …)',
+  hibbard: 'Хиббард (2ᵏ - 1)',
+  knuth: 'Кнут (3h + 1)',
+  sedgewick: 'Седжвик (4ᵏ + 3·2ᵏ⁻¹ + 1)',
+  pratt: 'Пратт (2ᵖ·3ᵠ)',
+  ciura: 'Циура',
+  tokuda: 'Токуда'
+};
+
+// Схемы разбиения быстрой сортировки
+export const PARTITION_SCHEMES = {
+  lomuto: 'Ломуто',
+  hoare: 'Хоара',
+  'three-way': 'Трехчастное (флаг Нидерландов)'
+};
+
+// Теоретическая сложность алгоритмов: average - в среднем случае (с ней
+// сравнивается эмпирическая оценка), worst - в худшем, если отличается
+// или важна, best - на упорядоченных данных, если меньше средней
+export const ALGORITHM_COMPLEXITY = {
+  BUBBLE: { average: 'O(n²)' },
+  SELECTION: { average: 'O(n²)' },
+  INSERTION: { average: 'O(n²)' },
+  MERGE: { average: 'O(n log n)' },
+  QUICK: { average: 'O(n log n)', worst: 'O(n²)' },
+  HEAP: { average: 'O(n log n)' },
+  COUNTING: { average: 'O(n+k)', note: 'где k - диапазон значений' },
+  BUCKET: { average: 'O(n+k)', worst: 'O(n²)' },
+  RADIX: { average: 'O(nk)', note: 'где k - количество разрядов' },
+  SHELL: { average: 'O(n log² n)', note: 'зависит от последовательности промежутков' },
+  TIM: { average: 'O(n log n)', best: 'O(n)' },
+  COCKTAIL: { average: 'O(n²)' },
+  COMB: { average: 'O(n log n)', worst: 'O(n²)' },
+  GNOME: { average: 'O(n²)' },
+  ODD_EVEN: { average: 'O(n²)' },
+  INTRO: { average: 'O(n log n)', worst: 'O(n log n)' },
+  DUAL_PIVOT: { average: 'O(n log n)', worst: 'O(n²)' },
+  PDQ: { average: 'O(n log n)', worst: 'O(n log n)', best: 'O(n)' }
+};
+
+// Сложность алгоритма одной фразой, например
+// «в среднем O(n log n), худший случай O(n²)»
+export function describeComplexity(algorithm) {
+  const { average, worst, best, note } = ALGORITHM_COMPLEXITY[algorithm];
+  let text = average;
+  if (worst === average) text = `${average} в худшем случае`;
+  else if (worst) text = `в среднем ${average}, худший случай ${worst}`;
+  if (best) text += `, ${best} на упорядоченных данных`;
+  if (note) text += `, ${note}`;
+  return text;
+}
+
+// Ленивый запуск алгоритма на копии входного массива.
+// stream - генератор операций: каждая операция вычисляется только при запросе,
+// stream.return() прерывает алгоритм. stats и values отражают уже выданную часть.
+// options передаются инструментированному массиву (key - ключ сортировки,
+// marks - выдавать ли отметки для отображения), params - параметры алгоритмов
+// поверх ALGORITHM_PARAMS; алгоритм получает только свои параметры.
+export function createSortStream(algorithm, input, { params = {}, ...options } = {}) {
+  const sort = SORTS[algorithm] || SORTS.BUBBLE;
+  const tracer = createTracer(input, options);
+  const defaults = ALGORITHM_PARAMS[algorithm] || {};
+  const own = Object.fromEntries(Object.keys(defaults).map(name => [name, params[name] ?? defaults[name]]));
+
+  return {
+    stream: sort(tracer, own),
+    stats: tracer.stats,
+    values: tracer.values
+  };
+}
+
+// Полный прогон алгоритма. Возвращает трассу операций (если trace не отключен),
+// метрики и результат. Без трассы отметки не выдаются.
+export function runSort(algorithm, input, { trace = true, ...options } = {}) {
+  const { stream, stats, values } = createSortStream(algorithm, input, { marks: trace, ...options });
+  const ops = [];
+
+  for (const op of stream) {
+    if (trace) ops.push(op);
+  }
+
+  return {
+    ops,
+    stats,
+    output: values
+  };
+}
@@ -0,0 +1,407 @@
+import {
+  SORTS,
+  PIVOT_RULES,
+  PARTITION_SCHEMES,
+  GAP_SEQUENCES,
+  createSortStream,
+  runSort,
+  applyOp,
+  countOp,
+  createStats,
+  createSortKey,
+  OP_TYPES
+} from '.';
+
+// Воспроизводимые случайные целые от 0 до max (генератор mulberry32)
+const randomInts = (length, max, seed = 42) => Array.from({ length }, () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return Math.floor((((t ^ (t >>> 14)) >>> 0) / 4294967296) * (max + 1));
+});
+
+const INPUTS = {
+  'пустой': [],
+  'из одного элемента': [7],
+  'случайный': randomInts(200, 1000),
+  'с повторами': randomInts(200, 5),
+  'отсортированный': Array.from({ length: 100 }, (_, i) => i * 3),
+  'обратный': Array.from({ length: 100 }, (_, i) => 300 - i * 3),
+  'из равных': Array(50).fill(9)
+};
+
+const ascending = (x, y) => x - y;
+
+describe.each(Object.keys(SORTS))('%s', (algorithm) => {
+  test.each(Object.keys(INPUTS))('сортирует %s массив как Array.prototype.sort', (name) => {
+    const input = INPUTS[name];
+    expect(runSort(algorithm, input).output).toEqual([...input].sort(ascending));
+  });
+
+  test('не изменяет входной массив', () => {
+    const input = [...INPUTS['случайный']];
+    runSort(algorithm, input);
+    expect(input).toEqual(INPUTS['случайный']);
+  });
+
+  // Трасса - единственный источник и анимации, и метрик
+  test('трасса воспроизводит результат и счетчики', () => {
+    const input = INPUTS['случайный'];
+    const { ops, stats, output } = runSort(algorithm, input);
+    const values = [...input];
+    const replayed = createStats();
+    ops.forEach(op => {
+      applyOp(values, op);
+      countOp(replayed, op);
+    });
+    expect(values).toEqual(output);
+    expect(replayed).toEqual(stats);
+  });
+
+  test('без трассы дает те же счетчики', () => {
+    const input = INPUTS['случайный'];
+    const untraced = runSort(algorithm, input, { trace: false });
+    expect(untraced.ops).toEqual([]);
+    expect(untraced.stats).toEqual(runSort(algorithm, input).stats);
+  });
+});
+
+describe('createSortStream', () => {
+  const input = INPUTS['случайный'];
+
+  test('вычисляет операции только по запросу', () => {
+    const { stream, stats, values } = createSortStream('QUICK', input);
+    const expected = runSort('QUICK', input).ops.slice(0, 5);
+    const taken = [];
+    for (let i = 0; i < 5; i++) taken.push(stream.next().value);
+
+    expect(taken).toEqual(expected);
+    const partial = createStats();
+    expected.forEach(op => countOp(partial, op));
+    expect(stats).toEqual(partial);
+
+    const replayed = [...input];
+    expected.forEach(op => applyOp(replayed, op));
+    expect(values).toEqual(replayed);
+  });
+
+  test('return() прерывает алгоритм', () => {
+    const { stream, stats } = createSortStream('MERGE', input);
+    const taken = [stream.next().value, stream.next().value];
+    expect(stream.return().done).toBe(true);
+    expect(stream.next().done).toBe(true);
+
+    const partial = createStats();
+    taken.forEach(op => countOp(partial, op));
+    expect(stats).toEqual(partial);
+  });
+});
+
+// Значения сохраняются как есть: сортировки без сравнений работают
+// с отрицательными и дробными числами через целочисленные ключи
+describe('исходные значения', () => {
+  const input = [3.5, -2, 0, 17, -2, 0.25, 100, -0.75, 3.5, 8, 1e-3, -40];
+
+  test.each(Object.keys(SORTS))('%s сортирует отрицательные и дробные числа', (algorithm) => {
+    expect(runSort(algorithm, input).output).toEqual([...input].sort(ascending));
+  });
+
+  test.each(['COUNTING', 'RADIX'])('%s раскладывает исходные значения устойчиво', (algorithm) => {
+    // -0 и 0 равны как ключи, но различимы: порядок между ними сохраняется
+    const { output } = runSort(algorithm, [0, 5, -0, 2, 0]);
+    expect(output.map(value => Object.is(value, -0))).toEqual([false, true, false, false, false]);
+  });
+});
+
+describe('сортировки без сравнений на дробных ключах', () => {
+  // Длинные дробные хвосты раньше раздували массив счетчиков до 10^d элементов
+  const inputs = [
+    [0.123456, 5000, 2],
+    [0.1 + 0.2, 1],
+    [1e-7, 5],
+    [3, -0.5, 2.25, 1e-9, 3, -0.5],
+    [0.1 + 0.2, 0.3, -1e300, 1e-300, 0, -0.5, 1e300]
+  ];
+
+  test.each(['COUNTING', 'RADIX', 'BUCKET'])('%s сортирует, не выделяя огромный массив', (algorithm) => {
+    inputs.forEach(input => {
+      const { output } = runSort(algorithm, input, { trace: false });
+      expect(output).toEqual([...input].sort(ascending));
+    });
+  });
+});
+
+describe('целочисленные ключи сортировок без сравнений', () => {
+  const input = randomInts(30, 1000);
+
+  // Снимок массива в начале каждого прохода поразрядной сортировки
+  const radixPasses = (values) => {
+    const { ops, output } = runSort('RADIX', values);
+    const replayed = [...values];
+    const passes = [];
+    ops.forEach(op => {
+      if (op.type === OP_TYPES.PHASE && op.label.startsWith('Проход')) passes.push({ label: op.label, values: [...replayed] });
+      applyOp(replayed, op);
+    });
+    return { passes, output };
+  };
+
+  test('поразрядная сортировка раскладывает значения по их собственным цифрам', () => {
+    const { passes, output } = radixPasses(input);
+    const digits = String(Math.max(...input)).length;
+    expect(passes.map(pass => pass.label)).toEqual(
+      Array.from({ length: digits }, (_, i) => `Проход по разряду ${10 ** i}`)
+    );
+
+    // После прохода по разряду exp значения упорядочены по младшим разрядам до exp
+    [...passes.slice(1).map(pass => pass.values), output].forEach((values, i) => {
+      const tail = values.map(value => value % 10 ** (i + 1));
+      expect(tail).toEqual([...tail].sort(ascending));
+    });
+  });
+
+  test('поразрядная сортировка дробных значений идет по цифрам после запятой', () => {
+    const { passes } = radixPasses([0.25, 1.5, 0.75, 2]);
+    expect(passes.map(pass => pass.label)).toEqual(['Проход по разряду 1', 'Проход по разряду 10', 'Проход по разряду 100']);
+  });
+
+  // Наибольший ключ виден в снимке переменных записи результата
+  const countingMaxKey = (values) => runSort('COUNTING', values).ops.find(op => op.line === 'write').vars.values.maxKey;
+
+  test('сортировка подсчетом считает по диапазону значений', () => {
+    expect(countingMaxKey(input)).toBe(Math.max(...input) - Math.min(...input));
+    expect(countingMaxKey([2.5, -1, 0.75])).toBe(350);
+  });
+
+  test('сортировка подсчетом переходит на ранги, только если массив счетчиков слишком велик', () => {
+    expect(countingMaxKey([1e-7, 5, 5, 3])).toBe(2);
+    expect(countingMaxKey([0.1 + 0.2, 1])).toBe(1);
+  });
+});
+
+describe('ключ и направление сортировки', () => {
+  const input = [-25, 7, 14, -3, 0, 19, -7, 3, 41, -14, 70, 5];
+  const sortedBy = (key) => [...input].sort((x, y) => key(x) - key(y)).map(key);
+
+  test.each(Object.keys(SORTS))('%s сортирует по модулю и по сумме цифр по убыванию', (algorithm) => {
+    [{ preset: 'ABS' }, { preset: 'DIGIT_SUM', order: 'desc' }].forEach(options => {
+      const key = createSortKey(options);
+      expect(runSort(algorithm, input, { key }).output.map(key)).toEqual(sortedBy(key));
+    });
+  });
+});
+
+describe('обменные сортировки соседних элементов', () => {
+  const ADJACENT = ['BUBBLE', 'COCKTAIL', 'GNOME', 'ODD_EVEN'];
+  const input = INPUTS['случайный'];
+
+  // Число пар, стоящих в обратном порядке
+  const inversions = input.reduce((count, x, i) => count + input.slice(i + 1).filter(y => y < x).length, 0);
+
+  test.each(ADJACENT)('%s делает ровно столько обменов, сколько инверсий', (algorithm) => {
+    expect(runSort(algorithm, input, { trace: false }).stats.swaps).toBe(inversions);
+  });
+
+  test.each(['COCKTAIL', 'GNOME', 'ODD_EVEN'])('%s проходит отсортированный массив за n - 1 сравнений', (algorithm) => {
+    const sorted = INPUTS['отсортированный'];
+    expect(runSort(algorithm, sorted, { trace: false }).stats).toMatchObject({ comparisons: sorted.length - 1, swaps: 0 });
+  });
+});
+
+describe('сортировка расческой', () => {
+  const input = randomInts(100, 1000);
+
+  // Промежутки проходов по названиям этапов
+  const gapsOf = (shrink) => runSort('COMB', input, { params: { shrink } }).ops
+    .filter(op => op.type === OP_TYPES.PHASE)
+    .map(op => Number(op.label.replace('Промежуток ', '')));
+
+  test('промежуток уменьшается в shrink раз до 1', () => {
+    expect(gapsOf(2).slice(0, 7)).toEqual([50, 25, 12, 6, 3, 1, 1]);
+    expect(gapsOf(1.3).slice(0, 4)).toEqual([76, 58, 44, 33]);
+  });
+
+  test('при shrink, близком к 1, промежуток все равно уменьшается', () => {
+    expect(gapsOf(1.05).slice(0, 3)).toEqual([95, 90, 85]);
+  });
+
+  test.each([1.05, 1.3, 2, 3])('сортирует с shrink = %s', (shrink) => {
+    expect(runSort('COMB', input, { params: { shrink } }).output).toEqual([...input].sort(ascending));
+  });
+
+  test('параметры расчески не влияют на другие алгоритмы', () => {
+    expect(runSort('MERGE', input, { params: { shrink: 3 } }).ops).toEqual(runSort('MERGE', input).ops);
+  });
+});
+
+describe('гибридные быстрые сортировки', () => {
+  // Стратегии, которые алгоритм выбирал по ходу сортировки
+  const strategiesOf = (algorithm, input) => new Set(runSort(algorithm, input).ops
+    .filter(op => op.type === OP_TYPES.STRATEGY)
+    .map(op => op.label));
+
+  test('introsort переходит на пирамидальную сортировку, когда разбиения вырождаются', () => {
+    // Равные элементы разбиение Ломуто отправляет в одну часть
+    const input = Array(300).fill(7);
+    expect(strategiesOf('INTRO', input)).toContain('Пирамидальная сортировка');
+    expect(runSort('INTRO', input, { trace: false }).stats.maxDepth).toBeLessThanOrEqual(2 * Math.floor(Math.log2(300)) + 1);
+  });
+
+  test('introsort на случайных данных обходится быстрой сортировкой и вставками', () => {
+    expect([...strategiesOf('INTRO', INPUTS['случайный'])].sort()).toEqual(['Быстрая сортировка', 'Сортировка вставками']);
+  });
+
+  test('pdqsort проходит отсортированный массив за линейное число сравнений', () => {
+    const sorted = Array.from({ length: 2000 }, (_, i) => i);
+    const { comparisons, swaps } = runSort('PDQ', sorted, { trace: false }).stats;
+    expect(comparisons).toBeLessThan(3 * sorted.length);
+    expect(swaps).toBeLessThan(10);
+  });
+
+  test('pdqsort разбивает равные элементы отдельно и остается линейным', () => {
+    const input = Array(2000).fill(7);
+    expect(strategiesOf('PDQ', input)).toContain('Разбиение равных элементов');
+    expect(runSort('PDQ', input, { trace: false }).stats.comparisons).toBeLessThan(3 * input.length);
+  });
+
+  test('быстрая сортировка с двумя опорными отмечает пары p <= q', () => {
+    const { ops } = runSort('DUAL_PIVOT', INPUTS['случайный']);
+    const values = [...INPUTS['случайный']];
+    let pairs = 0;
+    ops.forEach(op => {
+      applyOp(values, op);
+      if (op.type !== OP_TYPES.PIVOT || op.indices.length !== 2) return;
+      pairs++;
+      const [p, q] = op.indices;
+      expect(p).toBeLessThan(q);
+      expect(values[p]).toBeLessThanOrEqual(values[q]);
+    });
+    expect(pairs).toBeGreaterThan(0);
+  });
+});
+
+describe('быстрая сортировка: опорный элемент и схема разбиения', () => {
+  const quick = (input, params) => runSort('QUICK', input, { trace: false, params });
+
+  test.each(Object.keys(PIVOT_RULES))('опорный %s сортирует при любой схеме разбиения', (pivot) => {
+    Object.keys(PARTITION_SCHEMES).forEach(partition => {
+      Object.values(INPUTS).forEach(input => {
+        expect(quick(input, { pivot, partition }).output).toEqual([...input].sort(ascending));
+      });
+    });
+  });
+
+  test('медиана трех не вырождается на отсортированном массиве, последний - вырождается', () => {
+    const sorted = Array.from({ length: 256 }, (_, i) => i);
+    expect(quick(sorted, { pivot: 'median3' }).stats.maxDepth).toBeLessThanOrEqual(2 * Math.log2(256));
+    expect(quick(sorted, { pivot: 'last' }).stats.maxDepth).toBe(256);
+  });
+
+  test('трехчастное разбиение сортирует равные элементы за один проход', () => {
+    const equal = Array(256).fill(7);
+    expect(quick(equal, { partition: 'three-way' }).stats).toMatchObject({ comparisons: 255, maxDepth: 2 });
+    expect(quick(equal, { partition: 'lomuto' }).stats.comparisons).toBeGreaterThan(256 * 255 / 4);
+  });
+
+  test('разбиение Хоара переставляет меньше, чем Ломуто', () => {
+    const input = INPUTS['случайный'];
+    expect(quick(input, { partition: 'hoare' }).stats.swaps).toBeLessThan(quick(input, { partition: 'lomuto' }).stats.swaps);
+  });
+
+  test('случайный опорный берется из Math.random', () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    quick(INPUTS['случайный'], { pivot: 'random' });
+    expect(random).toHaveBeenCalled();
+    random.mockRestore();
+  });
+});
+
+describe('сортировка Шелла: последовательности промежутков', () => {
+  // Промежутки, с которыми сортировка прошла массив длины n
+  const gapsOf = (n, params) => runSort('SHELL', Array.from({ length: n }, (_, i) => i), { params }).ops
+    .filter(op => op.type === OP_TYPES.GAP)
+    .map(op => op.gap);
+
+  // Начала последовательностей по OEIS - все члены меньше 2000
+  test.each([
+    ['hibbard', [1, 3, 7, 15, 31, 63, 127, 255, 511, 1023]], // A000225
+    ['knuth', [1, 4, 13, 40, 121, 364, 1093]], // A003462
+    ['sedgewick', [1, 8, 23, 77, 281, 1073]], // A033622
+    ['ciura', [1, 4, 10, 23, 57, 132, 301, 701, 1750]], // A102549
+    ['tokuda', [1, 4, 9, 20, 46, 103, 233, 525, 1182]] // A108870
+  ])('%s', (gaps, expected) => {
+    expect(gapsOf(2000, { gaps })).toEqual([...expected].reverse());
+  });
+
+  test('pratt - 3-гладкие числа меньше n по убыванию (A003586)', () => {
+    const smooth = [1, 2, 3, 4, 6, 8, 9, 12, 16, 18, 24, 27, 32, 36, 48, 54, 64, 72, 81, 96];
+    expect(gapsOf(100, { gaps: 'pratt' })).toEqual([...smooth].reverse());
+  });
+
+  test('shell - деление n пополам', () => {
+    expect(gapsOf(2000, { gaps: 'shell' })).toEqual([1000, 500, 250, 125, 62, 31, 15, 7, 3, 1]);
+  });
+
+  test('по умолчанию - последовательность Кнута', () => {
+    expect(gapsOf(2000)).toEqual(gapsOf(2000, { gaps: 'knuth' }));
+  });
+
+  test.each(Object.keys(GAP_SEQUENCES))('сортирует с последовательностью %s', (gaps) => {
+    Object.values(INPUTS).forEach(input => {
+      expect(runSort('SHELL', input, { trace: false, params: { gaps } }).output).toEqual([...input].sort(ascending));
+    });
+  });
+});
+
+describe('Timsort', () => {
+  const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+  const runsStates = (input) => {
+    const states = [];
+    runSort('TIM', input).ops.forEach(op => {
+      if (op.type === OP_TYPES.RUNS) states.push(op.runs.map(([from, to]) => to - from + 1));
+      if (op.type === OP_TYPES.PHASE && op.label.startsWith('Поиск серии')) states.push('поиск');
+    });
+    return states;
+  };
+
+  test('отсортированный массив - одна естественная серия за n - 1 сравнений', () => {
+    const sorted = range(0, 1000);
+    expect(runSort('TIM', sorted, { trace: false }).stats).toMatchObject({ comparisons: 999, swaps: 0, writes: 0 });
+  });
+
+  test('строго убывающая серия разворачивается обменами', () => {
+    const reversed = range(0, 1000).reverse();
+    expect(runSort('TIM', reversed, { trace: false }).stats).toMatchObject({ comparisons: 999, swaps: 500, writes: 0 });
+  });
+
+  test('короткие серии дополняются до minrun', () => {
+    // minrun для 1000 элементов - 63: 1000 / 63 чуть меньше 16
+    const lengths = runsStates(randomInts(1000, 1000)).filter(state => state !== 'поиск').map(state => state[state.length - 1]);
+    expect(lengths[0]).toBe(63);
+  });
+
+  test('перед поиском следующей серии стек соблюдает инварианты', () => {
+    const states = runsStates(randomInts(3000, 100000));
+    let checked = 0;
+    states.forEach((state, index) => {
+      if (state !== 'поиск' || index === 0) return;
+      const lengths = states.slice(0, index).filter(previous => previous !== 'поиск').pop();
+      lengths.forEach((length, i) => {
+        if (i + 1 < lengths.length) expect(length).toBeGreaterThan(lengths[i + 1]);
+        if (i + 2 < lengths.length) expect(length).toBeGreaterThan(lengths[i + 1] + lengths[i + 2]);
+      });
+      checked++;
+    });
+    expect(checked).toBeGreaterThan(10);
+  });
+
+  test('слияние переходит в режим галопа, когда одна серия выигрывает подряд', () => {
+    // Две серии, которые почти не перемежаются
+    const input = [...range(500, 1000), ...range(0, 500)];
+    const { ops, output } = runSort('TIM', input);
+    expect(output).toEqual(range(0, 1000));
+    expect(ops.some(op => op.line && op.line.startsWith('gallop'))).toBe(true);
+    // Поиск двух серий - 998 сравнений, слияние галопом - логарифмическое число
+    expect(runSort('TIM', input, { trace: false }).stats.comparisons - 998).toBeLessThan(50);
+  });
+});
@@ -0,0 +1,71 @@
+// Режим записей: элемент - ключ сортировки и метка исходной позиции.
+// По меткам после сортировки видно, сохранил ли алгоритм порядок равных ключей.
+
+// Ключ сортировки записи (для createTracer / runSort)
+export const recordKey = (record) => record.key;
+
+// Записи из массива ключей; метка - исходная позиция (или заданная в tags)
+export const toRecords = (keys, tags = null) => keys.map((key, index) => ({
+  key,
+  tag: tags ? tags[index] : index
+}));
+
+// Пары записей с равными ключами, порядок которых изменился.
+// keyOf - ключ сортировки записи (например, модуль значения).
+// Возвращает число таких пар, позиции записей, входящих хотя бы в одну
+// из них, и вердикт isStable. Пары считаются слиянием (O(n log n)), поэтому
+// проверка быстрая даже для больших групп повторяющихся ключей.
+export function findStabilityViolations(records, keyOf = recordKey) {
+  // Группы равных ключей в порядке результата
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  let pairs = 0;
+  const indices = [];
+
+  groups.forEach(positions => {
+    const tags = positions.map(index => records[index].tag);
+    pairs += countInversions([...tags]);
+
+    // Запись нарушена, если до нее есть метка больше или после нее - меньше
+    const suffixMin = Array(tags.length);
+    for (let i = tags.length - 1, min = Infinity; i >= 0; i--) {
+      suffixMin[i] = min;
+      min = Math.min(min, tags[i]);
+    }
+    for (let i = 0, max = -Infinity; i < tags.length; i++) {
+      if (max > tags[i] || suffixMin[i] < tags[i]) indices.push(positions[i]);
+      max = Math.max(max, tags[i]);
+    }
+  });
+
+  return { isStable: pairs === 0, pairs, indices: indices.sort((a, b) => a - b) };
+}
+
+// Число инверсий в массиве (сортировкой слиянием; массив упорядочивается на месте)
+function countInversions(items) {
+  if (items.length < 2) return 0;
+
+  const mid = Math.floor(items.length / 2);
+  const left = items.slice(0, mid);
+  const right = items.slice(mid);
+  let count = countInversions(left) + countInversions(right);
+
+  let i = 0, j = 0, k = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] <= right[j]) {
+      items[k++] = left[i++];
+    } else {
+      count += left.length - i;
+      items[k++] = right[j++];
+    }
+  }
+  while (i < left.length) items[k++] = left[i++];
+  while (j < right.length) items[k++] = right[j++];
+
+  return count;
+}
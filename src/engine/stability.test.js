@@ -0,0 +1,57 @@
+import { findStabilityViolations, recordKey, toRecords } from './stability';
+import { SORTS, runSort } from './sorts';
+
+// Записи из пар [ключ, метка]
+const records = (pairs) => pairs.map(([key, tag]) => ({ key, tag }));
+
+describe('findStabilityViolations', () => {
+  test('равные ключи в исходном порядке - устойчиво', () => {
+    const result = findStabilityViolations(records([[1, 0], [1, 2], [2, 1], [3, 3], [3, 4]]));
+    expect(result).toEqual({ isStable: true, pairs: 0, indices: [] });
+  });
+
+  test('считает пары и отмечает нарушенные записи', () => {
+    // Группа ключа 5: метки 2, 0, 1 - две пары в обратном порядке, нарушены все три записи;
+    // группа ключа 7 в порядке
+    const result = findStabilityViolations(records([[5, 2], [5, 0], [5, 1], [7, 3], [7, 4]]));
+    expect(result).toEqual({ isStable: false, pairs: 2, indices: [0, 1, 2] });
+  });
+
+  test('не отмечает записи, которые стоят верно относительно всей группы', () => {
+    const result = findStabilityViolations(records([[1, 0], [1, 2], [1, 1], [1, 3]]));
+    expect(result).toEqual({ isStable: false, pairs: 1, indices: [1, 2] });
+  });
+
+  test('группирует записи по переданному ключу', () => {
+    const sorted = records([[-3, 1], [3, 0]]);
+    expect(findStabilityViolations(sorted, record => Math.abs(record.key)).isStable).toBe(false);
+    expect(findStabilityViolations(sorted).isStable).toBe(true);
+  });
+
+  test('toRecords берет метки из позиций или из tags', () => {
+    expect(toRecords([4, 2])).toEqual([{ key: 4, tag: 0 }, { key: 2, tag: 1 }]);
+    expect(toRecords([4, 2], [7, 9])).toEqual([{ key: 4, tag: 7 }, { key: 2, tag: 9 }]);
+  });
+});
+
+describe('устойчивость алгоритмов', () => {
+  const STABLE = ['BUBBLE', 'INSERTION', 'MERGE', 'COUNTING', 'BUCKET', 'RADIX', 'TIM', 'COCKTAIL', 'GNOME', 'ODD_EVEN'];
+  const UNSTABLE = Object.keys(SORTS).filter(algorithm => !STABLE.includes(algorithm));
+
+  // Много повторяющихся ключей в перемешанном порядке
+  const keys = Array.from({ length: 200 }, (_, index) => (index * 37) % 7);
+  const verdictOf = (algorithm) => findStabilityViolations(
+    runSort(algorithm, toRecords(keys), { trace: false, key: recordKey }).output
+  );
+
+  test.each(STABLE)('%s устойчива', (algorithm) => {
+    expect(verdictOf(algorithm)).toEqual({ isStable: true, pairs: 0, indices: [] });
+  });
+
+  test.each(UNSTABLE)('%s переставляет равные ключи', (algorithm) => {
+    const { isStable, pairs, indices } = verdictOf(algorithm);
+    expect(isStable).toBe(false);
+    expect(pairs).toBeGreaterThan(0);
+    expect(indices.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,24 @@
+// Описательная статистика по набору измерений
+
+// Медиана, среднее, минимум, максимум и стандартное отклонение
+// (выборочное, с поправкой Бесселя; для одного измерения - 0)
+export function summarize(samples) {
+  const n = samples.length;
+  if (n === 0) return { median: 0, mean: 0, min: 0, max: 0, stddev: 0 };
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const middle = Math.floor(n / 2);
+  const median = n % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const mean = samples.reduce((sum, x) => sum + x, 0) / n;
+  const variance = n > 1
+    ? samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n - 1)
+    : 0;
+
+  return {
+    median,
+    mean,
+    min: sorted[0],
+    max: sorted[n - 1],
+    stddev: Math.sqrt(variance)
+  };
+}
@@ -0,0 +1,136 @@
+import { OP_TYPES, applyOp, countOp, createStats } from './ops';
+
+// Сравнение по умолчанию: по возрастанию
+const defaultCompare = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+
+// Ключ по умолчанию: элемент сам является числом
+const identity = (value) => value;
+
+// Инструментированный массив, с которым работают алгоритмы движка.
+// Методы сравнения и изменения - генераторы: операция применяется к копии
+// входных данных, учитывается в статистике и отдается потребителю через yield.
+// Алгоритм вызывает их через yield*, поэтому трасса строится лениво,
+// по одной операции, а метрики и анимация не могут разойтись.
+// key извлекает числовой ключ сортировки из элемента (например, из записи):
+// сравнения и сортировки без сравнений работают с ключами, а в массиве
+// перемещаются сами элементы. compare, если задан, заменяет сравнение ключей
+// (составные компараторы строк таблицы); key при этом должен быть согласован
+// с ним - его используют сортировки без сравнений.
+// Последний необязательный аргумент методов - метка строки псевдокода
+// (см. pseudocode.js): она сохраняется в операции как line.
+// watch запоминает снимок именованного состояния алгоритма (индексы i, j,
+// low, high и прочие значения вроде pivot или gap): он прикладывается
+// к каждой следующей операции как vars, пока алгоритм не обновит снимок.
+// Отметки (markRange, markPivot, markFinal, markGap, markRuns, phase, strategy) нужны
+// только для отображения; с marks: false они не выдаются (замеры, гонка).
+// enter/leave отмечают рекурсивные вызовы: глубина рекурсии учитывается
+// в статистике всегда, а сами отметки - только вместе с остальными.
+export function createTracer(input, { key = identity, compare = null, marks = true } = {}) {
+  const values = [...input];
+  const stats = createStats();
+  let watched = null;
+
+  function* emit(op, line) {
+    if (line !== undefined) op.line = line;
+    if (watched) op.vars = watched;
+    applyOp(values, op);
+    countOp(stats, op);
+    yield op;
+  }
+
+  function* mark(op) {
+    if (marks) yield op;
+  }
+
+  return {
+    values,
+    stats,
+
+    get length() {
+      return values.length;
+    },
+
+    // Чтение значения без учета в статистике
+    get: (index) => values[index],
+
+    // Ключ сортировки элемента (без учета в статистике)
+    key,
+
+    // Снимок переменных алгоритма: indices - позиции в массиве (отмечаются
+    // на элементах), values - остальные значения
+    watch(indices, values = {}) {
+      watched = { indices, values };
+    },
+
+    // Сравнение двух значений, уже извлеченных алгоритмом (опорный элемент,
+    // ключ вставки, элементы временных массивов). indices - что подсветить.
+    *compareValues(x, y, indices, line) {
+      yield* emit({ type: OP_TYPES.COMPARE, indices }, line);
+      return compare ? compare(x, y) : defaultCompare(key(x), key(y));
+    },
+
+    // Сравнение элементов массива по индексам
+    *compare(i, j, line) {
+      return yield* this.compareValues(values[i], values[j], [i, j], line);
+    },
+
+    // Перестановка двух элементов
+    *swap(i, j, line) {
+      yield* emit({ type: OP_TYPES.SWAP, indices: [i, j] }, line);
+    },
+
+    // Запись значения в позицию (слияние, копирование из вспомогательного массива)
+    *set(index, value, line) {
+      yield* emit({ type: OP_TYPES.REPLACE, index, value }, line);
+    },
+
+    // Рабочий отрезок [from, to]; markRange(null) снимает отметку
+    *markRange(from, to) {
+      yield* mark({ type: OP_TYPES.RANGE, range: from === null ? null : [from, to] });
+    },
+
+    // Позиции опорных элементов; markPivot() без аргументов снимает отметку
+    *markPivot(...indices) {
+      yield* mark({ type: OP_TYPES.PIVOT, indices });
+    },
+
+    // Позиции, значения в которых уже окончательные
+    *markFinal(...indices) {
+      yield* mark({ type: OP_TYPES.FINAL, indices });
+    },
+
+    // Название текущего этапа алгоритма
+    *phase(label) {
+      yield* mark({ type: OP_TYPES.PHASE, label });
+    },
+
+    // Промежуток между сравниваемыми элементами; markGap(null) снимает отметку
+    *markGap(gap) {
+      yield* mark({ type: OP_TYPES.GAP, gap });
+    },
+
+    // Стек серий [[from, to], ...] от дна к вершине (Timsort)
+    *markRuns(runs) {
+      yield* mark({ type: OP_TYPES.RUNS, runs });
+    },
+
+    // Стратегия, которой гибридный алгоритм сортирует текущий отрезок
+    *strategy(label) {
+      yield* mark({ type: OP_TYPES.STRATEGY, label });
+    },
+
+    // Вход в рекурсивный вызов на отрезке [from, to]
+    *enter(from, to) {
+      const op = { type: OP_TYPES.CALL, range: [from, to] };
+      countOp(stats, op);
+      yield* mark(op);
+    },
+
+    // Выход из текущего рекурсивного вызова
+    *leave() {
+      const op = { type: OP_TYPES.RETURN };
+      countOp(stats, op);
+      yield* mark(op);
+    }
+  };
+}
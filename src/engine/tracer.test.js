@@ -0,0 +1,105 @@
+import { SORTS, createSortStream, runSort } from './sorts';
+import { OP_TYPES, isMarkOp, createMarks, applyMark, applyOp } from './ops';
+
+const input = [38, 5, 71, 5, 12, 90, 44, 3, 27, 61, 18, 5, 77, 2, 50, 33, 9, 64, 21, 70];
+
+describe.each(Object.keys(SORTS))('%s', (algorithm) => {
+  // Снимки переменных в момент выдачи каждой операции
+  const collect = () => {
+    const { stream } = createSortStream(algorithm, input);
+    const ops = [];
+    const seen = [];
+    for (const op of stream) {
+      ops.push(op);
+      seen.push(JSON.stringify(op.vars));
+    }
+    return { ops, seen };
+  };
+
+  test('снимок переменных прикладывается к операциям и не меняется задним числом', () => {
+    const { ops, seen } = collect();
+    expect(ops.some(op => op.vars)).toBe(true);
+    expect(ops.map(op => JSON.stringify(op.vars))).toEqual(seen);
+  });
+
+  test('индексы в снимке - позиции массива или соседние с ним', () => {
+    const { ops } = collect();
+    ops.filter(op => op.vars).forEach(({ vars }) => {
+      Object.values(vars.indices).forEach(index => {
+        expect(index).toBeGreaterThanOrEqual(-1);
+        expect(index).toBeLessThanOrEqual(input.length);
+      });
+    });
+  });
+});
+
+describe('отметки', () => {
+  test.each(Object.keys(SORTS))('%s: с marks: false трасса без отметок, остальное то же', (algorithm) => {
+    const marked = runSort(algorithm, input);
+    const plain = runSort(algorithm, input, { marks: false });
+    expect(plain.ops).toEqual(marked.ops.filter(op => !isMarkOp(op)));
+    expect(plain.stats).toEqual(marked.stats);
+  });
+
+  // Гибридные алгоритмы сортируют короткие отрезки вставками, поэтому вход длиннее
+  test.each(['QUICK', 'INTRO', 'DUAL_PIVOT', 'PDQ'])('опорные элементы %s лежат в рабочем отрезке', (algorithm) => {
+    const marks = createMarks();
+    let pivots = 0;
+    runSort(algorithm, Array.from({ length: 200 }, (_, index) => (index * 37) % 101)).ops.filter(isMarkOp).forEach(op => {
+      applyMark(marks, op);
+      if (op.type !== OP_TYPES.PIVOT) return;
+      op.indices.forEach(index => {
+        pivots++;
+        expect(index).toBeGreaterThanOrEqual(marks.range[0]);
+        expect(index).toBeLessThanOrEqual(marks.range[1]);
+      });
+    });
+    expect(pivots).toBeGreaterThan(0);
+  });
+
+  // Отмеченная позиция уже хранит значение из результата и больше не меняется
+  test.each(Object.keys(SORTS))('%s отмечает только окончательные позиции', (algorithm) => {
+    const { ops, output } = runSort(algorithm, input);
+    const values = [...input];
+    const final = new Set();
+    ops.forEach(op => {
+      applyOp(values, op);
+      if (op.type === OP_TYPES.FINAL) op.indices.forEach(index => final.add(index));
+      final.forEach(index => expect(values[index]).toBe(output[index]));
+    });
+  });
+
+  test.each(['BUBBLE', 'SELECTION', 'QUICK', 'HEAP', 'COUNTING', 'BUCKET'])('%s отмечает позиции до конца сортировки', (algorithm) => {
+    const { ops } = runSort(algorithm, input);
+    const firstFinal = ops.findIndex(op => op.type === OP_TYPES.FINAL);
+    const lastStep = ops.map(isMarkOp).lastIndexOf(false);
+    expect(firstFinal).toBeGreaterThan(-1);
+    expect(firstFinal).toBeLessThan(lastStep);
+  });
+});
+
+describe('дерево рекурсивных вызовов', () => {
+  test.each(['MERGE', 'QUICK'])('%s: вызовы вложены в отрезок родителя и все завершаются', (algorithm) => {
+    const marks = createMarks();
+    const { ops, stats } = runSort(algorithm, input);
+    ops.filter(isMarkOp).forEach(op => applyMark(marks, op));
+
+    expect(marks.calls[0].range).toEqual([0, input.length - 1]);
+    expect(marks.stack).toEqual([]);
+    expect(stats.depth).toBe(0);
+    marks.calls.forEach(({ range: [from, to], parent, depth, isDone }) => {
+      expect(isDone).toBe(true);
+      if (parent === null) return;
+      const { range: [parentFrom, parentTo], depth: parentDepth } = marks.calls[parent];
+      expect(from).toBeGreaterThanOrEqual(parentFrom);
+      expect(to).toBeLessThanOrEqual(parentTo);
+      expect(depth).toBe(parentDepth + 1);
+    });
+  });
+
+  test('глубина сортировки слиянием - log n, быстрой на отсортированном входе - до n', () => {
+    expect(runSort('MERGE', input, { trace: false }).stats.maxDepth).toBe(Math.ceil(Math.log2(input.length)) + 1);
+    const sorted = input.map((_, index) => index);
+    expect(runSort('QUICK', sorted, { trace: false }).stats.maxDepth).toBe(sorted.length);
+  });
+});